@@ -4,6 +4,7 @@
  */
 
 import { CATEGORIES, THRESHOLDS } from './constants.js';
+import { getRestCategory, getProductiveCategories } from './categories.js';
 
 /**
  * Calculate category statistics from entries
@@ -38,8 +39,10 @@ export function calculateImmersionDistribution(entries) {
     };
 
     entries.forEach(entry => {
-        if (entry.immersion >= 1 && entry.immersion <= 5) {
-            distribution[entry.immersion] += entry.duration;
+        // Half steps (e.g. 3.5) are counted in the nearest whole level
+        const level = Math.round(entry.immersion);
+        if (level >= 1 && level <= 5) {
+            distribution[level] += entry.duration;
         }
     });
 
@@ -55,6 +58,25 @@ export function calculateTotalTime(entries) {
     return entries.reduce((total, entry) => total + entry.duration, 0);
 }
 
+/**
+ * Calculate timeline coverage (share of time not marked untracked)
+ * @param {Array} entries - Log entries
+ * @returns {number} Coverage percentage (0-100)
+ */
+export function calculateCoverage(entries) {
+    const totalTime = calculateTotalTime(entries);
+
+    if (totalTime === 0) {
+        return 0;
+    }
+
+    const untrackedTime = entries
+        .filter(entry => entry.category === CATEGORIES.UNTRACKED)
+        .reduce((total, entry) => total + entry.duration, 0);
+
+    return Math.round(((totalTime - untrackedTime) / totalTime) * 100);
+}
+
 /**
  * Perform deep analysis on immersion levels by category
  * @param {Array} entries - Log entries
@@ -62,10 +84,11 @@ export function calculateTotalTime(entries) {
  */
 export function analyzeImmersionByCategory(entries) {
     const categoryStats = {};
+    const restCategory = getRestCategory();
 
     // Calculate stats for each category (excluding sleep/bed and zero immersion)
     entries.forEach(entry => {
-        if (entry.category === CATEGORIES.RELAX_BED || entry.immersion === 0) {
+        if (entry.category === restCategory || entry.immersion === 0) {
             return;
         }
 
@@ -93,6 +116,67 @@ export function analyzeImmersionByCategory(entries) {
     return analysis;
 }
 
+/**
+ * Analyze time and average immersion per tag
+ * @param {Array} entries - Log entries
+ * @returns {Array} Breakdown sorted by total time
+ */
+export function analyzeByTag(entries) {
+    return analyzeByLabel(entries, 'tags');
+}
+
+/**
+ * Analyze time and average immersion per mentioned person
+ * @param {Array} entries - Log entries
+ * @returns {Array} Breakdown sorted by total time
+ */
+export function analyzeByPerson(entries) {
+    return analyzeByLabel(entries, 'people');
+}
+
+/**
+ * Analyze time and average immersion per label of a list field
+ * An entry with several labels counts fully towards each of them.
+ * @param {Array} entries - Log entries
+ * @param {string} field - Entry field holding labels ('tags' or 'people')
+ * @returns {Array} [{label, totalTime, averageImmersion}] sorted by total time
+ */
+function analyzeByLabel(entries, field) {
+    const labelStats = {};
+
+    entries.forEach(entry => {
+        (entry[field] || []).forEach(label => {
+            if (!labelStats[label]) {
+                labelStats[label] = {
+                    totalTime: 0,
+                    ratedTime: 0,
+                    totalImmersion: 0
+                };
+            }
+
+            labelStats[label].totalTime += entry.duration;
+
+            // Unrated entries count towards time but not the average
+            if (entry.immersion > 0) {
+                labelStats[label].ratedTime += entry.duration;
+                labelStats[label].totalImmersion += entry.immersion * entry.duration;
+            }
+        });
+    });
+
+    const analysis = Object.entries(labelStats).map(([label, stats]) => ({
+        label,
+        totalTime: stats.totalTime,
+        averageImmersion: stats.ratedTime > 0
+            ? (stats.totalImmersion / stats.ratedTime).toFixed(1)
+            : null
+    }));
+
+    analysis.sort((a, b) => b.totalTime - a.totalTime);
+
+    return analysis;
+}
+
 /**
  * Identify energy transition points (significant immersion changes)
  * @param {Array} entries - Log entries
@@ -100,10 +184,12 @@ export function analyzeImmersionByCategory(entries) {
  */
 export function identifyEnergyTransitions(entries) {
     const transitions = [];
+    const restCategory = getRestCategory();
 
-    // Filter out sleep/bed entries
+    // Filter out sleep/bed and untracked entries
     const activeEntries = entries.filter(
-        entry => entry.category !== CATEGORIES.RELAX_BED
+        entry => entry.category !== restCategory &&
+                 entry.category !== CATEGORIES.UNTRACKED
     );
 
     // Compare consecutive entries
@@ -158,17 +244,16 @@ export function groupEntriesByCategory(entries) {
  * @returns {number} Productivity score
  */
 export function calculateProductivityScore(entries) {
-    const productiveCategories = [
-        CATEGORIES.WORK,
-        CATEGORIES.DEVELOPMENT
-    ];
+    const productiveCategories = getProductiveCategories();
+    const restCategory = getRestCategory();
 
     let productiveHighImmersionTime = 0;
     let totalActiveTime = 0;
 
     entries.forEach(entry => {
-        // Skip sleep/bed
-        if (entry.category === CATEGORIES.RELAX_BED) {
+        // Skip sleep/bed and untracked gaps
+        if (entry.category === restCategory ||
+            entry.category === CATEGORIES.UNTRACKED) {
             return;
         }
 
@@ -198,6 +283,9 @@ export function getSummaryStats(entries) {
     const immersionAnalysis = analyzeImmersionByCategory(entries);
     const transitions = identifyEnergyTransitions(entries);
     const productivityScore = calculateProductivityScore(entries);
+    const coverage = calculateCoverage(entries);
+    const tagAnalysis = analyzeByTag(entries);
+    const peopleAnalysis = analyzeByPerson(entries);
 
     return {
         totalTime,
@@ -205,6 +293,9 @@ export function getSummaryStats(entries) {
         immersionAnalysis,
         transitions,
         productivityScore,
+        coverage,
+        tagAnalysis,
+        peopleAnalysis,
         entryCount: entries.length
     };
 }
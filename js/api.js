@@ -1,233 +1,593 @@
 /**
  * API Module
- * Handles all external API calls (Gemini AI)
+ * Handles all external API calls (Gemini, OpenAI-compatible or Ollama)
  */
 
-import { API_CONFIG, CATEGORIES } from './constants.js';
+import { API_CONFIG, PROMPT_TEMPLATES, ESTIMATE_CONFIG } from './constants.js';
+import { getCategories, getRestCategory } from './categories.js';
+import { callProvider, streamProvider } from './providers.js';
+import { predictCategory } from './classifier.js';
+import { KeywordRuleManager, prepareRules, categorizeByRules } from './rules.js';
+import { getRedactor } from './redaction.js';
+import {
+    PromptTemplateManager,
+    getAdviceTemplate,
+    getLanguageInstruction,
+    renderTemplate
+} from './prompts.js';
+import { getSummaryStats } from './analyzer.js';
+import { formatLabels } from './serializer.js';
+import { getEntriesToEstimate, isRatedByUser, normalizeImmersion } from './estimator.js';
 
 /**
- * API Key management
+ * AI provider settings management
+ * Settings are stored per provider so switching back and forth keeps each
+ * provider's base URL and model:
+ * {active: 'gemini', providers: {gemini: {baseUrl, model}, ...}}
+ * API keys live in the key vault (vault.js); keys stored here by earlier
+ * versions are moved there on startup.
  */
-export const ApiKeyManager = {
+export const ProviderSettingsManager = {
     /**
-     * Save API key to localStorage
-     * @param {string} key - API key to save
+     * Save provider settings to localStorage
+     * @param {Object} settings - {active, providers}
      * @returns {boolean} Success status
      */
-    save(key) {
+    save(settings) {
         try {
-            localStorage.setItem(API_CONFIG.STORAGE_KEY, key);
+            localStorage.setItem(API_CONFIG.PROVIDER_STORAGE_KEY, JSON.stringify(settings));
             return true;
         } catch (error) {
-            console.error('Failed to save API key:', error);
+            console.error('Failed to save AI provider settings:', error);
             return false;
         }
     },
 
     /**
-     * Load API key from localStorage
-     * @returns {string|null} Stored API key or null
+     * Load provider settings from localStorage
+     * A Gemini key saved by earlier versions is carried over.
+     * @returns {Object} {active, providers}
      */
     load() {
         try {
-            return localStorage.getItem(API_CONFIG.STORAGE_KEY);
+            const stored = localStorage.getItem(API_CONFIG.PROVIDER_STORAGE_KEY);
+            if (stored) {
+                return JSON.parse(stored);
+            }
+
+            const legacyKey = localStorage.getItem(API_CONFIG.STORAGE_KEY);
+            return {
+                active: API_CONFIG.DEFAULT_PROVIDER,
+                providers: legacyKey ? { gemini: { apiKey: legacyKey } } : {}
+            };
         } catch (error) {
-            console.error('Failed to load API key:', error);
-            return null;
+            console.error('Failed to load AI provider settings:', error);
+            return { active: API_CONFIG.DEFAULT_PROVIDER, providers: {} };
         }
     },
 
     /**
-     * Clear API key from localStorage
+     * Remove the plain keys stored by earlier versions
+     * @returns {boolean} Success status
      */
-    clear() {
+    removeKeys() {
         try {
+            const settings = this.load();
+            Object.values(settings.providers).forEach(providerSettings => {
+                delete providerSettings.apiKey;
+            });
             localStorage.removeItem(API_CONFIG.STORAGE_KEY);
+            return this.save(settings);
         } catch (error) {
-            console.error('Failed to clear API key:', error);
+            console.error('Failed to remove API keys:', error);
+            return false;
         }
     }
 };
 
 /**
- * Build Gemini API URL
- * @param {string} apiKey - API key
- * @returns {string} Full API URL
+ * Categorize log entries using AI
+ * The model is asked for JSON results keyed by entry id, each with a
+ * confidence. Every reply is validated against the known categories (English
+ * names and near-misses are mapped back); entries still missing a valid
+ * category are asked for again, and whatever the AI cannot categorize falls
+ * back to keyword matching. Parts of an entry split at midnight share an id
+ * and are categorized together. Entry text is redacted (see redaction.js).
+ * @param {Array} entries - Log entries to categorize
+ * @param {Object} provider - Provider config from resolveProviderConfig
+ * @param {AbortSignal} [signal] - Cancels the requests
+ * @returns {Promise<Object>} {fallbackCount}: entries categorized by keywords
+ * @throws {AIRequestError} If the first request fails or any is cancelled
  */
-function buildGeminiUrl(apiKey) {
-    return `${API_CONFIG.BASE_URL}/${API_CONFIG.GEMINI_MODEL}:generateContent?key=${apiKey}`;
+export async function categorizeWithAI(entries, provider, signal) {
+    let pending = entries.filter((entry, index) =>
+        entries.findIndex(other => other.id === entry.id) === index
+    );
+    let problem = null;
+    const redactor = getRedactor();
+
+    for (let attempt = 0; attempt < API_CONFIG.CATEGORIZE_ATTEMPTS && pending.length > 0; attempt++) {
+        let responseText;
+
+        try {
+            responseText = await callProvider(provider, buildCategorizePrompt(pending, problem, redactor), { json: true, signal });
+        } catch (error) {
+            if (attempt === 0 || signal?.aborted) {
+                console.error('AI categorization failed:', error);
+                throw error;
+            }
+            console.error('AI categorization retry failed:', error);
+            break;
+        }
+
+        const results = parseCategorizationResponse(responseText, pending.map(entry => entry.id));
+
+        entries.forEach(entry => {
+            const result = results.get(entry.id);
+            if (result) {
+                entry.category = result.category;
+                entry.categoryConfidence = result.confidence;
+                entry.categorySource = 'ai';
+            }
+        });
+
+        problem = results.size === 0 ? '回覆不是有效的 JSON，或沒有可用的類別' : '部分條目缺少結果，或類別不在清單中';
+        pending = pending.filter(entry => !results.has(entry.id));
+    }
+
+    const failedIds = new Set(pending.map(entry => entry.id));
+    const failed = entries.filter(entry => failedIds.has(entry.id));
+
+    if (failed.length > 0) {
+        console.warn(`AI could not categorize ${failedIds.size} entries, using keywords`);
+        categorizeWithKeywords(failed);
+    }
+
+    return { fallbackCount: failedIds.size };
 }
 
 /**
- * Make a request to Gemini API
- * @param {string} prompt - Prompt to send
- * @param {string} apiKey - API key
- * @returns {Promise<string>} API response text
- * @throws {Error} If API call fails
+ * Build the categorization prompt from the user's template
+ * The reply format is always appended, whatever the template says.
+ * @param {Array} entries - Entries to categorize (one per id)
+ * @param {string|null} problem - What was wrong with the previous reply, if
+ *   this is a repair request
+ * @param {Object} redactor - Redactor for the entry text
+ * @returns {string} Prompt
  */
-async function callGeminiApi(prompt, apiKey) {
-    const url = buildGeminiUrl(apiKey);
+function buildCategorizePrompt(entries, problem, redactor) {
+    const items = redactEntries(entries, redactor)
+        .map(entry => `id=${entry.id} [${entry.start}] ${formatContent(entry)}`)
+        .join('\n');
 
-    const requestBody = {
-        contents: [{
-            parts: [{
-                text: prompt
-            }]
-        }]
-    };
+    const retryNote = problem
+        ? `\n\n注意：上一次的回覆無法使用（${problem}）。請只針對以上條目重新回答，並嚴格遵守 JSON 格式。`
+        : '';
 
-    try {
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(requestBody)
-        });
+    const categoryList = getCategories()
+        .map(({ name, description }) => (description ? `- ${name}：${description}` : `- ${name}`))
+        .join('\n');
+    const settings = PromptTemplateManager.load();
 
-        if (!response.ok) {
-            throw new Error(`API request failed with status ${response.status}`);
-        }
+    const prompt = renderTemplate(settings.categorize, {
+        entries: items,
+        categories: categoryList,
+        restCategory: getRestCategory(),
+        language: getLanguageInstruction(settings)
+    });
+
+    return `${prompt}\n\n${PROMPT_TEMPLATES.CATEGORIZE_FORMAT}${retryNote}`;
+}
+
+/**
+ * Parse a categorization reply into validated results
+ * Accepts the requested {"results": [...]} shape as well as a bare array of
+ * result objects, an {id: category} map, or a plain array of category names
+ * in input order. Invalid JSON is repaired where possible (code fences,
+ * surrounding prose, trailing commas).
+ * @param {string} responseText - Raw reply text
+ * @param {Array} ids - Entry ids that were asked for, in prompt order
+ * @returns {Map} id -> {category, confidence}; unknown ids and categories are
+ *   left out
+ */
+function parseCategorizationResponse(responseText, ids) {
+    const results = new Map();
+    const data = parseJsonLoosely(responseText);
+    if (!data) {
+        return results;
+    }
+
+    let items = Array.isArray(data) ? data : (data.results || data.categories || data.entries);
+
+    if (!items && typeof data === 'object') {
+        items = Object.entries(data).map(([id, category]) => ({ id, category }));
+    }
 
-        const data = await response.json();
+    if (!Array.isArray(items)) {
+        return results;
+    }
 
-        if (!data.candidates || !data.candidates[0]) {
-            throw new Error('Invalid API response format');
+    items.forEach((item, index) => {
+        const isName = typeof item === 'string';
+        const id = isName ? (items.length === ids.length ? ids[index] : null) : Number(item?.id);
+        const category = normalizeCategory(isName ? item : item?.category);
+
+        if (category && ids.includes(id)) {
+            const confidence = Number(item?.confidence);
+            results.set(id, {
+                category,
+                confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : null
+            });
         }
+    });
 
-        return data.candidates[0].content.parts[0].text;
-    } catch (error) {
-        console.error('Gemini API error:', error);
-        throw new Error('AI 連線失敗: ' + error.message);
+    return results;
+}
+
+/**
+ * Parse JSON from a model reply, repairing common formatting problems
+ * @param {string} text - Reply text
+ * @returns {*} Parsed value, or null if it cannot be parsed
+ */
+function parseJsonLoosely(text) {
+    const cleaned = text.replace(/```json|```/g, '').trim();
+    const start = cleaned.search(/[[{]/);
+    const end = Math.max(cleaned.lastIndexOf('}'), cleaned.lastIndexOf(']'));
+    const candidates = [cleaned];
+
+    if (start !== -1 && end > start) {
+        const body = cleaned.slice(start, end + 1);
+        candidates.push(body, body.replace(/,\s*([}\]])/g, '$1'));
     }
+
+    for (const candidate of candidates) {
+        try {
+            return JSON.parse(candidate);
+        } catch {
+            // Try the next repair
+        }
+    }
+
+    return null;
 }
 
 /**
- * Categorize log entries using AI
- * @param {Array} entries - Log entries to categorize
- * @param {string} apiKey - API key
- * @returns {Promise<void>}
+ * Map a category name from an AI reply to a known category
+ * Exact names are kept; English names, synonyms and near-misses such as
+ * "工作類" are mapped when they point to exactly one category.
+ * @param {*} value - Category value from the reply
+ * @returns {string|null} Known category, or null if it cannot be mapped
  */
-export async function categorizeWithAI(entries, apiKey) {
-    const items = entries.map(entry => `[${entry.start}] ${entry.content}`).join('\n');
+function normalizeCategory(value) {
+    if (typeof value !== 'string') {
+        return null;
+    }
 
-    const prompt = `請將以下日誌條目分類到這些類別之一：
-- ${CATEGORIES.ROUTINE}：日常作息（用餐、通勤、早晨例行事務）
-- ${CATEGORIES.WORK}：工作相關任務、會議、簡報
-- ${CATEGORIES.SOCIAL}：與朋友的社交活動
-- ${CATEGORIES.DEVELOPMENT}：學習、閱讀、個人成長
-- ${CATEGORIES.RELAX_BED}：睡眠、午睡、休息（00:00-07:00 通常是睡眠）
-- ${CATEGORIES.FAMILY}：家庭時間、與家人的活動
+    const name = value.trim().replace(/^["'「『[]+|["'」』\]]+$/g, '').trim();
+    const categories = getCategories();
+    const lowerName = name.toLowerCase();
 
-重要規則：
-1. 00:00-07:00 之間的條目通常應該是「${CATEGORIES.RELAX_BED}」
-2. 任何午睡或睡眠都應該是「${CATEGORIES.RELAX_BED}」
-3. 只返回 JSON 陣列，包含與輸入相同順序的類別字串
-4. 不要解釋，只要 JSON 陣列
+    const exactMatch = categories.find(category => category.name.toLowerCase() === lowerName);
+    if (exactMatch) {
+        return exactMatch.name;
+    }
 
-日誌條目：
-${items}`;
+    const aliasMatch = categories.find(category => category.aliases.includes(lowerName));
+    if (aliasMatch) {
+        return aliasMatch.name;
+    }
 
-    try {
-        const responseText = await callGeminiApi(prompt, apiKey);
+    // Near-miss: the reply contains exactly one category name or alias
+    const contained = categories.filter(category =>
+        lowerName.includes(category.name.toLowerCase()) ||
+        category.aliases.some(alias => new RegExp(`(^|[^a-z])${escapeRegExp(alias)}($|[^a-z])`).test(lowerName))
+    );
 
-        // Clean response (remove markdown code blocks if present)
-        const cleanedResponse = responseText.replace(/```json|```/g, '').trim();
-        const categories = JSON.parse(cleanedResponse);
+    return contained.length === 1 ? contained[0].name : null;
+}
 
-        // Validate response
-        if (!Array.isArray(categories) || categories.length !== entries.length) {
-            throw new Error('Invalid categorization response');
-        }
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} Escaped pattern
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 
-        // Apply categories to entries
-        entries.forEach((entry, index) => {
-            entry.category = categories[index];
+/**
+ * Ask the AI to estimate the immersion of unrated entries
+ * The user's rated entries of the log are sent as reference. Entry text is
+ * redacted (see redaction.js).
+ * @param {Array} entries - Entries to estimate
+ * @param {Array} allEntries - Every entry of the log
+ * @param {Object} provider - Provider config from resolveProviderConfig
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<Map>} id -> immersion; entries the reply leaves out or
+ *   rates outside the scale are missing
+ * @throws {AIRequestError} If the request fails or is cancelled
+ */
+export async function estimateImmersionWithAI(entries, allEntries, provider, signal) {
+    const pending = entries.filter((entry, index) =>
+        entries.findIndex(other => other.id === entry.id) === index
+    );
+    const ids = pending.map(entry => entry.id);
+    const estimates = new Map();
+
+    const responseText = await callProvider(provider, buildEstimatePrompt(pending, allEntries, getRedactor()), { json: true, signal });
+    const data = parseJsonLoosely(responseText);
+    const items = Array.isArray(data) ? data : data?.results;
+
+    if (Array.isArray(items)) {
+        items.forEach(item => {
+            const id = Number(item?.id);
+            const immersion = Number(item?.immersion);
+
+            if (ids.includes(id) && Number.isFinite(immersion) && immersion > 0) {
+                estimates.set(id, normalizeImmersion(immersion));
+            }
         });
-    } catch (error) {
-        console.error('AI categorization failed:', error);
-        throw error;
     }
+
+    return estimates;
+}
+
+/**
+ * Build the immersion estimate prompt
+ * @param {Array} entries - Entries to estimate (one per id)
+ * @param {Array} allEntries - Every entry of the log; its rated entries are
+ *   the reference
+ * @param {Object} redactor - Redactor for the entry text
+ * @returns {string} Prompt
+ */
+function buildEstimatePrompt(entries, allEntries, redactor) {
+    const rated = redactEntries(allEntries
+        .filter(entry => entry.id > 0 && !entry.continuation && isRatedByUser(entry))
+        .slice(0, ESTIMATE_CONFIG.MAX_EXAMPLES), redactor)
+        .map(entry => `[${entry.start}]${formatCategory(entry)} ${formatContent(entry)} => ${entry.immersion}`);
+
+    return renderTemplate(PROMPT_TEMPLATES.ESTIMATE_IMMERSION, {
+        rated: rated.join('\n') || '（無）',
+        entries: redactEntries(entries, redactor)
+            .map(entry => `id=${entry.id} [${entry.start}]${formatCategory(entry)} ${formatContent(entry)}`)
+            .join('\n')
+    });
+}
+
+/**
+ * Build the coaching prompt for a daily log from the active advice preset
+ * @param {Array} entries - Log entries
+ * @param {Object} redactor - Redactor for the log text
+ * @returns {string} Prompt text
+ */
+function buildAdvicePrompt(entries, redactor) {
+    const settings = PromptTemplateManager.load();
+
+    return renderTemplate(getAdviceTemplate(settings), {
+        entries: redactEntries(entries, redactor).map(formatAdviceEntry).join('\n'),
+        categories: getCategories().map(({ name }) => name).join('、'),
+        stats: formatSummaryStats(getSummaryStats(entries), redactor),
+        restCategory: getRestCategory(),
+        language: getLanguageInstruction(settings)
+    });
 }
 
 /**
  * Generate AI advice based on daily log
+ * When onText is given the reply is streamed and onText receives the text
+ * generated so far after every chunk. Redacted text is restored in both.
  * @param {Array} entries - Log entries
- * @param {string} apiKey - API key
+ * @param {Object} provider - Provider config from resolveProviderConfig
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @param {Function} [onText] - Called with the partial advice while streaming
  * @returns {Promise<string>} AI-generated advice in markdown format
  */
-export async function generateAIAdvice(entries, apiKey) {
-    const contextData = entries
-        .map(entry => `${entry.start}-${entry.end} [${entry.category}] ${entry.content} (沈浸度:${entry.immersion})`)
-        .join('\n');
-
-    const prompt = `Act as an Energy Management Coach. Analyze this daily log and provide insights.
+export async function generateAIAdvice(entries, provider, signal, onText) {
+    const redactor = getRedactor();
+    const prompt = buildAdvicePrompt(entries, redactor);
 
-Your analysis should include:
-1. **Energy Flow Observation**: Identify patterns in energy peaks and dips throughout the day
-2. **Key Insights**: Note what activities led to high immersion (focus) levels
-3. **Tomorrow's Strategy**: Provide 3 actionable lessons learned for improving tomorrow
-
-Output in Traditional Chinese (繁體中文).
-Use markdown formatting for better readability.
+    try {
+        return redactor.restore(onText
+            ? await streamProvider(provider, prompt, { signal, onText: text => onText(redactor.restore(text)) })
+            : await callProvider(provider, prompt, { signal }));
+    } catch (error) {
+        console.error('AI advice generation failed:', error);
+        throw error;
+    }
+}
 
-Daily Log:
-${contextData}`;
+/**
+ * Ask the AI coach a follow-up question about the analyzed day
+ * The day's log, its summary statistics and the coach's earlier advice are
+ * prepended to the first question, so every request carries the full context
+ * followed by the conversation so far. The context and the conversation are
+ * redacted, and the answer restored.
+ * @param {Object} context - {entries, stats: from getSummaryStats, advice}
+ * @param {Array} turns - Conversation [{role: 'user'|'assistant', content}],
+ *   ending with the new question
+ * @param {Object} provider - Provider config from resolveProviderConfig
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @param {Function} [onText] - Called with the partial answer while streaming
+ * @returns {Promise<string>} Answer in markdown format
+ */
+export async function askCoach(context, turns, provider, signal, onText) {
+    const redactor = getRedactor();
+    const messages = turns.map(({ role, content }, index) => ({
+        role,
+        content: index === 0
+            ? `${buildCoachContext(context, redactor)}\n\nQuestion:\n${redactor.redact(content)}`
+            : redactor.redact(content)
+    }));
 
     try {
-        const responseText = await callGeminiApi(prompt, apiKey);
-        return responseText;
+        return redactor.restore(onText
+            ? await streamProvider(provider, messages, { signal, onText: text => onText(redactor.restore(text)) })
+            : await callProvider(provider, messages, { signal }));
     } catch (error) {
-        console.error('AI advice generation failed:', error);
+        console.error('AI coach chat failed:', error);
         throw error;
     }
 }
 
 /**
- * Categorize entries using keyword fallback (when AI is not available)
- * @param {Array} entries - Log entries to categorize
+ * Build the context that opens a follow-up conversation
+ * @param {Object} context - {entries, stats, advice}
+ * @param {Object} redactor - Redactor for the log, statistics and advice
+ * @returns {string} Context text
  */
-export function categorizeWithKeywords(entries) {
-    entries.forEach(entry => {
-        entry.category = getCategoryByKeyword(entry.content, entry.start);
+function buildCoachContext({ entries, stats, advice }, redactor) {
+    const sections = [
+        `Act as an Energy Management Coach. The user wants to discuss the daily log below with you. Answer their questions about this day, referring to concrete blocks, times and immersion (focus) levels. When asked to plan, build around their energy peaks and dips.
+
+Output in ${getLanguageInstruction(PromptTemplateManager.load())}.
+Use markdown formatting for better readability.`,
+        `Daily Log:\n${redactEntries(entries, redactor).map(formatAdviceEntry).join('\n')}`,
+        `Summary Statistics:\n${formatSummaryStats(stats, redactor)}`
+    ];
+
+    if (advice) {
+        sections.push(`Your Earlier Advice:\n${redactor.redact(advice)}`);
+    }
+
+    return sections.join('\n\n');
+}
+
+/**
+ * Format summary statistics for a prompt
+ * Entry text, tags and people are redacted; numbers and times are not.
+ * @param {Object} stats - Result of getSummaryStats
+ * @param {Object} redactor - Redactor for the entry text and labels
+ * @returns {string} Prompt lines
+ */
+function formatSummaryStats(stats, redactor) {
+    const lines = [
+        `Total logged: ${stats.totalTime} min, coverage ${stats.coverage}%, productivity score ${stats.productivityScore}`,
+        `Time per category: ${Object.entries(stats.categoryStats).map(([category, minutes]) => `${category} ${minutes} min`).join(', ')}`,
+        `Average immersion per category: ${stats.immersionAnalysis.map(item => `${item.category} ${item.averageImmersion}`).join(', ') || '-'}`
+    ];
+
+    if (stats.transitions.length > 0) {
+        lines.push('Energy transitions:');
+        lines.push(...stats.transitions.map(transition =>
+            `  ${transition.time} ${redactor.redact(transition.from.content)} (${transition.from.immersion}) -> ${redactor.redact(transition.to.content)} (${transition.to.immersion})`
+        ));
+    }
+
+    [['Tags', stats.tagAnalysis, '#'], ['People', stats.peopleAnalysis, '@']].forEach(([title, analysis, prefix]) => {
+        if (analysis.length > 0) {
+            lines.push(`${title}: ${analysis.map(item => `${prefix}${redactor.redact(item.label)} ${item.totalTime} min (immersion ${item.averageImmersion ?? '-'})`).join(', ')}`);
+        }
     });
+
+    return lines.join('\n');
 }
 
 /**
- * Get category based on keywords in content
- * @param {string} content - Entry content
- * @param {string} startTime - Start time (HH:MM)
- * @returns {string} Category name
+ * Redact the free text of entries for a prompt: content, tags, people,
+ * thoughts and actions. Dates, times, categories and immersion are left as
+ * they are, so they are never taken for phone numbers.
+ * @param {Array} entries - Log entries
+ * @param {Object} redactor - Redactor
+ * @returns {Array} Copies of the entries with redacted text
  */
-function getCategoryByKeyword(content, startTime) {
-    const lowerContent = content.toLowerCase();
-    const hour = parseInt(startTime.split(':')[0]);
+function redactEntries(entries, redactor) {
+    const lists = ['tags', 'people', 'thoughts', 'actions'];
+    const texts = redactor.redactAll(entries.flatMap(entry =>
+        [entry.content, ...lists.flatMap(list => entry[list] || [])]));
+
+    let index = 0;
+    return entries.map(entry => {
+        const redacted = { ...entry, content: texts[index++] };
+        lists.forEach(list => {
+            redacted[list] = (entry[list] || []).map(() => texts[index++]);
+        });
+        return redacted;
+    });
+}
 
-    // Check for sleep/relaxation keywords
-    if (lowerContent.match(/睡|sleep|nap|休息|放鬆/)) {
-        return CATEGORIES.RELAX_BED;
-    }
+/**
+ * Format an entry's category for a prompt line
+ * @param {Object} entry - Log entry
+ * @returns {string} " [category]", or empty string before categorization
+ */
+function formatCategory(entry) {
+    return entry.category ? ` [${entry.category}]` : '';
+}
 
-    // Check for work keywords
-    if (lowerContent.match(/slide|工作|開會|meeting|會議/)) {
-        return CATEGORIES.WORK;
-    }
+/**
+ * Format an entry's content with its tags and people for a prompt line
+ * @param {Object} entry - Log entry
+ * @returns {string} "content #tag @person"
+ */
+function formatContent(entry) {
+    return [entry.content, formatLabels(entry)].filter(Boolean).join(' ');
+}
 
-    // Check for development keywords
-    if (lowerContent.match(/讀書|學習|study|learning|閱讀|開發/)) {
-        return CATEGORIES.DEVELOPMENT;
-    }
+/**
+ * Format a single entry for the advice prompt, with its thoughts and actions
+ * nested beneath it
+ * @param {Object} entry - Log entry
+ * @returns {string} Prompt lines for the entry
+ */
+function formatAdviceEntry(entry) {
+    const datePrefix = entry.date ? `${entry.date} ` : '';
+    const lines = [
+        `${datePrefix}${entry.start}-${entry.end} [${entry.category}] ${formatContent(entry)} (沈浸度:${entry.immersion}${entry.immersionEstimated ? '，預估' : ''})`,
+        ...(entry.thoughts || []).map(thought => `  > ${thought}`),
+        ...(entry.actions || []).map(action => `  v ${action}`)
+    ];
+
+    return lines.join('\n');
+}
 
-    // Check for family keywords
-    if (lowerContent.match(/家人|父母|爸|媽|family/)) {
-        return CATEGORIES.FAMILY;
+/**
+ * Build the prompts an analysis would send, for previewing what leaves the
+ * browser
+ * @param {Array} entries - Entries to categorize
+ * @param {Array} allEntries - Entries the advice is about
+ * @param {Object} redactor - Redactor to preview
+ * @returns {Array} [{title, text}]
+ */
+export function buildPromptPreview(entries, allEntries, redactor) {
+    const uniqueEntries = entries.filter((entry, index) =>
+        entries.findIndex(other => other.id === entry.id) === index
+    );
+
+    const unrated = getEntriesToEstimate(allEntries).filter((entry, index, list) =>
+        list.findIndex(other => other.id === entry.id) === index
+    );
+    const previews = [
+        { title: 'AI 分類', text: buildCategorizePrompt(uniqueEntries, null, redactor) },
+        { title: 'AI 建議', text: buildAdvicePrompt(allEntries, redactor) }
+    ];
+
+    if (unrated.length > 0) {
+        previews.push({ title: 'AI 預估沉浸度（啟用時）', text: buildEstimatePrompt(unrated, allEntries, redactor) });
     }
 
-    // Time-based categorization
-    if (hour >= 0 && hour < 7) {
-        return CATEGORIES.RELAX_BED;
-    }
+    return previews;
+}
 
-    // Default
-    return CATEGORIES.ROUTINE;
+/**
+ * Categorize entries using keyword fallback (when AI is not available)
+ * The learned classifier is asked first (call loadClassifier beforehand),
+ * then the user's keyword rules.
+ * @param {Array} entries - Log entries to categorize
+ */
+export function categorizeWithKeywords(entries) {
+    const rules = prepareRules(KeywordRuleManager.load());
+
+    entries.forEach(entry => {
+        // Confident predictions of the learned classifier win over the rules
+        const learned = predictCategory(entry);
+
+        if (learned) {
+            entry.category = learned.category;
+            entry.categoryConfidence = learned.confidence;
+            entry.categorySource = 'learned';
+        } else {
+            entry.category = categorizeByRules(entry, rules).category;
+            entry.categorySource = 'keyword';
+        }
+    });
 }
@@ -0,0 +1,142 @@
+/**
+ * Category Cache Module
+ * Remembers categorizations by entry content and start time so re-analyzing
+ * a journal reuses earlier results instead of asking the AI again
+ */
+
+import { DB_CONFIG } from './constants.js';
+import { getRecords, putRecords, clearStore } from './database.js';
+import { resolveCategory } from './categories.js';
+
+const STORE = DB_CONFIG.STORES.CATEGORY_CACHE;
+
+/**
+ * Category sources recorded in the cache
+ * Manual kanban moves are authoritative: AI results never replace them.
+ */
+const SOURCE = {
+    AI: 'ai',
+    MANUAL: 'manual'
+};
+
+/**
+ * Build the cache key of an entry: start time plus normalized content
+ * @param {Object} entry - Log entry
+ * @returns {string} Cache key
+ */
+export function getCacheKey(entry) {
+    const content = entry.content.toLowerCase().replace(/\s+/g, ' ').trim();
+    return `${entry.start}|${content}`;
+}
+
+/**
+ * Build cache keys for entries; the part of an entry split at midnight uses
+ * the key of the part it was split from
+ * @param {Array} entries - Log entries
+ * @returns {Map} entry -> cache key
+ */
+function getEntryKeys(entries) {
+    const keysById = new Map();
+
+    entries
+        .filter(entry => !entry.continuation)
+        .forEach(entry => keysById.set(entry.id, getCacheKey(entry)));
+
+    return new Map(entries.map(entry => [entry, keysById.get(entry.id) || getCacheKey(entry)]));
+}
+
+/**
+ * Apply cached categories to entries
+ * @param {Array} entries - Entries to categorize
+ * @returns {Promise<Array>} Entries without a cached category (all of them
+ *   if the cache cannot be read)
+ */
+export async function applyCachedCategories(entries) {
+    try {
+        const entryKeys = getEntryKeys(entries);
+        const records = await getRecords(STORE, [...new Set(entryKeys.values())]);
+
+        return entries.filter(entry => {
+            // Records of a deleted category count as not cached
+            const record = records.get(entryKeys.get(entry));
+            const category = record && resolveCategory(record.category);
+            if (!category) {
+                return true;
+            }
+
+            entry.category = category;
+            entry.categoryConfidence = record.confidence;
+            entry.categorySource = record.source === SOURCE.MANUAL ? 'manual' : 'cache';
+            return false;
+        });
+    } catch (error) {
+        console.error('Failed to read category cache:', error);
+        return entries;
+    }
+}
+
+/**
+ * Store AI categorizations, keeping any manual category for the same key
+ * @param {Array} entries - Entries categorized by the AI
+ * @returns {Promise<void>}
+ */
+export async function cacheAICategories(entries) {
+    try {
+        const entryKeys = getEntryKeys(entries);
+        const existing = await getRecords(STORE, [...new Set(entryKeys.values())]);
+
+        const records = entries
+            .filter(entry => existing.get(entryKeys.get(entry))?.source !== SOURCE.MANUAL)
+            .map(entry => createRecord(entryKeys.get(entry), entry.category, entry.categoryConfidence, SOURCE.AI));
+
+        await putRecords(STORE, records);
+    } catch (error) {
+        console.error('Failed to write category cache:', error);
+    }
+}
+
+/**
+ * Store a manual re-categorization (e.g. a kanban move) as authoritative
+ * @param {Object} entry - Re-categorized entry
+ * @param {string} category - Category chosen by the user
+ * @returns {Promise<void>}
+ */
+export async function cacheManualCategory(entry, category) {
+    try {
+        await putRecords(STORE, [createRecord(getCacheKey(entry), category, null, SOURCE.MANUAL)]);
+    } catch (error) {
+        console.error('Failed to write category cache:', error);
+    }
+}
+
+/**
+ * Remove every cached categorization
+ * @returns {Promise<boolean>} Success status
+ */
+export async function clearCategoryCache() {
+    try {
+        await clearStore(STORE);
+        return true;
+    } catch (error) {
+        console.error('Failed to clear category cache:', error);
+        return false;
+    }
+}
+
+/**
+ * Create a cache record
+ * @param {string} key - Cache key
+ * @param {string} category - Category
+ * @param {number|null} confidence - AI confidence (0-1), if any
+ * @param {string} source - SOURCE.AI or SOURCE.MANUAL
+ * @returns {Object} Cache record
+ */
+function createRecord(key, category, confidence, source) {
+    return {
+        key,
+        category,
+        confidence: confidence ?? null,
+        source,
+        updatedAt: Date.now()
+    };
+}
@@ -0,0 +1,287 @@
+/**
+ * Categories Module
+ * User-defined categories: name, color, description for the AI prompt and
+ * order, plus the roles some categories play in the analysis. Renamed and
+ * merged categories keep their old names as aliases, so journal markers,
+ * cached results, learned examples and rules that use an old name still
+ * resolve to the current category.
+ */
+
+import {
+    CATEGORIES,
+    CATEGORY_ORDER,
+    CATEGORY_ALIASES,
+    CATEGORY_COLORS,
+    CATEGORY_DESCRIPTIONS,
+    CATEGORY_CONFIG,
+    CATEGORY_ERRORS
+} from './constants.js';
+
+/**
+ * Category Manager
+ * Handles category definition storage in localStorage
+ */
+export const CategoryManager = {
+    /**
+     * Save category definitions to localStorage
+     * @param {Array} definitions - Category definitions
+     * @returns {boolean} Success status
+     */
+    save(definitions) {
+        try {
+            localStorage.setItem(CATEGORY_CONFIG.STORAGE_KEY, JSON.stringify(definitions));
+            return true;
+        } catch (error) {
+            console.error('Failed to save categories:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Load category definitions from localStorage
+     * @returns {Array} Stored definitions, or the defaults if none are stored
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CATEGORY_CONFIG.STORAGE_KEY));
+            return Array.isArray(stored) && stored.length > 0 ? stored : createDefaultCategories();
+        } catch (error) {
+            console.error('Failed to load categories:', error);
+            return createDefaultCategories();
+        }
+    }
+};
+
+// Current definitions, loaded on first use
+let definitions = null;
+
+/**
+ * Get the current definitions
+ * @returns {Array} Category definitions
+ */
+function getDefinitions() {
+    if (!definitions) {
+        definitions = CategoryManager.load();
+    }
+    return definitions;
+}
+
+/**
+ * Create the built-in category definitions
+ * @returns {Array} Category definitions
+ */
+export function createDefaultCategories() {
+    return CATEGORY_ORDER.map(name => ({
+        id: Object.keys(CATEGORIES).find(key => CATEGORIES[key] === name).toLowerCase(),
+        name,
+        color: CATEGORY_COLORS[name],
+        description: CATEGORY_DESCRIPTIONS[name],
+        aliases: [...CATEGORY_ALIASES[name]],
+        role: CATEGORY_CONFIG.DEFAULT_ROLES[name] || null,
+        productive: CATEGORY_CONFIG.DEFAULT_PRODUCTIVE.includes(name)
+    }));
+}
+
+/**
+ * Create a new, empty category definition
+ * @returns {Object} Category definition with a fresh id
+ */
+export function createCategory() {
+    return {
+        id: `custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        name: '',
+        color: CATEGORY_CONFIG.FALLBACK_COLOR,
+        description: '',
+        aliases: [],
+        role: null,
+        productive: false
+    };
+}
+
+/**
+ * Get the categories in display order
+ * @returns {Array} Category definitions (copies)
+ */
+export function getCategories() {
+    return getDefinitions().map(definition => ({ ...definition, aliases: [...definition.aliases] }));
+}
+
+/**
+ * Get the category names in display order (kanban columns)
+ * @returns {Array} Category names
+ */
+export function getCategoryNames() {
+    return getDefinitions().map(definition => definition.name);
+}
+
+/**
+ * Get the chart color of a category
+ * @param {string} name - Category name
+ * @returns {string} Hex color
+ */
+export function getCategoryColor(name) {
+    if (name === CATEGORIES.UNTRACKED) {
+        return CATEGORY_COLORS[CATEGORIES.UNTRACKED];
+    }
+
+    return getDefinitions().find(definition => definition.name === name)?.color || CATEGORY_CONFIG.FALLBACK_COLOR;
+}
+
+/**
+ * Get the category used for sleep and rest
+ * @returns {string} Category name
+ */
+export function getRestCategory() {
+    return getCategoryWithRole(CATEGORY_CONFIG.ROLES.REST);
+}
+
+/**
+ * Get the category given to entries nothing else applies to
+ * @returns {string} Category name
+ */
+export function getDefaultCategory() {
+    return getCategoryWithRole(CATEGORY_CONFIG.ROLES.DEFAULT);
+}
+
+/**
+ * Get the name of the category with a role
+ * Falls back to the first category if stored definitions lost the role.
+ * @param {string} role - Role
+ * @returns {string} Category name
+ */
+function getCategoryWithRole(role) {
+    const list = getDefinitions();
+    return (list.find(definition => definition.role === role) || list[0]).name;
+}
+
+/**
+ * Get the categories counted by the productivity score
+ * @returns {Array} Category names
+ */
+export function getProductiveCategories() {
+    return getDefinitions()
+        .filter(definition => definition.productive)
+        .map(definition => definition.name);
+}
+
+/**
+ * Get the other names a category is known by (lowercase)
+ * @param {string} name - Category name
+ * @returns {Array} Aliases
+ */
+export function getCategoryAliases(name) {
+    return getDefinitions().find(definition => definition.name === name)?.aliases || [];
+}
+
+/**
+ * Resolve a category name, old name or alias to a current category
+ * @param {string} name - Name to resolve
+ * @returns {string|null} Current category name, or null if unknown
+ */
+export function resolveCategory(name) {
+    if (typeof name !== 'string') {
+        return null;
+    }
+
+    const lowerName = name.trim().toLowerCase();
+    const list = getDefinitions();
+    const match = list.find(definition => definition.name.toLowerCase() === lowerName) ||
+        list.find(definition => definition.aliases.includes(lowerName));
+
+    return match ? match.name : null;
+}
+
+/**
+ * Check edited categories
+ * Rows are {id, name, color, description, productive, mergeInto}; categories
+ * missing from the list are deleted.
+ * @param {Array} edited - Edited categories in display order
+ * @returns {Object} {errors: message or null per row, error: message about
+ *   the list as a whole or null}
+ */
+export function validateCategories(edited) {
+    const previous = getDefinitions();
+    const kept = edited.filter(row => !row.mergeInto);
+    const keptIds = new Set(kept.map(row => row.id));
+    const names = kept.map(row => row.name.trim().toLowerCase());
+
+    const errors = edited.map(row => {
+        const name = row.name.trim();
+        const role = previous.find(definition => definition.id === row.id)?.role;
+
+        if (row.mergeInto) {
+            if (role) return CATEGORY_ERRORS.ROLE_REMOVED;
+            return keptIds.has(row.mergeInto) ? null : CATEGORY_ERRORS.MERGE_TARGET;
+        }
+        if (!name) return CATEGORY_ERRORS.NO_NAME;
+        // Names are journal markup ("[工作]") and are shown in HTML
+        if (/^[\d?-]|[[\]<>"&]/.test(name)) return CATEGORY_ERRORS.INVALID_NAME;
+        if (name === CATEGORIES.UNTRACKED) return CATEGORY_ERRORS.RESERVED_NAME;
+        if (names.indexOf(name.toLowerCase()) !== names.lastIndexOf(name.toLowerCase())) {
+            return CATEGORY_ERRORS.DUPLICATE_NAME;
+        }
+        if (!/^#[0-9a-f]{6}$/i.test(row.color)) return CATEGORY_ERRORS.INVALID_COLOR;
+        return null;
+    });
+
+    const editedIds = new Set(edited.map(row => row.id));
+    const roleDeleted = previous.some(definition => definition.role && !editedIds.has(definition.id));
+
+    return {
+        errors,
+        error: kept.length === 0 ? CATEGORY_ERRORS.EMPTY : (roleDeleted ? CATEGORY_ERRORS.ROLE_REMOVED : null)
+    };
+}
+
+/**
+ * Replace the categories with edited ones and save them
+ * A renamed category keeps its old name as an alias; a merged category's
+ * name and aliases move to the category it is merged into. Call
+ * validateCategories first.
+ * @param {Array} edited - Edited categories in display order
+ * @returns {boolean} Success status
+ */
+export function updateCategories(edited) {
+    const previous = new Map(getDefinitions().map(definition => [definition.id, definition]));
+
+    const next = edited
+        .filter(row => !row.mergeInto)
+        .map(row => {
+            const old = previous.get(row.id);
+            const name = row.name.trim();
+            const aliases = new Set(old ? old.aliases : []);
+
+            if (old && old.name !== name) {
+                aliases.add(old.name.toLowerCase());
+            }
+
+            return {
+                id: row.id,
+                name,
+                color: row.color,
+                description: row.description.trim(),
+                aliases,
+                role: old?.role || null,
+                productive: Boolean(row.productive)
+            };
+        });
+
+    edited
+        .filter(row => row.mergeInto)
+        .forEach(row => {
+            const target = next.find(definition => definition.id === row.mergeInto);
+            const old = previous.get(row.id);
+            [row.name, old?.name, ...(old?.aliases || [])]
+                .filter(Boolean)
+                .forEach(alias => target.aliases.add(alias.trim().toLowerCase()));
+        });
+
+    // A category's own name never doubles as another category's alias
+    const names = new Set(next.map(definition => definition.name.toLowerCase()));
+    definitions = next.map(definition => ({
+        ...definition,
+        aliases: [...definition.aliases].filter(alias => !names.has(alias))
+    }));
+
+    return CategoryManager.save(definitions);
+}
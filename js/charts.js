@@ -5,17 +5,21 @@
 
 import {
     CHART_CONFIG,
-    CATEGORY_COLORS,
     IMMERSION_COLORS,
+    IMMERSION_ESTIMATE_SOURCES,
     THRESHOLDS,
-    CATEGORIES
+    TIME
 } from './constants.js';
+import { getRestCategory, getCategoryColor } from './categories.js';
+import { formatLabels } from './serializer.js';
 
 // Store chart instances for cleanup
 let chartInstances = {
     immersion: null,
     immersionDist: null,
-    category: null
+    category: null,
+    tags: null,
+    people: null
 };
 
 /**
@@ -56,11 +60,18 @@ export function renderImmersionChart(entries) {
 
     const ctx = canvas.getContext('2d');
 
-    // Filter active entries (exclude sleep/bed with no immersion)
+    // Filter active entries (exclude sleep/bed with no immersion); estimated
+    // immersion is drawn as hollow points
+    const restCategory = getRestCategory();
     const activeEntries = entries.filter(
-        entry => entry.category !== CATEGORIES.RELAX_BED && entry.immersion > 0
+        entry => entry.category !== restCategory && entry.immersion > 0
     );
 
+    // Prefix labels with the date when entries span several days
+    const isMultiDay = new Set(activeEntries.map(entry => entry.date)).size > 1;
+    const formatTime = (entry, time) =>
+        isMultiDay && entry.date ? `${entry.date.slice(5)} ${time}` : time;
+
     console.log('Rendering immersion chart with', activeEntries.length, 'entries');
 
     destroyChart('immersion');
@@ -68,7 +79,7 @@ export function renderImmersionChart(entries) {
     chartInstances.immersion = new Chart(ctx, {
         type: 'line',
         data: {
-            labels: activeEntries.map(entry => entry.start),
+            labels: activeEntries.map(entry => formatTime(entry, entry.start)),
             datasets: [{
                 label: '沉浸度',
                 data: activeEntries.map(entry => entry.immersion),
@@ -76,6 +87,9 @@ export function renderImmersionChart(entries) {
                 backgroundColor: 'rgba(5,150,105,0.1)',
                 borderWidth: CHART_CONFIG.LINE.BORDER_WIDTH,
                 pointRadius: CHART_CONFIG.LINE.POINT_RADIUS,
+                pointBorderColor: '#059669',
+                pointBackgroundColor: activeEntries.map(entry => (entry.immersionEstimated ? '#ffffff' : '#059669')),
+                pointBorderWidth: 2,
                 fill: true,
                 tension: 0.3
             }]
@@ -130,16 +144,21 @@ export function renderImmersionChart(entries) {
                         title: function(context) {
                             const index = context[0].dataIndex;
                             const entry = activeEntries[index];
-                            return `${entry.start} - ${entry.end}`;
+                            return `${formatTime(entry, entry.start)} - ${entry.end}`;
                         },
                         label: function(context) {
                             const index = context.dataIndex;
                             const entry = activeEntries[index];
                             return [
-                                `沉浸度: ${entry.immersion} 分`,
+                                entry.immersionEstimated
+                                    ? `沉浸度: ${entry.immersion} 分（${IMMERSION_ESTIMATE_SOURCES[entry.immersionSource]}）`
+                                    : `沉浸度: ${entry.immersion} 分`,
                                 `類別: ${entry.category}`,
                                 ``,
-                                `${entry.content}`
+                                `${entry.content}`,
+                                ...[formatLabels(entry)].filter(Boolean),
+                                ...(entry.thoughts || []).map(thought => `💭 ${thought}`),
+                                ...(entry.actions || []).map(action => `✅ ${action}`)
                             ];
                         }
                     }
@@ -247,9 +266,7 @@ export function renderCategoryChart(categories) {
 
     destroyChart('category');
 
-    const backgroundColors = labels.map(
-        label => CATEGORY_COLORS[label] || '#cbd5e1'
-    );
+    const backgroundColors = labels.map(getCategoryColor);
 
     chartInstances.category = new Chart(ctx, {
         type: 'doughnut',
@@ -298,12 +315,108 @@ export function renderCategoryChart(categories) {
     });
 }
 
+/**
+ * Render time per tag as a horizontal bar chart
+ * @param {Array} analysis - Tag breakdown from analyzeByTag
+ */
+export function renderTagChart(analysis) {
+    renderLabelBreakdownChart('tagChart', 'tags', analysis, '暫無 #標籤 數據');
+}
+
+/**
+ * Render time per mentioned person as a horizontal bar chart
+ * @param {Array} analysis - People breakdown from analyzeByPerson
+ */
+export function renderPeopleChart(analysis) {
+    renderLabelBreakdownChart('peopleChart', 'people', analysis, '暫無 @人物 數據');
+}
+
+/**
+ * Render a label breakdown (hours per label, colored by average immersion)
+ * @param {string} canvasId - Canvas element id
+ * @param {string} chartName - Chart instance name
+ * @param {Array} analysis - [{label, totalTime, averageImmersion}]
+ * @param {string} emptyMessage - Placeholder text when there is no data
+ */
+function renderLabelBreakdownChart(canvasId, chartName, analysis, emptyMessage) {
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+
+    destroyChart(chartName);
+
+    if (!analysis || analysis.length === 0) {
+        renderEmptyPieChart(ctx, chartName, emptyMessage);
+        return;
+    }
+
+    chartInstances[chartName] = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: analysis.map(item => item.label),
+            datasets: [{
+                data: analysis.map(item => +(item.totalTime / TIME.MINUTES_PER_HOUR).toFixed(1)),
+                backgroundColor: analysis.map(item =>
+                    IMMERSION_COLORS[Math.round(item.averageImmersion)] || '#cbd5e1'
+                ),
+                borderColor: '#064e3b',
+                borderWidth: 1
+            }]
+        },
+        options: {
+            indexAxis: 'y',
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: '小時'
+                    }
+                }
+            },
+            plugins: {
+                legend: {
+                    display: false
+                },
+                datalabels: {
+                    anchor: 'end',
+                    align: 'end',
+                    color: CHART_CONFIG.DEFAULT_COLOR,
+                    font: {
+                        weight: CHART_CONFIG.LABEL.FONT_WEIGHT,
+                        size: 12
+                    },
+                    formatter: (value, context) => {
+                        const average = analysis[context.dataIndex].averageImmersion;
+                        return average !== null ? `⚡ ${average}` : '';
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: (context) => {
+                            const item = analysis[context.dataIndex];
+                            return [
+                                `時間: ${Math.round(item.totalTime)} 分鐘`,
+                                `平均沉浸度: ${item.averageImmersion ?? '-'}`
+                            ];
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
 /**
  * Render empty placeholder chart when no data available
  * @param {CanvasRenderingContext2D} ctx - Canvas context
  * @param {string} chartName - Chart instance name
+ * @param {string} message - Placeholder text
  */
-function renderEmptyPieChart(ctx, chartName) {
+function renderEmptyPieChart(ctx, chartName, message = '暫無 1-5 分數據') {
     chartInstances[chartName] = new Chart(ctx, {
         type: 'pie',
         data: {
@@ -329,7 +442,7 @@ function renderEmptyPieChart(ctx, chartName) {
                     font: {
                         size: CHART_CONFIG.LABEL.FONT_SIZE
                     },
-                    formatter: () => '暫無 1-5 分數據'
+                    formatter: () => message
                 }
             }
         }
@@ -0,0 +1,318 @@
+/**
+ * Classifier Module
+ * Offline naive Bayes classifier that learns categories from the user's own
+ * categorizations (kanban moves and [類別] markers) and is consulted before
+ * the keyword rules
+ */
+
+import { CLASSIFIER_CONFIG, DB_CONFIG, MESSAGES } from './constants.js';
+import { getAllRecords, putRecords, clearStore } from './database.js';
+import { getCacheKey } from './cache.js';
+import { resolveCategory } from './categories.js';
+
+const STORE = DB_CONFIG.STORES.CLASSIFIER_EXAMPLES;
+const TIME_FEATURE_PREFIX = 'time:';
+
+// Model built in memory from the stored examples
+let model = createModel();
+let loadPromise = null;
+
+/**
+ * Create an empty model
+ * @returns {Object} {examples: key -> example, categories: category ->
+ *   {documents, featureTotal, counts}, vocabulary: feature -> count}
+ */
+function createModel() {
+    return {
+        examples: new Map(),
+        categories: new Map(),
+        vocabulary: new Map()
+    };
+}
+
+/**
+ * Load the stored examples and train the model
+ * Loading happens once; later calls wait for the same load. A failed load
+ * leaves the model empty and is retried on the next call.
+ * @returns {Promise<void>}
+ */
+export function loadClassifier() {
+    if (!loadPromise) {
+        loadPromise = getAllRecords(STORE)
+            .then(records => {
+                model = createModel();
+                records.forEach(addExample);
+            })
+            .catch(error => {
+                console.error('Failed to load classifier:', error);
+                loadPromise = null;
+            });
+    }
+
+    return loadPromise;
+}
+
+/**
+ * Get the number of examples the model was trained on
+ * @returns {number} Example count
+ */
+export function getClassifierSize() {
+    return model.examples.size;
+}
+
+/**
+ * Extract features of an entry: character n-grams of the content, its tags
+ * and people, and a time-of-day bucket of the start time
+ * @param {Object} entry - Entry or example {content, start, tags, people}
+ * @returns {Array} Features (repeated features count repeatedly)
+ */
+export function extractFeatures(entry) {
+    const features = extractTextFeatures(entry);
+
+    const hour = parseInt(entry.start.split(':')[0]);
+    const timeFeature = `${TIME_FEATURE_PREFIX}${Math.floor(hour / CLASSIFIER_CONFIG.TIME_BUCKET_HOURS)}`;
+    for (let i = 0; i < CLASSIFIER_CONFIG.TIME_FEATURE_WEIGHT; i++) {
+        features.push(timeFeature);
+    }
+
+    return features;
+}
+
+/**
+ * Extract the text features of an entry: character n-grams of the content,
+ * its tags and people
+ * @param {Object} entry - Entry or example {content, tags, people}
+ * @returns {Array} Features (repeated features count repeatedly)
+ */
+export function extractTextFeatures({ content, tags = [], people = [] }) {
+    const text = ` ${content.toLowerCase().replace(/\s+/g, ' ').trim()} `;
+    const features = [];
+
+    CLASSIFIER_CONFIG.NGRAM_SIZES.forEach(size => {
+        for (let i = 0; i + size <= text.length; i++) {
+            features.push(text.slice(i, i + size));
+        }
+    });
+
+    tags.forEach(tag => features.push(`#${tag.toLowerCase()}`));
+    people.forEach(person => features.push(`@${person.toLowerCase()}`));
+
+    return features;
+}
+
+/**
+ * Predict the category of an entry
+ * Returns null until the model has seen enough examples of at least two
+ * categories, when none of the entry's text features was ever seen, or when
+ * the prediction is not confident enough.
+ * @param {Object} entry - Log entry
+ * @returns {Object|null} {category, confidence} or null
+ */
+export function predictCategory(entry) {
+    if (model.examples.size < CLASSIFIER_CONFIG.MIN_EXAMPLES || model.categories.size < 2) {
+        return null;
+    }
+
+    const features = extractFeatures(entry);
+    const hasEvidence = features.some(feature =>
+        !feature.startsWith(TIME_FEATURE_PREFIX) && model.vocabulary.has(feature)
+    );
+    if (!hasEvidence) {
+        return null;
+    }
+
+    // Multinomial naive Bayes with Laplace smoothing, in log space
+    const vocabularySize = model.vocabulary.size;
+    const scores = [...model.categories].map(([category, stats]) => {
+        let score = Math.log(stats.documents / model.examples.size);
+        features.forEach(feature => {
+            score += Math.log(((stats.counts.get(feature) || 0) + 1) / (stats.featureTotal + vocabularySize));
+        });
+        return { category, score };
+    });
+
+    const best = scores.reduce((a, b) => (b.score > a.score ? b : a));
+    const total = scores.reduce((sum, { score }) => sum + Math.exp(score - best.score), 0);
+    const confidence = 1 / total;
+
+    // Examples keep the name they were learned under; the category may have
+    // been renamed, merged or deleted since
+    const category = resolveCategory(best.category);
+
+    return category && confidence >= CLASSIFIER_CONFIG.MIN_CONFIDENCE
+        ? { category, confidence }
+        : null;
+}
+
+/**
+ * Learn confirmed categorizations
+ * An entry learned before is re-learned with its new category.
+ * @param {Array} labelled - [{entry, category}]; for an entry split at
+ *   midnight pass the part it was split from
+ * @returns {Promise<void>}
+ */
+export async function learnCategories(labelled) {
+    try {
+        await loadClassifier();
+
+        const records = labelled
+            .map(({ entry, category }) => createExample(entry, category))
+            .filter(record => model.examples.get(record.key)?.category !== record.category);
+
+        if (records.length === 0) {
+            return;
+        }
+
+        records.forEach(addExample);
+        await putRecords(STORE, records);
+    } catch (error) {
+        console.error('Failed to update classifier:', error);
+    }
+}
+
+/**
+ * Export the training examples as a model file
+ * @returns {Promise<string>} JSON model file content
+ */
+export async function exportClassifierModel() {
+    await loadClassifier();
+
+    const examples = [...model.examples.values()].map(({ key, ...example }) => example);
+
+    return JSON.stringify({
+        format: CLASSIFIER_CONFIG.FILE_FORMAT,
+        version: CLASSIFIER_CONFIG.FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        examples
+    }, null, 2);
+}
+
+/**
+ * Import a model file, merging its examples into the current model
+ * Imported examples replace local ones for the same entry.
+ * @param {string} text - JSON model file content
+ * @returns {Promise<number>} Number of imported examples
+ * @throws {Error} If the file is not a valid model file
+ */
+export async function importClassifierModel(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(MESSAGES.CLASSIFIER_IMPORT_FAILED);
+    }
+
+    if (data?.format !== CLASSIFIER_CONFIG.FILE_FORMAT || !Array.isArray(data.examples)) {
+        throw new Error(MESSAGES.CLASSIFIER_IMPORT_FAILED);
+    }
+
+    const records = data.examples
+        .filter(isValidExample)
+        .map(example => createExample(example, example.category));
+
+    await loadClassifier();
+    records.forEach(addExample);
+    await putRecords(STORE, records);
+
+    return records.length;
+}
+
+/**
+ * Forget every learned example
+ * @returns {Promise<boolean>} Success status
+ */
+export async function resetClassifier() {
+    try {
+        await clearStore(STORE);
+        model = createModel();
+        return true;
+    } catch (error) {
+        console.error('Failed to reset classifier:', error);
+        return false;
+    }
+}
+
+/**
+ * Check an example read from a model file
+ * @param {Object} example - Example to check
+ * @returns {boolean} True if the example can be learned
+ */
+function isValidExample(example) {
+    return typeof example?.content === 'string' &&
+        typeof example.start === 'string' && /^\d{1,2}:\d{2}$/.test(example.start) &&
+        Boolean(resolveCategory(example.category)) &&
+        (example.tags === undefined || Array.isArray(example.tags)) &&
+        (example.people === undefined || Array.isArray(example.people));
+}
+
+/**
+ * Create a stored example
+ * @param {Object} entry - Entry {content, start, tags, people}
+ * @param {string} category - Confirmed category
+ * @returns {Object} Example record
+ */
+function createExample(entry, category) {
+    return {
+        key: getCacheKey(entry),
+        category,
+        content: entry.content,
+        start: entry.start,
+        tags: entry.tags || [],
+        people: entry.people || [],
+        updatedAt: Date.now()
+    };
+}
+
+/**
+ * Add an example to the model, replacing an earlier one with the same key
+ * @param {Object} example - Example record
+ */
+function addExample(example) {
+    const previous = model.examples.get(example.key);
+    if (previous) {
+        updateCounts(previous, -1);
+    }
+
+    model.examples.set(example.key, example);
+    updateCounts(example, 1);
+}
+
+/**
+ * Add (delta 1) or remove (delta -1) an example's counts
+ * @param {Object} example - Example record
+ * @param {number} delta - 1 or -1
+ */
+function updateCounts(example, delta) {
+    if (!model.categories.has(example.category)) {
+        model.categories.set(example.category, { documents: 0, featureTotal: 0, counts: new Map() });
+    }
+
+    const stats = model.categories.get(example.category);
+    stats.documents += delta;
+
+    extractFeatures(example).forEach(feature => {
+        stats.featureTotal += delta;
+        addCount(stats.counts, feature, delta);
+        addCount(model.vocabulary, feature, delta);
+    });
+
+    if (stats.documents === 0) {
+        model.categories.delete(example.category);
+    }
+}
+
+/**
+ * Change a count, dropping it when it reaches zero
+ * @param {Map} counts - feature -> count
+ * @param {string} feature - Feature
+ * @param {number} delta - Change
+ */
+function addCount(counts, feature, delta) {
+    const count = (counts.get(feature) || 0) + delta;
+
+    if (count > 0) {
+        counts.set(feature, count);
+    } else {
+        counts.delete(feature);
+    }
+}
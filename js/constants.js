@@ -3,14 +3,16 @@
  * Centralized configuration for magic numbers, strings, and settings
  */
 
-// Categories
+// Built-in categories: the defaults of the user-editable category list
+// (see categories.js), plus the untracked category for auto-inserted gaps
 export const CATEGORIES = {
     WORK: '工作',
     ROUTINE: '日常',
     DEVELOPMENT: '學習',
     FAMILY: '家庭',
     SOCIAL: '社交',
-    RELAX_BED: '休息'
+    RELAX_BED: '休息',
+    UNTRACKED: '未記錄'  // Auto-inserted gaps; not a kanban column
 };
 
 export const CATEGORY_ORDER = [
@@ -22,6 +24,16 @@ export const CATEGORY_ORDER = [
     CATEGORIES.RELAX_BED
 ];
 
+// Other names an AI reply may use for each category (matched case-insensitively)
+export const CATEGORY_ALIASES = {
+    [CATEGORIES.WORK]: ['work', 'job', 'office', 'meeting', 'meetings', '上班', '會議', '工作相關'],
+    [CATEGORIES.ROUTINE]: ['routine', 'daily', 'daily routine', 'chores', 'commute', 'meal', '作息', '日常作息', '例行', '通勤', '用餐'],
+    [CATEGORIES.DEVELOPMENT]: ['learning', 'study', 'development', 'personal development', 'growth', 'reading', '学习', '成長', '個人成長', '自我成長', '閱讀'],
+    [CATEGORIES.FAMILY]: ['family', 'family time', '家人', '家庭時間'],
+    [CATEGORIES.SOCIAL]: ['social', 'socializing', 'friends', '朋友', '社交活動'],
+    [CATEGORIES.RELAX_BED]: ['rest', 'relax', 'relaxation', 'sleep', 'nap', 'bed', '睡眠', '睡覺', '午睡', '放鬆']
+};
+
 // Category colors for charts
 export const CATEGORY_COLORS = {
     [CATEGORIES.WORK]: '#3b82f6',
@@ -29,7 +41,48 @@ export const CATEGORY_COLORS = {
     [CATEGORIES.DEVELOPMENT]: '#22c55e',
     [CATEGORIES.FAMILY]: '#ef4444',
     [CATEGORIES.SOCIAL]: '#a855f7',
-    [CATEGORIES.RELAX_BED]: '#94a3b8'
+    [CATEGORIES.RELAX_BED]: '#94a3b8',
+    [CATEGORIES.UNTRACKED]: '#d4d4d4'
+};
+
+// Category descriptions used in the categorization prompt
+export const CATEGORY_DESCRIPTIONS = {
+    [CATEGORIES.WORK]: '工作相關任務、會議、簡報',
+    [CATEGORIES.ROUTINE]: '日常作息（用餐、通勤、早晨例行事務）',
+    [CATEGORIES.DEVELOPMENT]: '學習、閱讀、個人成長',
+    [CATEGORIES.FAMILY]: '家庭時間、與家人的活動',
+    [CATEGORIES.SOCIAL]: '與朋友的社交活動',
+    [CATEGORIES.RELAX_BED]: '睡眠、午睡、休息（00:00-07:00 通常是睡眠）'
+};
+
+// User-editable categories
+export const CATEGORY_CONFIG = {
+    STORAGE_KEY: 'custom_categories',
+    // Roles some categories play: sleep back-fill and the night-time rules
+    // use the rest category, entries nothing else applies to get the default
+    ROLES: {
+        REST: 'rest',
+        DEFAULT: 'default'
+    },
+    DEFAULT_ROLES: {
+        [CATEGORIES.RELAX_BED]: 'rest',
+        [CATEGORIES.ROUTINE]: 'default'
+    },
+    // Categories counted by the productivity score
+    DEFAULT_PRODUCTIVE: [CATEGORIES.WORK, CATEGORIES.DEVELOPMENT],
+    FALLBACK_COLOR: '#cbd5e1'
+};
+
+// Category validation messages
+export const CATEGORY_ERRORS = {
+    EMPTY: '請至少保留一個類別',
+    NO_NAME: '請填寫類別名稱',
+    INVALID_NAME: '名稱不可以數字、?、- 開頭，也不可包含方括號或 < > " &',
+    RESERVED_NAME: '此名稱保留給未記錄時段',
+    DUPLICATE_NAME: '類別名稱重複',
+    INVALID_COLOR: '顏色需為 #RRGGBB 格式',
+    ROLE_REMOVED: '此類別用於睡眠或預設分類，無法刪除或合併',
+    MERGE_TARGET: '合併目標必須是保留的類別'
 };
 
 // Immersion level colors
@@ -51,8 +104,27 @@ export const THRESHOLDS = {
 
 // Regex patterns
 export const PATTERNS = {
-    // Matches: "09:00 ~ 10:00" or "09:00~10:00"
-    TIME_HEADER: /(\d{2}:\d{2})\s*~\s*(\d{2}:\d{2})/,
+    // Matches date headings: "# 2026-10-19", "## 10/19 (Mon)"
+    DATE_HEADER: /^#{1,6}\s*(?:(\d{4})[-/.])?(\d{1,2})[-/.](\d{1,2})\b\s*(.*)$/,
+
+    // Matches a time range at the start of a line: "09:00 ~ 10:00", "9:00~10:30",
+    // "2pm - 3:15pm", "09:00–10:00", "0900-1000", or an open end "16:00 ~ 進行中".
+    // The range may follow list bullets, "1." numbers, "[ ]" checkboxes, emoji
+    // and emphasis ("- [x] **09:00 ~ 10:00**"). A range followed by another
+    // date separator and digit ("2026-10-19") is not matched.
+    // Groups: start, start meridiem, end, end meridiem, open-end marker
+    TIME_HEADER: /^(?:[-*+_]\s*|\d+[.)]\s+|\[[ xX]\]\s*|\p{Extended_Pictographic}\uFE0F?\s*)*(\d{4}|\d{1,2}(?::\d{2})?)\s*([ap]\.?m\b\.?)?\s*[~～\-–—]\s*(?:(\d{4}|\d{1,2}(?::\d{2})?)\s*([ap]\.?m\b\.?)?|(進行中|ongoing|now|…|\.{3}|\?))(?![\d:]|[-/.]\d)(?:\*{1,2}|_{1,2})?/iu,
+
+    // Matches inline tags and people: "#billing", "@Amy" (must start a word)
+    TAG: /(?:^|(?<=\s))#([^\s#@\[\]]+)/g,
+    MENTION: /(?:^|(?<=\s))@([^\s#@\[\]]+)/g,
+
+    // Matches a markup character escaped with a backslash, taken literally in
+    // entry content: "\#1", "\@home", "\[urgent\]", "3\/5"
+    ESCAPED_MARKUP: /\\([#@[\]❚|⚡/])/g,
+
+    // Matches an explicit category override: "[工作]"
+    CATEGORY_OVERRIDE: /\[([^\]\d?-][^\]]*)\]/,
 
     // Matches: "- > thought content" or "> thought content"
     THOUGHT: /^\s*[-]?\s*>\s*(.*)/,
@@ -60,17 +132,319 @@ export const PATTERNS = {
     // Matches: "- v action content" or "v action content"
     ACTION: /^\s*[-]?\s*v\s*(.*)/,
 
-    // Matches immersion bars: "❚❚❚" or "|||" at the end of content
-    // Must contain at least one bar character (❚ or |), not just spaces
-    BARS: /([❚|]+)/
+    // Matches immersion bars: "❚❚❚" or "|||" at the end of content,
+    // with an optional half step: "❚❚❚½"
+    BARS: /([❚|]+)(½)?\s*$/,
+
+    // Fallback: a run of "❚" anywhere in the content ("|" is too ambiguous)
+    BARS_ANYWHERE: /(❚+)(½)?/,
+
+    // Matches numeric immersion at the end of content: "[4]", "⚡4", "⚡ 3.5"
+    IMMERSION_NUMERIC: /(?:^|\s)(?:\[(\d+(?:\.\d+)?)\]|⚡\s*(\d+(?:\.\d+)?))\s*$/,
+
+    // Matches fractional immersion at the end of content: "4/5", "8/10"
+    IMMERSION_FRACTION: /(?:^|\s)(\d+(?:\.\d+)?)\s*\/\s*(5|10)\s*$/,
+
+    // Matches an explicit "not rated" marker: "[-]", "[?]", "⚡-", "⚡?"
+    IMMERSION_UNRATED: /(?:^|\s)(?:\[[-?]\]|⚡\s*[-?])\s*$/,
+
+    // Matches a Markdown heading, also as a Logseq bullet: "## Time Log", "- ## Time Log"
+    NOTE_HEADING: /^(\s*)(?:[-*]\s+)?(#{1,6})\s+(.*)$/,
+
+    // Matches time log block markers: "<!-- timelog:start -->", "%% timelog:end %%"
+    NOTE_BLOCK_MARKER: /^\s*(?:[-*]\s+)?(?:<!--|%%)\s*timelog:(start|end)\s*(?:-->|%%)\s*$/i,
+
+    // Matches a date in front matter, page properties or a file name:
+    // "date: 2026-10-19", "date:: 2026/10/19", "2026_10_19.md"
+    NOTE_DATE: /(\d{4})[-_/.](\d{1,2})[-_/.](\d{1,2})/,
+    FRONT_MATTER_DATE: /^\s*(?:date|created|day)\s*::?\s*["']?(.+?)["']?\s*$/i
+};
+
+// Immersion rating scale
+export const IMMERSION_SCALE = {
+    MIN: 1,
+    MAX: 5,
+    STEP: 0.5   // Allows half steps such as "❚❚❚½"
 };
 
 // API Configuration
 export const API_CONFIG = {
     GEMINI_MODEL: 'gemini-2.5-flash-preview-09-2025',
     BASE_URL: 'https://generativelanguage.googleapis.com/v1beta/models',
-    STORAGE_KEY: 'gemini_api_key',
-    REQUEST_TIMEOUT: 30000  // 30 seconds
+    STORAGE_KEY: 'gemini_api_key',  // Legacy single Gemini key, migrated on load
+    PROVIDER_STORAGE_KEY: 'llm_provider_settings',
+    DEFAULT_PROVIDER: 'gemini',
+    REQUEST_TIMEOUT: 30000,  // 30 seconds
+    CATEGORIZE_ATTEMPTS: 2,  // First request plus one repair request
+    MAX_RETRIES: 3,          // Retries after 429 / 5xx / network errors
+    RETRY_BASE_DELAY: 1000,  // 1s, doubled on each retry
+    RETRY_MAX_DELAY: 30000   // Longer Retry-After waits are not attempted
+};
+
+// LLM providers: default base URL and model, and whether a key is required
+// (OpenAI-compatible gateways and local Ollama servers may not need one)
+export const LLM_PROVIDERS = {
+    gemini: {
+        BASE_URL: API_CONFIG.BASE_URL,
+        MODEL: API_CONFIG.GEMINI_MODEL,
+        REQUIRES_KEY: true
+    },
+    openai: {
+        BASE_URL: 'https://api.openai.com/v1',
+        MODEL: 'gpt-4o-mini',
+        REQUIRES_KEY: false
+    },
+    ollama: {
+        BASE_URL: 'http://localhost:11434',
+        MODEL: 'llama3.1',
+        REQUIRES_KEY: false
+    }
+};
+
+// API key storage: named keys per provider, optionally encrypted with a
+// passphrase (PBKDF2 + AES-GCM) and kept unlocked only in memory
+export const KEY_VAULT_CONFIG = {
+    STORAGE_KEY: 'api_key_vault',
+    PBKDF2_ITERATIONS: 600000,
+    SALT_BYTES: 16,
+    IV_BYTES: 12,
+    CHECK_TEXT: 'journal-visualizer',  // Encrypted to verify the passphrase
+    MIN_PASSPHRASE_LENGTH: 8,
+    AUTO_LOCK_MINUTES: 15,             // Lock after this long without input
+    DEFAULT_KEY_NAME: '預設'
+};
+
+// Privacy redaction of journal text sent to the AI
+export const REDACTION_CONFIG = {
+    STORAGE_KEY: 'privacy_redaction',
+    DEFAULTS: {
+        enabled: true,
+        email: true,
+        phone: true,
+        url: true,
+        mentions: true,  // @people, wherever their names appear
+        terms: []        // User dictionary of names and terms
+    },
+    // Phone numbers are digit runs with optional +country code, (area code),
+    // spaces and dashes. Runs touching a colon (times) or starting with a date
+    // (2026-10-19, 20261019) are never phone numbers; of the rest, runs with
+    // fewer or more digits than these are left alone
+    MIN_PHONE_DIGITS: 9,
+    MAX_PHONE_DIGITS: 15,
+    PLACEHOLDER_TYPES: {
+        email: 'EMAIL',
+        url: 'URL',
+        phone: 'PHONE',
+        name: 'NAME'
+    }
+};
+
+// Prompt templates: {{name}} placeholders are filled in when a prompt is built
+export const PROMPT_CONFIG = {
+    STORAGE_KEY: 'prompt_templates',
+    PLACEHOLDERS: ['entries', 'categories', 'stats', 'restCategory', 'language'],
+    REQUIRED_PLACEHOLDER: 'entries',
+    CATEGORIZE_ID: 'categorize',
+    DEFAULT_PRESET: 'energy-coach',
+    DEFAULT_LANGUAGE: 'zh-TW'
+};
+
+// Languages the AI coach can answer in
+export const OUTPUT_LANGUAGES = {
+    'zh-TW': { LABEL: '繁體中文', INSTRUCTION: 'Traditional Chinese (繁體中文)' },
+    'zh-CN': { LABEL: '简体中文', INSTRUCTION: 'Simplified Chinese (简体中文)' },
+    en: { LABEL: 'English', INSTRUCTION: 'English' },
+    ja: { LABEL: '日本語', INSTRUCTION: 'Japanese (日本語)' }
+};
+
+// Default prompt templates
+export const PROMPT_TEMPLATES = {
+    CATEGORIZE: `請將以下日誌條目分類到這些類別之一：
+{{categories}}
+
+重要規則：
+1. 00:00-07:00 之間的條目通常應該是「{{restCategory}}」
+2. 任何午睡或睡眠都應該是「{{restCategory}}」
+
+日誌條目：
+{{entries}}`,
+
+    // Always appended to the categorization prompt: the reply parser relies on it
+    CATEGORIZE_FORMAT: `回覆格式：
+- category 必須完全等於上列其中一個類別名稱
+- confidence 為 0 到 1 之間的數字，表示你對該分類的把握
+- 只返回 JSON 物件，每個條目一筆結果，不要解釋：
+{"results": [{"id": 條目 id, "category": "類別", "confidence": 0.8}]}`,
+
+    // Immersion estimates for unrated entries (not user-editable)
+    ESTIMATE_IMMERSION: `使用者以 1 到 5 的沉浸度（專注程度，5 最高，可用 0.5 的半格）為日誌條目評分，但以下條目忘了評分。
+請參考使用者已評分的條目，推估每個未評分條目最可能的沉浸度。
+
+已評分的條目：
+{{rated}}
+
+未評分的條目：
+{{entries}}
+
+只返回 JSON 物件，每個條目一筆結果，不要解釋：
+{"results": [{"id": 條目 id, "immersion": 3.5}]}`,
+
+    ADVICE_PRESETS: [
+        {
+            id: 'energy-coach',
+            name: '能量教練',
+            template: `Act as an Energy Management Coach. Analyze this daily log and provide insights.
+
+Your analysis should include:
+1. **Energy Flow Observation**: Identify patterns in energy peaks and dips throughout the day
+2. **Key Insights**: Note what activities led to high immersion (focus) levels, using the thoughts (>) and actions (v) recorded under each block to explain why
+3. **Tomorrow's Strategy**: Provide 3 actionable lessons learned for improving tomorrow
+
+Output in {{language}}.
+Use markdown formatting for better readability.
+
+Daily Log:
+{{entries}}`
+        },
+        {
+            id: 'manager-1on1',
+            name: '主管 1:1 準備',
+            template: `Act as a coach helping the user prepare for a 1:1 meeting with their manager. Using the daily log and statistics below, prepare:
+1. **Highlights**: The most valuable work done and where focus was highest
+2. **Blockers**: What drained energy or interrupted deep work, with concrete times
+3. **Asks**: 2-3 specific things to raise with the manager (support, priorities, meeting load)
+
+Keep it concise and factual, ready to bring into the meeting.
+Output in {{language}}.
+Use markdown formatting for better readability.
+
+Summary Statistics:
+{{stats}}
+
+Daily Log:
+{{entries}}`
+        },
+        {
+            id: 'burnout-check',
+            name: '倦怠檢查',
+            template: `Act as a supportive wellbeing coach. Look at this daily log and its statistics for signs of burnout risk: long stretches of low immersion, little rest or recovery, late-night work, back-to-back meetings, and the thoughts (>) recorded under each block.
+
+Provide:
+1. **Risk Level**: Low, medium or high, with the reasons
+2. **Warning Signs**: The concrete blocks and times behind it
+3. **Recovery Steps**: 3 small, realistic changes for tomorrow
+
+Be kind and non-judgmental, and note that this is not medical advice.
+Output in {{language}}.
+Use markdown formatting for better readability.
+
+Summary Statistics:
+{{stats}}
+
+Daily Log:
+{{entries}}`
+        }
+    ]
+};
+
+// Prompt template validation messages
+export const PROMPT_ERRORS = {
+    NO_ENTRIES: '範本必須包含 {{entries}}，否則 AI 看不到日誌',
+    NO_NAME: '請填寫範本名稱'
+};
+
+// IndexedDB database (every store is keyed by its records' `key` field)
+export const DB_CONFIG = {
+    NAME: 'journal_visualizer',
+    VERSION: 4,
+    STORES: {
+        CATEGORY_CACHE: 'category_cache',
+        CLASSIFIER_EXAMPLES: 'classifier_examples',
+        IMMERSION_HISTORY: 'immersion_history',
+        DAY_HISTORY: 'day_history'
+    }
+};
+
+// History of analyzed days
+export const HISTORY_CONFIG = {
+    FILE_FORMAT: 'journal-visualizer-history',
+    FILE_VERSION: 1,
+    UNDATED_KEY_PREFIX: 'undated-',                      // + hash of the day's text; dated days are keyed by date
+    WEEKDAYS: ['日', '一', '二', '三', '四', '五', '六']   // Calendar columns, Sunday first
+};
+
+// Immersion estimates for entries logged without a rating
+export const ESTIMATE_CONFIG = {
+    NEIGHBOURS: 5,                   // Most similar rated entries averaged offline
+    MIN_SIMILARITY: 0.3,             // Less similar rated entries are ignored
+    MAX_EXAMPLES: 40                 // Rated entries shown to the AI as reference
+};
+
+// Learning classifier (naive Bayes trained on manual categorizations)
+export const CLASSIFIER_CONFIG = {
+    NGRAM_SIZES: [2, 3],             // Character n-grams of the content
+    TIME_BUCKET_HOURS: 3,            // Width of the time-of-day feature
+    TIME_FEATURE_WEIGHT: 3,          // Time feature counts as this many n-grams
+    MIN_EXAMPLES: 10,                // Examples needed before predicting
+    MIN_CONFIDENCE: 0.7,             // Predictions below this fall back to keywords
+    FILE_FORMAT: 'journal-visualizer-classifier',
+    FILE_VERSION: 1
+};
+
+// AI request error messages, by error code
+export const AI_ERROR_MESSAGES = {
+    INVALID_KEY: 'API Key 無效或沒有權限，請檢查 AI 服務設定',
+    QUOTA: '已達 AI 服務的使用上限（請求過於頻繁或額度用盡），請稍後再試或檢查方案額度',
+    SERVER: 'AI 服務暫時無法使用，請稍後再試',
+    REQUEST: 'AI 服務拒絕了請求，請檢查模型名稱與 Base URL',
+    TIMEOUT: `AI 回應逾時（超過 ${API_CONFIG.REQUEST_TIMEOUT / 1000} 秒），請稍後再試`,
+    OFFLINE: '目前處於離線狀態，請確認網路連線',
+    NETWORK: '無法連線到 AI 服務，請確認 Base URL（本機服務需允許跨來源請求）',
+    BAD_RESPONSE: 'AI 回覆格式無法解讀',
+    CANCELLED: '已取消 AI 請求'
+};
+
+// Import configuration (CSV / iCalendar)
+export const IMPORT_CONFIG = {
+    CSV_MAPPING_STORAGE_KEY: 'csv_column_mapping',
+    ACCEPTED_EXTENSIONS: '.csv,.tsv,.ics,.txt,.md',
+
+    // Lower-case header names recognized for each CSV field
+    CSV_HEADER_ALIASES: {
+        date: ['date', 'start date', '日期'],
+        start: ['start', 'start time', 'from', 'begin', '開始', '開始時間'],
+        endDate: ['end date'],
+        end: ['end', 'end time', 'to', 'finish', '結束', '結束時間'],
+        duration: ['duration', 'minutes', '時長'],
+        content: ['description', 'summary', 'title', 'task', 'activity', 'content', '內容', '事項'],
+        immersion: ['immersion', 'focus', 'energy', '沉浸度'],
+        category: ['category', '類別'],
+        project: ['project', 'client', '專案'],
+        tags: ['tags', 'tag', '標籤']
+    },
+
+    // Labels for the column mapping dialog
+    CSV_FIELD_LABELS: {
+        date: '日期',
+        start: '開始時間（必填）',
+        endDate: '結束日期',
+        end: '結束時間',
+        duration: '時長（無結束時間時使用）',
+        content: '內容',
+        immersion: '沉浸度',
+        category: '類別',
+        project: '專案（轉為標籤）',
+        tags: '標籤'
+    }
+};
+
+// Daily note configuration (Obsidian / Logseq)
+export const NOTE_CONFIG = {
+    // Heading names (case-insensitive, partial match) that mark the time log
+    SECTION_HEADINGS: ['時間日誌', '時間紀錄', '時間記錄', 'time log', 'timelog', 'time tracking'],
+
+    // Width of a tab when comparing Logseq bullet indentation
+    TAB_WIDTH: 4
 };
 
 // Chart configuration
@@ -84,7 +458,7 @@ export const CHART_CONFIG = {
         BORDER_WIDTH: 4,
         POINT_RADIUS: 6,
         MIN_Y: 0,
-        MAX_Y: 5
+        MAX_Y: IMMERSION_SCALE.MAX
     },
 
     LABEL: {
@@ -99,23 +473,118 @@ export const CHART_CONFIG = {
 export const MESSAGES = {
     API_KEY_SAVED: '✅ 已儲存！',
     API_KEY_EMPTY: '⚠️ 請輸入',
+    VAULT_LOCKED: 'API Key 已加密鎖定，請先解鎖',
+    VAULT_UNLOCKED: '🔓 已解鎖 API Key',
+    VAULT_AUTO_LOCKED: '🔒 閒置過久，API Key 已自動鎖定',
+    VAULT_WRONG_PASSPHRASE: '密碼錯誤',
+    VAULT_ENCRYPTED: '🔒 已使用密碼加密 API Key',
+    VAULT_DECRYPTED: '已取消加密，API Key 改以明文儲存',
+    VAULT_DECRYPT_CONFIRM: '取消加密後，API Key 會以明文存放在瀏覽器中。確定嗎？',
+    VAULT_UNSUPPORTED: '此瀏覽器無法加密（需使用 HTTPS 或 localhost 開啟）',
+    VAULT_SAVE_FAILED: '儲存 API Key 失敗',
+    PASSPHRASE_TOO_SHORT: `密碼至少需要 ${KEY_VAULT_CONFIG.MIN_PASSPHRASE_LENGTH} 個字元`,
+    PASSPHRASE_MISMATCH: '兩次輸入的密碼不一致',
+    PROMPTS_SAVED: '✅ 已儲存提示詞範本',
+    PROMPTS_SAVE_FAILED: '儲存提示詞範本失敗',
+    PRIVACY_SAVED: '✅ 已儲存隱私設定',
+    PRIVACY_SAVE_FAILED: '儲存隱私設定失敗',
+    PRIVACY_PREVIEW_NO_JOURNAL: '請先輸入日誌再預覽',
     ANALYZING: 'AI 分析中 ...',
     COMPLETE: '✅ 完成！',
+    AI_PARTIAL_FALLBACK: '筆 AI 無法分類，已改用關鍵字分類',
     KEYWORD_MODE: '關鍵字分類模式',
+    AI_CANCELLED: '已取消 AI 分析，改用關鍵字分類',
+    CACHE_CLEARED: '✅ 已清除分類快取',
+    CACHE_CLEAR_FAILED: '清除分類快取失敗',
+    CLASSIFIER_IMPORTED: '✅ 已匯入分類模型',
+    CLASSIFIER_IMPORT_FAILED: '分類模型檔案無效',
+    CLASSIFIER_RESET_CONFIRM: '確定要清除自學分類模型的所有紀錄嗎？',
+    CLASSIFIER_RESET: '✅ 已重設分類模型',
+    CLASSIFIER_RESET_FAILED: '重設分類模型失敗',
+    CLASSIFIER_EMPTY: '尚無手動分類紀錄',
+    RULES_SAVED: '✅ 已儲存關鍵字規則，下次以關鍵字分類時套用',
+    RULES_INVALID: '部分規則有誤，請修正後再儲存',
+    RULES_SAVE_FAILED: '儲存關鍵字規則失敗',
+    CATEGORIES_SAVED: '✅ 已更新類別',
+    CATEGORIES_SAVE_FAILED: '儲存類別失敗',
+    CATEGORIES_INVALID: '部分類別有誤，請修正後再儲存',
+    ESTIMATES_PENDING: '筆未評分條目的沉浸度為預估值（趨勢圖中的空心點），可採用或修改：',
+    ESTIMATE_ACCEPT: '採用',
+    ESTIMATE_ACCEPT_ALL: '全部採用',
+    HISTORY_RESTORED: '✅ 已開啟',
+    HISTORY_NOT_FOUND: '找不到這一天的分析紀錄',
+    HISTORY_LOAD_FAILED: '讀取歷史紀錄失敗',
+    HISTORY_DELETE_CONFIRM: '天的分析紀錄將被刪除，確定嗎？',
+    HISTORY_DELETE_FAILED: '刪除歷史紀錄失敗',
+    HISTORY_NONE_SELECTED: '請先勾選要刪除的日期',
+    HISTORY_EMPTY: '尚無分析紀錄，分析日誌後會自動儲存於此',
+    RULES_PREVIEW_EMPTY: '沒有條目會因此改變分類',
+    RULES_PREVIEW_NO_JOURNAL: '請先輸入日誌再預覽',
     NO_VALID_LOG: '未偵測到有效日誌',
     SCREENSHOT_FAILED: '截圖失敗',
     AI_CONNECTION_FAILED: 'AI 連線失敗',
     AI_THINKING: 'AI 思考中 ...',
+    ADVICE_STOPPED: '已停止產生',
     STABLE_ENERGY: '能量狀態平穩。',
     NO_DATA: '無足夠數據',
-    DRAG_HERE: '拖曳至此'
+    DRAG_HERE: '拖曳至此',
+    ALL_DAYS: '全部日期',
+    UNDATED: '未標日期',
+    DIAGNOSTICS_TITLE: '解析提示',
+    IMPORT_SUCCESS: '✅ 已匯入',
+    IMPORT_EMPTY: '檔案中沒有可匯入的時段',
+    IMPORT_FAILED: '匯入失敗',
+    IMPORT_MAPPING_INCOMPLETE: '請至少對應「開始時間」與「結束時間」或「時長」欄位',
+    IMPORT_UNTITLED: '（未命名）',
+    FORMAT_NOTE_UNSUPPORTED: '每日筆記不支援格式化，以免打亂筆記其他內容'
+};
+
+// Parser diagnostics
+export const DIAGNOSTIC_SEVERITY = {
+    ERROR: 'error',
+    WARNING: 'warning',
+    INFO: 'info'
+};
+
+export const DIAGNOSTIC_MESSAGES = {
+    UNRECOGNIZED_LINE: '無法辨識的行，已略過',
+    INVALID_TIME: '時間格式無效，此條目已略過',
+    NO_IMMERSION: '未標記沉浸度（❚ / [4] / ⚡4 / 4/5，或以 [-] 標記不評分），沉浸度視為 0',
+    END_BEFORE_START: '結束時間早於開始時間，視為跨夜並於午夜切分',
+    ZERO_DURATION: '開始與結束時間相同，時長為 0',
+    ORPHAN_NOTE: '想法或行動前沒有時間條目，未歸屬任何時段',
+    OVERLAP: '與其他時段重疊',
+    IMMERSION_OUT_OF_RANGE: '沉浸度超出範圍，已調整',
+    UNKNOWN_CATEGORY: '未知的類別標記，已保留於內容中',
+    DAY_OVER_24H: '當日總時數超過 24 小時，已自動修正重疊時段',
+    AMBIGUOUS_TIME: '時間寫法有歧義，已解讀為',
+    COMPACT_TIME: '四位數時間（如 0900-1000）已解讀為',
+    OPEN_ENDED: '進行中的條目，結束時間推定為',
+    IGNORED_NOTE_LINE: '非時間日誌內容，已忽略',
+    NOTE_SECTION_NOT_FOUND: '找不到時間日誌區段（標題或 timelog 標記），已解析整份筆記',
+    NOTE_LINES_OUTSIDE_SECTION: '時間日誌區段外的內容已略過',
+    NOTE_NO_DATE: '筆記未提供日期（front matter 或檔名），條目視為未標日期'
+};
+
+// How an open-ended entry's end time was inferred
+export const OPEN_END_SOURCES = {
+    NEXT_ENTRY: '下一條目開始',
+    NOW: '目前時間',
+    END_OF_DAY: '當日結束'
+};
+
+// Where an estimated immersion came from
+export const IMMERSION_ESTIMATE_SOURCES = {
+    ai: 'AI 預估',
+    history: '依相似條目'
 };
 
 // Time constants
 export const TIME = {
     MINUTES_PER_HOUR: 60,
     MINUTES_PER_DAY: 1440,
-    MESSAGE_FADE_DURATION: 4000  // 4 seconds
+    MESSAGE_FADE_DURATION: 4000,  // 4 seconds
+    OPEN_END_MARKER: '進行中'      // Written for entries still in progress
 };
 
 // Demo data
@@ -132,9 +601,41 @@ export const DEMO_DATA = `- 07:00 ~ 08:00 起床 + 弄早餐 ❚❚❚
 - 19:00 ~ 21:00 個人專案開發 ❚❚❚❚❚
 - 21:00 ~ 22:00 放鬆 ❚`;
 
-// Category keywords for fallback classification
+// Category keywords for fallback classification (the default keyword rules)
 export const CATEGORY_KEYWORDS = {
-    [CATEGORIES.RELAX_BED]: ['睡', 'sleep', 'nap', '休息', '放鬆'],
     [CATEGORIES.WORK]: ['slide', '工作', '開會', 'meeting', '會議'],
-    [CATEGORIES.DEVELOPMENT]: ['讀書', '學習', 'study', 'learning', '閱讀', '開發']
+    [CATEGORIES.DEVELOPMENT]: ['讀書', '學習', 'study', 'learning', '閱讀', '開發'],
+    [CATEGORIES.SOCIAL]: ['朋友', '聚餐', '聚會', '約會', 'friend', 'party'],
+    [CATEGORIES.FAMILY]: ['家人', '父母', '爸', '媽', 'family'],
+    [CATEGORIES.RELAX_BED]: ['睡', 'sleep', 'nap', '休息', '放鬆']
+};
+
+// Keyword rule engine
+export const KEYWORD_RULE_CONFIG = {
+    STORAGE_KEY: 'keyword_rules',
+    // Priorities of the default rules: higher wins, so "開會後放鬆" is work
+    DEFAULT_PRIORITIES: {
+        [CATEGORIES.WORK]: 50,
+        [CATEGORIES.DEVELOPMENT]: 40,
+        [CATEGORIES.SOCIAL]: 30,
+        [CATEGORIES.FAMILY]: 30,
+        [CATEGORIES.RELAX_BED]: 20
+    },
+    // Entries starting at night are rest unless a keyword rule matches
+    NIGHT_RULE: {
+        category: CATEGORIES.RELAX_BED,
+        timeStart: '00:00',
+        timeEnd: '07:00',
+        priority: 0
+    },
+    PREVIEW_LIMIT: 50
+};
+
+// Keyword rule validation messages
+export const KEYWORD_RULE_ERRORS = {
+    NO_CRITERIA: '請至少填寫關鍵字、正規表示式或時段',
+    INVALID_PATTERN: '正規表示式無效',
+    INVALID_TIME: '時段需為 HH:MM 格式',
+    INVALID_PRIORITY: '優先順序需為整數',
+    UNKNOWN_CATEGORY: '未知的類別'
 };
@@ -0,0 +1,140 @@
+/**
+ * Database Module
+ * Promise wrapper around the app's IndexedDB database
+ */
+
+import { DB_CONFIG } from './constants.js';
+
+let databasePromise = null;
+
+/**
+ * Open the database, creating missing object stores on upgrade
+ * The connection is shared; a failed open is retried on the next call.
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+export function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_CONFIG.NAME, DB_CONFIG.VERSION);
+
+            request.onupgradeneeded = () => {
+                const database = request.result;
+                Object.values(DB_CONFIG.STORES).forEach(storeName => {
+                    if (!database.objectStoreNames.contains(storeName)) {
+                        database.createObjectStore(storeName, { keyPath: 'key' });
+                    }
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        databasePromise.catch(() => {
+            databasePromise = null;
+        });
+    }
+
+    return databasePromise;
+}
+
+/**
+ * Wait for a request to finish
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+function whenDone(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} transaction - IndexedDB transaction
+ * @returns {Promise<void>}
+ */
+function whenCommitted(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Read records by key
+ * @param {string} storeName - Object store name
+ * @param {Array} keys - Record keys
+ * @returns {Promise<Map>} key -> record, for the keys that exist
+ */
+export async function getRecords(storeName, keys) {
+    const database = await openDatabase();
+    const store = database.transaction(storeName, 'readonly').objectStore(storeName);
+    const records = await Promise.all(keys.map(key => whenDone(store.get(key))));
+
+    return new Map(
+        records
+            .filter(Boolean)
+            .map(record => [record.key, record])
+    );
+}
+
+/**
+ * Read every record of a store
+ * @param {string} storeName - Object store name
+ * @returns {Promise<Array>} Records
+ */
+export async function getAllRecords(storeName) {
+    const database = await openDatabase();
+    const store = database.transaction(storeName, 'readonly').objectStore(storeName);
+    return whenDone(store.getAll());
+}
+
+/**
+ * Insert or replace records
+ * @param {string} storeName - Object store name
+ * @param {Array} records - Records with a `key` field
+ * @returns {Promise<void>}
+ */
+export async function putRecords(storeName, records) {
+    const database = await openDatabase();
+    const transaction = database.transaction(storeName, 'readwrite');
+    const store = transaction.objectStore(storeName);
+
+    records.forEach(record => store.put(record));
+    return whenCommitted(transaction);
+}
+
+/**
+ * Delete records by key
+ * @param {string} storeName - Object store name
+ * @param {Array} keys - Record keys
+ * @returns {Promise<void>}
+ */
+export async function deleteRecords(storeName, keys) {
+    const database = await openDatabase();
+    const transaction = database.transaction(storeName, 'readwrite');
+    const store = transaction.objectStore(storeName);
+
+    keys.forEach(key => store.delete(key));
+    return whenCommitted(transaction);
+}
+
+/**
+ * Delete every record of a store
+ * @param {string} storeName - Object store name
+ * @returns {Promise<void>}
+ */
+export async function clearStore(storeName) {
+    const database = await openDatabase();
+    const transaction = database.transaction(storeName, 'readwrite');
+
+    transaction.objectStore(storeName).clear();
+    return whenCommitted(transaction);
+}
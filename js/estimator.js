@@ -0,0 +1,217 @@
+/**
+ * Immersion Estimator Module
+ * Suggests an immersion level for entries logged without one, which would
+ * otherwise be left out of the immersion charts and analysis. Offline, an
+ * estimate is the similarity-weighted average of the user's own rated
+ * entries with similar content, from the current log and from earlier
+ * analyses (kept in IndexedDB). Estimated entries are marked until the user
+ * accepts or changes the value.
+ */
+
+import { ESTIMATE_CONFIG, DB_CONFIG, IMMERSION_SCALE } from './constants.js';
+import { getAllRecords, putRecords } from './database.js';
+import { getCacheKey } from './cache.js';
+import { extractTextFeatures } from './classifier.js';
+import { getRestCategory } from './categories.js';
+import { getUserEntries } from './parser.js';
+
+const STORE = DB_CONFIG.STORES.IMMERSION_HISTORY;
+
+/**
+ * List the entries that need an estimate: user entries without a rating
+ * (or with an estimate already), except rest and entries explicitly marked
+ * as not rated ([-])
+ * @param {Array} entries - Log entries
+ * @returns {Array} Entries to estimate (both parts of an entry split at
+ *   midnight)
+ */
+export function getEntriesToEstimate(entries) {
+    const restCategory = getRestCategory();
+
+    return getUserEntries(entries).filter(entry =>
+        (!entry.immersion || entry.immersionEstimated) && !entry.unrated && entry.category !== restCategory
+    );
+}
+
+/**
+ * List the entries whose immersion is an estimate
+ * @param {Array} entries - Log entries
+ * @returns {Array} Estimated entries, one per id
+ */
+export function getEstimatedEntries(entries) {
+    return entries.filter((entry, index) =>
+        entry.immersionEstimated && entries.findIndex(other => other.id === entry.id) === index
+    );
+}
+
+/**
+ * Whether an entry carries a rating the user gave
+ * @param {Object} entry - Log entry
+ * @returns {boolean} True for rated, non-estimated entries
+ */
+export function isRatedByUser(entry) {
+    return entry.immersion > 0 && !entry.immersionEstimated;
+}
+
+/**
+ * Remember the user's ratings for later offline estimates
+ * An entry remembered before keeps its latest rating.
+ * @param {Array} entries - Log entries
+ * @returns {Promise<void>}
+ */
+export async function rememberRatings(entries) {
+    try {
+        const records = getUserEntries(entries)
+            .filter(entry => isRatedByUser(entry) && !entry.continuation)
+            .map(createHistoryRecord);
+
+        if (records.length > 0) {
+            await putRecords(STORE, records);
+        }
+    } catch (error) {
+        console.error('Failed to save immersion history:', error);
+    }
+}
+
+/**
+ * Estimate immersion from similar rated entries
+ * Ratings in the current log replace remembered ones for the same entry.
+ * Entries without a similar enough rated entry get no estimate.
+ * @param {Array} entries - Entries to estimate
+ * @param {Array} allEntries - Every entry of the current log
+ * @returns {Promise<Map>} id -> immersion
+ */
+export async function estimateFromHistory(entries, allEntries) {
+    let history = [];
+    try {
+        history = await getAllRecords(STORE);
+    } catch (error) {
+        console.error('Failed to load immersion history:', error);
+    }
+
+    const examples = new Map(history.map(record => [record.key, record]));
+    getUserEntries(allEntries)
+        .filter(entry => isRatedByUser(entry) && !entry.continuation)
+        .forEach(entry => examples.set(getHistoryKey(entry), createHistoryRecord(entry)));
+
+    const rated = [...examples.values()].map(example => ({
+        immersion: example.immersion,
+        vector: toVector(example)
+    }));
+
+    const estimates = new Map();
+    entries.forEach(entry => {
+        if (estimates.has(entry.id)) return;
+
+        const vector = toVector(entry);
+        const neighbours = rated
+            .map(example => ({ immersion: example.immersion, similarity: cosineSimilarity(vector, example.vector) }))
+            .filter(({ similarity }) => similarity >= ESTIMATE_CONFIG.MIN_SIMILARITY)
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, ESTIMATE_CONFIG.NEIGHBOURS);
+
+        if (neighbours.length > 0) {
+            const weight = neighbours.reduce((sum, { similarity }) => sum + similarity, 0);
+            const average = neighbours.reduce((sum, { immersion, similarity }) => sum + immersion * similarity, 0) / weight;
+            estimates.set(entry.id, normalizeImmersion(average));
+        }
+    });
+
+    return estimates;
+}
+
+/**
+ * Mark estimates on entries
+ * Parts of an entry split at midnight share an id and get the same value.
+ * @param {Array} entries - Entries to estimate
+ * @param {Map} estimates - id -> immersion
+ * @param {string} source - 'ai' or 'history'
+ * @returns {number} Number of entries (ids) estimated
+ */
+export function applyEstimates(entries, estimates, source) {
+    const estimated = new Set();
+
+    entries.forEach(entry => {
+        const value = estimates.get(entry.id);
+        if (value !== undefined) {
+            entry.immersion = value;
+            entry.immersionEstimated = true;
+            entry.immersionSource = source;
+            estimated.add(entry.id);
+        }
+    });
+
+    return estimated.size;
+}
+
+/**
+ * Round an immersion value to the scale's step and clamp it to the scale
+ * @param {number} value - Immersion value
+ * @returns {number|null} Immersion, or null if the value is not a number
+ */
+export function normalizeImmersion(value) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        return null;
+    }
+
+    const rounded = Math.round(number / IMMERSION_SCALE.STEP) * IMMERSION_SCALE.STEP;
+    return Math.min(Math.max(rounded, IMMERSION_SCALE.MIN), IMMERSION_SCALE.MAX);
+}
+
+/**
+ * Build the history key of an entry: its date plus its cache key, so each
+ * day's rating of a recurring entry is remembered
+ * @param {Object} entry - Log entry
+ * @returns {string} History key
+ */
+function getHistoryKey(entry) {
+    return `${entry.date || ''}|${getCacheKey(entry)}`;
+}
+
+/**
+ * Create a stored rating
+ * @param {Object} entry - Rated log entry
+ * @returns {Object} History record
+ */
+function createHistoryRecord(entry) {
+    return {
+        key: getHistoryKey(entry),
+        immersion: entry.immersion,
+        content: entry.content,
+        tags: entry.tags || [],
+        people: entry.people || [],
+        updatedAt: Date.now()
+    };
+}
+
+/**
+ * Count an entry's text features
+ * @param {Object} entry - Entry or history record
+ * @returns {Map} feature -> count
+ */
+function toVector(entry) {
+    const vector = new Map();
+    extractTextFeatures(entry).forEach(feature => vector.set(feature, (vector.get(feature) || 0) + 1));
+    return vector;
+}
+
+/**
+ * Cosine similarity of two feature vectors
+ * @param {Map} a - feature -> count
+ * @param {Map} b - feature -> count
+ * @returns {number} Similarity between 0 and 1
+ */
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    a.forEach((count, feature) => {
+        dot += count * (b.get(feature) || 0);
+    });
+
+    if (dot === 0) {
+        return 0;
+    }
+
+    const norm = vector => Math.sqrt([...vector.values()].reduce((sum, count) => sum + count * count, 0));
+    return dot / (norm(a) * norm(b));
+}
@@ -0,0 +1,217 @@
+/**
+ * History Module
+ * Keeps every analyzed day in IndexedDB, one record per date: the lines of
+ * the journal it was parsed from, its categorized entries (with kanban
+ * corrections), the AI advice about it and its productivity score, so a past
+ * day's dashboard can be reopened after a reload. Analyzing a day again
+ * replaces its record; an undated day is keyed by its text, so analyzing the
+ * same undated journal again replaces its record too.
+ */
+
+import { DB_CONFIG, HISTORY_CONFIG, MESSAGES } from './constants.js';
+import { getRecords, getAllRecords, putRecords, deleteRecords } from './database.js';
+import { calculateProductivityScore, calculateTotalTime } from './analyzer.js';
+import { getUserEntries } from './parser.js';
+
+const STORE = DB_CONFIG.STORES.DAY_HISTORY;
+
+/**
+ * Save analyzed days
+ * @param {Array} days - Days {date, label, entries, sourceLines}
+ * @param {Object} analysis - {rawText, advice}
+ * @returns {Promise<boolean>} Success status
+ */
+export async function saveDays(days, analysis) {
+    try {
+        const records = createDayRecords(days, analysis);
+        if (records.length > 0) {
+            await putRecords(STORE, records);
+        }
+        return true;
+    } catch (error) {
+        console.error('Failed to save history:', error);
+        return false;
+    }
+}
+
+/**
+ * Create the stored records of analyzed days
+ * Days without entries of their own are skipped, including a day holding
+ * only the morning part of last night's entry, which would otherwise replace
+ * that date's full record. An undated day is listed under today's date, with
+ * a key made from its text (kept on the day as historyKey, so later saves of
+ * the same analysis update it after edits). The advice is about every day
+ * analyzed, so it is only kept when a single day was analyzed.
+ * @param {Array} days - Days {date, label, entries, sourceLines}
+ * @param {Object} analysis - {rawText, advice}
+ * @returns {Array} Day records
+ */
+export function createDayRecords(days, { rawText, advice }) {
+    const ownDays = days.filter(day => getUserEntries(day.entries).some(entry => !entry.continuation));
+    const dayAdvice = ownDays.length === 1 ? advice : '';
+    return ownDays.map(day => createDayRecord(day, rawText, dayAdvice));
+}
+
+/**
+ * List the saved days, newest first (dated days before undated ones saved
+ * on the same date)
+ * @returns {Promise<Array>} [{key, date, label, undated, entryCount,
+ *   totalTime, productivityScore, hasAdvice, savedAt}]
+ * @throws {Error} If the history cannot be read
+ */
+export async function listDays() {
+    let records;
+    try {
+        records = await getAllRecords(STORE);
+    } catch (error) {
+        console.error('Failed to load history:', error);
+        throw new Error(MESSAGES.HISTORY_LOAD_FAILED);
+    }
+
+    return records
+        .map(({ key, date, label, undated, entryCount, totalTime, productivityScore, advice, savedAt }) => ({
+            key, date, label, undated, entryCount, totalTime, productivityScore, hasAdvice: Boolean(advice), savedAt
+        }))
+        .sort((a, b) => b.date.localeCompare(a.date) || a.undated - b.undated || b.savedAt - a.savedAt);
+}
+
+/**
+ * Load a saved day
+ * @param {string} key - Day key
+ * @returns {Promise<Object|null>} Day record, or null if there is none
+ * @throws {Error} If the history cannot be read
+ */
+export async function loadDay(key) {
+    try {
+        return (await getRecords(STORE, [key])).get(key) || null;
+    } catch (error) {
+        console.error('Failed to load history:', error);
+        throw new Error(MESSAGES.HISTORY_LOAD_FAILED);
+    }
+}
+
+/**
+ * Delete saved days
+ * @param {Array} keys - Day keys
+ * @returns {Promise<void>}
+ * @throws {Error} If the days cannot be deleted
+ */
+export async function deleteDays(keys) {
+    try {
+        await deleteRecords(STORE, keys);
+    } catch (error) {
+        console.error('Failed to delete history:', error);
+        throw new Error(MESSAGES.HISTORY_DELETE_FAILED);
+    }
+}
+
+/**
+ * Export saved days as a JSON file
+ * @param {Array} keys - Day keys; every saved day when empty
+ * @returns {Promise<string>} JSON file content
+ * @throws {Error} If the history cannot be read
+ */
+export async function exportDays(keys) {
+    let records;
+    try {
+        records = keys.length > 0
+            ? [...(await getRecords(STORE, keys)).values()]
+            : await getAllRecords(STORE);
+    } catch (error) {
+        console.error('Failed to export history:', error);
+        throw new Error(MESSAGES.HISTORY_LOAD_FAILED);
+    }
+
+    return JSON.stringify({
+        format: HISTORY_CONFIG.FILE_FORMAT,
+        version: HISTORY_CONFIG.FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        days: records
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .map(({ key, ...day }) => day)
+    }, null, 2);
+}
+
+/**
+ * Create the stored record of a day
+ * @param {Object} day - Day {date, label, entries, sourceLines}
+ * @param {string} rawText - Journal text the day was parsed from
+ * @param {string} advice - AI advice about the day
+ * @returns {Object} Day record
+ */
+function createDayRecord(day, rawText, advice) {
+    const savedAt = Date.now();
+    const date = day.date || formatLocalDate(new Date(savedAt));
+    const { text, entries } = sliceDay(day, rawText);
+    if (!day.historyKey) {
+        day.historyKey = day.date || `${HISTORY_CONFIG.UNDATED_KEY_PREFIX}${hashText(text)}`;
+    }
+
+    const userEntries = getUserEntries(entries);
+
+    return {
+        key: day.historyKey,
+        date,
+        label: day.label,
+        undated: !day.date,
+        rawText: text,
+        entries,
+        advice: advice || '',
+        entryCount: userEntries.filter(entry => !entry.continuation).length,
+        totalTime: calculateTotalTime(userEntries),
+        productivityScore: calculateProductivityScore(entries),
+        savedAt
+    };
+}
+
+/**
+ * Cut a day's own lines out of the journal text
+ * Entry ids are line numbers, so they are renumbered to point at the same
+ * lines of the cut text. Entries from lines of another day (the morning part
+ * of last night's entry) get ids past the end of the text, which are never
+ * written back.
+ * @param {Object} day - Day {entries, sourceLines}
+ * @param {string} rawText - Journal text the day was parsed from
+ * @returns {Object} {text, entries}: the day's text and renumbered entries
+ */
+function sliceDay(day, rawText) {
+    const lines = rawText.split('\n');
+    const sourceLines = day.sourceLines || [];
+    const ids = new Map(sourceLines.map((index, position) => [index + 1, position + 1]));
+
+    const entries = day.entries.map(entry => {
+        if (entry.id <= 0) {
+            return entry;
+        }
+        if (!ids.has(entry.id)) {
+            ids.set(entry.id, sourceLines.length + ids.size + 1);
+        }
+        return { ...entry, id: ids.get(entry.id) };
+    });
+
+    return { text: sourceLines.map(index => lines[index]).join('\n'), entries };
+}
+
+/**
+ * Hash text into a short key (32-bit FNV-1a, in hex)
+ * @param {string} text - Text
+ * @returns {string} Hash
+ */
+function hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Format a Date as YYYY-MM-DD in local time
+ * @param {Date} date - Date
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function formatLocalDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
@@ -0,0 +1,454 @@
+/**
+ * Importer Module
+ * Converts CSV and iCalendar exports into the day/entry objects the parser
+ * produces, so imported time data goes through the same analysis
+ */
+
+import {
+    IMMERSION_SCALE,
+    IMPORT_CONFIG,
+    MESSAGES,
+    TIME
+} from './constants.js';
+import { calculateDuration } from './parser.js';
+import { minutesToTime, timeToMinutes } from './timeline.js';
+import { resolveCategory, getDefaultCategory } from './categories.js';
+
+/**
+ * CSV column mapping management
+ */
+export const CsvMappingManager = {
+    /**
+     * Save column mapping to localStorage
+     * @param {Object} mapping - Field → column header
+     * @returns {boolean} Success status
+     */
+    save(mapping) {
+        try {
+            localStorage.setItem(IMPORT_CONFIG.CSV_MAPPING_STORAGE_KEY, JSON.stringify(mapping));
+            return true;
+        } catch (error) {
+            console.error('Failed to save CSV mapping:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Load column mapping from localStorage
+     * @returns {Object|null} Stored mapping or null
+     */
+    load() {
+        try {
+            const stored = localStorage.getItem(IMPORT_CONFIG.CSV_MAPPING_STORAGE_KEY);
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            console.error('Failed to load CSV mapping:', error);
+            return null;
+        }
+    }
+};
+
+/**
+ * Get the import format for a file name
+ * @param {string} fileName - File name
+ * @returns {string} 'csv', 'ics' or 'text'
+ */
+export function getImportFormat(fileName) {
+    const extension = fileName.split('.').pop().toLowerCase();
+
+    if (extension === 'csv' || extension === 'tsv') {
+        return 'csv';
+    }
+    if (extension === 'ics' || extension === 'ical') {
+        return 'ics';
+    }
+    return 'text';
+}
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted cells, escaped quotes, CRLF line endings, and detects
+ * comma, semicolon or tab delimiters from the header line.
+ * @param {string} text - CSV text
+ * @returns {Array} Rows (arrays of strings)
+ */
+export function parseCsv(text) {
+    const source = text.replace(/^\uFEFF/, '');
+    const headerLine = source.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t']
+        .reduce((best, candidate) =>
+            headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best, ',');
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Guess a column mapping from CSV headers
+ * Recognizes Toggl-style exports ("Start date", "Start time", "Duration",
+ * "Description", "Project", "Tags") and simple "start,end,description" files.
+ * @param {Array} headers - Header cells
+ * @returns {Object} Field → column header (missing fields are omitted)
+ */
+export function detectCsvMapping(headers) {
+    const mapping = {};
+
+    Object.entries(IMPORT_CONFIG.CSV_HEADER_ALIASES).forEach(([field, aliases]) => {
+        // Aliases are listed by preference, e.g. "description" before "task"
+        const header = aliases
+            .map(alias => headers.find(candidate => candidate.trim().toLowerCase() === alias))
+            .find(Boolean);
+        if (header) {
+            mapping[field] = header;
+        }
+    });
+
+    return mapping;
+}
+
+/**
+ * Import CSV rows as days of entries
+ * @param {string} text - CSV text
+ * @param {Object} mapping - Field → column header: date, start, end,
+ *   duration, content, immersion, category, tags, project
+ * @returns {Array} Days {date, label, entries}
+ * @throws {Error} If required columns are not mapped
+ */
+export function importCsv(text, mapping) {
+    if (!mapping.start || (!mapping.end && !mapping.duration)) {
+        throw new Error(MESSAGES.IMPORT_MAPPING_INCOMPLETE);
+    }
+
+    const [headers, ...rows] = parseCsv(text);
+    const column = field => (mapping[field] ? headers.indexOf(mapping[field]) : -1);
+    const read = (cells, field) => {
+        const index = column(field);
+        return index >= 0 ? (cells[index] || '').trim() : '';
+    };
+
+    const records = rows.map(cells => {
+        const start = parseDateTime(read(cells, 'start'), read(cells, 'date'));
+        if (!start) return null;
+
+        let end = parseDateTime(read(cells, 'end'), read(cells, 'endDate') || start.date);
+        if (!end) {
+            const minutes = parseDurationMinutes(read(cells, 'duration'));
+            if (minutes === null) return null;
+            end = {
+                date: start.date,
+                time: minutesToTime((timeToMinutes(start.time) + minutes) % TIME.MINUTES_PER_DAY)
+            };
+        }
+
+        const tags = [
+            ...read(cells, 'project').split(/[,;]/),
+            ...read(cells, 'tags').split(/[,;]/)
+        ].map(toLabel).filter(Boolean);
+
+        return {
+            date: start.date,
+            start: start.time,
+            end: end.time,
+            content: read(cells, 'content'),
+            immersion: parseImmersionValue(read(cells, 'immersion')),
+            category: read(cells, 'category'),
+            tags
+        };
+    });
+
+    return groupRecordsByDay(records.filter(Boolean));
+}
+
+/**
+ * Import VEVENTs from iCalendar text as days of entries
+ * All-day events are skipped. UTC times ("...Z") are converted to local time.
+ * The end comes from DTEND, or from DTSTART plus DURATION ("PT1H30M").
+ * Immersion is read from an X-IMMERSION property when present.
+ * @param {string} text - iCalendar text
+ * @returns {Array} Days {date, label, entries}
+ */
+export function importIcs(text) {
+    // Unfold continuation lines (RFC 5545 §3.1)
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const records = [];
+    let event = null;
+
+    lines.forEach(line => {
+        if (line === 'BEGIN:VEVENT') {
+            event = {};
+            return;
+        }
+
+        if (line === 'END:VEVENT') {
+            const record = convertEvent(event);
+            if (record) records.push(record);
+            event = null;
+            return;
+        }
+
+        if (!event) return;
+
+        const separator = line.indexOf(':');
+        if (separator < 0) return;
+
+        const [name, ...params] = line.slice(0, separator).split(';');
+        event[name.toUpperCase()] = {
+            value: line.slice(separator + 1),
+            params: params.map(param => param.toUpperCase())
+        };
+    });
+
+    return groupRecordsByDay(records);
+}
+
+/**
+ * Convert a parsed VEVENT into an entry record
+ * @param {Object} event - Properties {NAME: {value, params}}
+ * @returns {Object|null} Record or null if the event has no usable times
+ */
+function convertEvent(event) {
+    if (!event || !event.DTSTART || event.DTSTART.params.includes('VALUE=DATE')) {
+        return null;
+    }
+
+    const start = parseIcsDateTime(event.DTSTART.value);
+    if (!start) return null;
+
+    let end = event.DTEND ? parseIcsDateTime(event.DTEND.value) : null;
+    if (!end && event.DURATION) {
+        const minutes = parseIcsDuration(event.DURATION.value);
+        end = minutes === null ? null : {
+            date: start.date,
+            time: minutesToTime((timeToMinutes(start.time) + minutes) % TIME.MINUTES_PER_DAY)
+        };
+    }
+    if (!end) return null;
+
+    const categories = event.CATEGORIES
+        ? unescapeIcsText(event.CATEGORIES.value).split(',').map(name => name.trim())
+        : [];
+    const category = categories.map(resolveCategory).find(Boolean) || '';
+
+    return {
+        date: start.date,
+        start: start.time,
+        end: end.time,
+        content: event.SUMMARY ? unescapeIcsText(event.SUMMARY.value) : '',
+        immersion: event['X-IMMERSION'] ? parseImmersionValue(event['X-IMMERSION'].value) : 0,
+        category,
+        tags: categories.filter(name => name !== category).map(toLabel).filter(Boolean)
+    };
+}
+
+/**
+ * Parse an iCalendar DATE-TIME value ("20261019T090000" or "...Z")
+ * @param {string} value - DATE-TIME value
+ * @returns {Object|null} {date, time} in local time, or null if invalid
+ */
+function parseIcsDateTime(value) {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})\d{0,2}(Z?)$/);
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute, utc] = match;
+
+    if (utc) {
+        const local = new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute));
+        return {
+            date: formatLocalDate(local),
+            time: minutesToTime(local.getHours() * TIME.MINUTES_PER_HOUR + local.getMinutes())
+        };
+    }
+
+    return { date: `${year}-${month}-${day}`, time: `${hour}:${minute}` };
+}
+
+/**
+ * Parse an iCalendar DURATION value ("PT1H30M", "PT45M", "P1DT2H", "P1W")
+ * @param {string} value - DURATION value
+ * @returns {number|null} Minutes, or null if invalid or negative
+ */
+function parseIcsDuration(value) {
+    const match = value.match(/^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match || value.endsWith('P') || value.endsWith('T')) return null;
+
+    const [weeks, days, hours, minutes] = match.slice(1, 5).map(part => Number(part || 0));
+    return (weeks * 7 + days) * TIME.MINUTES_PER_DAY + hours * TIME.MINUTES_PER_HOUR + minutes;
+}
+
+/**
+ * Unescape iCalendar TEXT values
+ * @param {string} value - Escaped text
+ * @returns {string} Plain text
+ */
+function unescapeIcsText(value) {
+    return value
+        .replace(/\\n/gi, ' ')
+        .replace(/\\([,;\\])/g, '$1')
+        .trim();
+}
+
+/**
+ * Parse a date and/or time cell
+ * Accepts "2026-10-19 09:00", "2026/10/19T09:00:00", "09:00" and "9:00 PM";
+ * the date may also come from a separate column.
+ * @param {string} value - Cell containing a time, optionally with a date
+ * @param {string} dateValue - Separate date cell (may be empty)
+ * @returns {Object|null} {date, time} or null if no time was found
+ */
+function parseDateTime(value, dateValue) {
+    const dateMatch = `${value} ${dateValue || ''}`.match(/(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+    const timeMatch = value.match(/(?:^|[T\s])(\d{1,2}):(\d{2})(?::\d{2})?\s*([AaPp][Mm])?/);
+    if (!timeMatch) return null;
+
+    let hour = Number(timeMatch[1]);
+    const minute = Number(timeMatch[2]);
+    const meridiem = timeMatch[3]?.toLowerCase();
+
+    if (meridiem === 'pm' && hour < 12) hour += 12;
+    if (meridiem === 'am' && hour === 12) hour = 0;
+    if (hour > 23 || minute > 59) return null;
+
+    const date = dateMatch
+        ? `${dateMatch[1]}-${dateMatch[2].padStart(2, '0')}-${dateMatch[3].padStart(2, '0')}`
+        : null;
+
+    return { date, time: minutesToTime(hour * TIME.MINUTES_PER_HOUR + minute) };
+}
+
+/**
+ * Parse a duration cell ("01:30:00", "1:30" or minutes "90")
+ * @param {string} value - Duration cell
+ * @returns {number|null} Minutes, or null if invalid
+ */
+function parseDurationMinutes(value) {
+    const clockMatch = value.match(/^(\d+):(\d{2})(?::(\d{2}))?$/);
+    if (clockMatch) {
+        return Number(clockMatch[1]) * TIME.MINUTES_PER_HOUR + Number(clockMatch[2]);
+    }
+
+    const minutes = Number(value);
+    return value !== '' && Number.isFinite(minutes) ? Math.round(minutes) : null;
+}
+
+/**
+ * Parse an immersion cell: a number ("4", "3.5") or bars ("❚❚❚", "|||")
+ * A value off the scale is kept as it is; once the imported journal is
+ * parsed, it is clamped to the scale with a warning on its line.
+ * @param {string} value - Immersion cell
+ * @returns {number} Immersion rounded to the scale step, the value as it is
+ *   if off the scale, or 0 if not rated
+ */
+function parseImmersionValue(value) {
+    const trimmed = (value || '').trim();
+    const bars = trimmed.match(/^[❚|]+$/);
+    const number = bars ? trimmed.length : Number(trimmed);
+
+    if (!trimmed || !Number.isFinite(number) || number <= 0) {
+        return 0;
+    }
+
+    const rounded = Math.round(number / IMMERSION_SCALE.STEP) * IMMERSION_SCALE.STEP;
+    return rounded >= IMMERSION_SCALE.MIN && rounded <= IMMERSION_SCALE.MAX ? rounded : number;
+}
+
+/**
+ * Turn a project or tag name into a single-word label
+ * @param {string} value - Raw name
+ * @returns {string} Label without whitespace or reserved characters
+ */
+function toLabel(value) {
+    return value.trim().replace(/[\s#@[\]]+/g, '_');
+}
+
+/**
+ * Format a Date as YYYY-MM-DD in local time
+ * @param {Date} date - Date
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function formatLocalDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Group imported records into days of parser-shaped entries
+ * Ids are assigned in order; they are replaced by line numbers once the
+ * imported journal text is parsed again.
+ * @param {Array} records - Records {date, start, end, content, immersion, category, tags}
+ * @returns {Array} Days {date, label, entries} sorted by date
+ */
+function groupRecordsByDay(records) {
+    const days = new Map();
+
+    records
+        // Undated records first: without a heading they would join the previous day
+        .sort((a, b) => `${a.date || ''} ${a.start}`.localeCompare(`${b.date || ''} ${b.start}`))
+        .forEach((record, index) => {
+            if (!days.has(record.date)) {
+                days.set(record.date, {
+                    date: record.date,
+                    label: record.date || MESSAGES.UNDATED,
+                    entries: []
+                });
+            }
+
+            const categoryOverride = resolveCategory(record.category);
+
+            days.get(record.date).entries.push({
+                id: index + 1,
+                start: record.start,
+                end: record.end,
+                content: record.content.replace(/\s+/g, ' ').trim() || MESSAGES.IMPORT_UNTITLED,
+                immersion: record.immersion,
+                unrated: false,
+                duration: calculateDuration(record.start, record.end),
+                category: categoryOverride || getDefaultCategory(),
+                categoryOverride,
+                tags: [...new Set(record.tags)],
+                people: [],
+                thoughts: [],
+                actions: [],
+                date: record.date
+            });
+        });
+
+    return [...days.values()];
+}
@@ -3,48 +3,175 @@
  * Orchestrates all modules and handles application flow
  */
 
-import { DEMO_DATA, MESSAGES } from './constants.js';
+import {
+    DEMO_DATA,
+    CATEGORIES,
+    MESSAGES,
+    KEY_VAULT_CONFIG,
+    AI_ERROR_MESSAGES
+} from './constants.js';
 import {
     parseLogText,
-    addSleepPeriodIfMissing,
     validateEntries,
-    getUserEntries
+    getUserEntries,
+    getEntriesToCategorize
 } from './parser.js';
+import { prepareTimeline } from './timeline.js';
+import {
+    formatJournalText,
+    serializeJournal,
+    setCategoryOverrideInText,
+    setImmersionInText
+} from './serializer.js';
+import { parseDailyNote, looksLikeDailyNote } from './notes.js';
+import {
+    CsvMappingManager,
+    getImportFormat,
+    parseCsv,
+    detectCsvMapping,
+    importCsv,
+    importIcs
+} from './importer.js';
 import {
-    ApiKeyManager,
+    ProviderSettingsManager,
     categorizeWithAI,
     categorizeWithKeywords,
-    generateAIAdvice
+    generateAIAdvice,
+    askCoach,
+    estimateImmersionWithAI,
+    buildPromptPreview
 } from './api.js';
+import {
+    getEntriesToEstimate,
+    getEstimatedEntries,
+    rememberRatings,
+    estimateFromHistory,
+    applyEstimates
+} from './estimator.js';
+import {
+    PromptTemplateManager,
+    getDefaultTemplate,
+    createPreset,
+    validateTemplate
+} from './prompts.js';
+import {
+    RedactionManager,
+    getRedactor,
+    createRedactor,
+    updateRedactionSettings
+} from './redaction.js';
+import { resolveProviderConfig, isProviderReady } from './providers.js';
+import {
+    listKeys,
+    getSelectedKeyId,
+    selectKey,
+    saveKey,
+    removeKey,
+    readKey,
+    isVaultEncrypted,
+    isVaultLocked,
+    unlockVault,
+    lockVault,
+    touchVault,
+    onVaultAutoLock,
+    enableEncryption,
+    disableEncryption
+} from './vault.js';
+import { saveDays, listDays, loadDay, deleteDays, exportDays } from './history.js';
+import { applyCachedCategories, cacheAICategories, cacheManualCategory, clearCategoryCache } from './cache.js';
+import {
+    KeywordRuleManager,
+    createDefaultRules,
+    validateRule,
+    previewRuleChanges
+} from './rules.js';
+import {
+    createDefaultCategories,
+    createCategory,
+    getCategories,
+    validateCategories,
+    updateCategories,
+    resolveCategory,
+    getDefaultCategory
+} from './categories.js';
+import {
+    loadClassifier,
+    getClassifierSize,
+    learnCategories,
+    exportClassifierModel,
+    importClassifierModel,
+    resetClassifier
+} from './classifier.js';
 import {
     initializeChartDefaults,
     renderImmersionChart,
     renderImmersionDistChart,
-    renderCategoryChart
+    renderCategoryChart,
+    renderTagChart,
+    renderPeopleChart
 } from './charts.js';
 import {
     calculateCategoryStats,
     calculateImmersionDistribution,
     calculateTotalTime,
+    calculateCoverage,
     analyzeImmersionByCategory,
+    analyzeByTag,
+    analyzeByPerson,
     identifyEnergyTransitions,
-    groupEntriesByCategory
+    groupEntriesByCategory,
+    getSummaryStats
 } from './analyzer.js';
 import {
     initializeUI,
     setAnalyzeButtonLoading,
     showStatusMessage,
     showApiKeySaveMessage,
+    setCancelAIVisible,
+    setAdviceControls,
+    setCoachChatVisible,
+    getCoachQuestion,
+    setCoachQuestion,
+    setCoachChatBusy,
+    renderCoachChat,
+    renderPinnedAnswers,
     showResults,
     getLogInput,
-    getApiKey,
-    setApiKey,
+    setLogInput,
+    bindImportHandlers,
+    bindClassifierImport,
+    openClassifierImport,
+    showClassifierSummary,
+    downloadTextFile,
+    openImportPicker,
+    showCsvMappingDialog,
+    showRulesDialog,
+    showCategoriesDialog,
+    showPrivacyDialog,
+    showPromptsDialog,
+    showHistoryDialog,
+    renderAdviceOptions,
+    getAdviceOptions,
+    isResolveOverlapsEnabled,
+    getInputMode,
+    getNoteHeadings,
+    isEndOfDaySleepEnabled,
+    isEstimateImmersionEnabled,
+    renderImmersionEstimates,
+    getProviderSettings,
+    setProviderSettings,
+    renderApiKeys,
+    renderVaultStatus,
+    showPassphraseDialog,
     fillDemoData,
     renderImmersionAnalysis,
     renderTrendAnalysis,
     renderAILessons,
     renderStats,
     renderCategoryKanban,
+    renderDaySelector,
+    renderDiagnostics,
+    setReportDate,
     downloadScreenshot,
     copySummaryImage
 } from './ui.js';
@@ -54,31 +181,76 @@ import {
  */
 class AppState {
     constructor() {
+        this.days = [];
         this.entries = [];
         this.thoughts = [];
         this.actions = [];
+        this.selectedDate = null;  // null = all days
+        this.rawText = '';         // Text the current entries were parsed from
+        this.sourceName = null;    // File name of the imported note (for its date)
+        this.advice = '';          // AI coach advice for the current entries
+        this.coachTurns = [];      // Follow-up chat [{role, content, pinned}]
     }
 
     reset() {
+        this.rawText = '';
+        this.days = [];
         this.entries = [];
         this.thoughts = [];
         this.actions = [];
+        this.selectedDate = null;
+        this.advice = '';
+        this.coachTurns = [];
     }
 
-    setData(entries, thoughts, actions) {
-        this.entries = entries;
+    setData(rawText, days, thoughts, actions) {
+        this.rawText = rawText;
+        this.days = days;
+        this.entries = days.flatMap(day => day.entries);
         this.thoughts = thoughts;
         this.actions = actions;
+        this.selectedDate = null;
     }
 
-    getEntries() {
+    selectDay(date) {
+        this.selectedDate = date;
+    }
+
+    getDays() {
+        return this.days;
+    }
+
+    getSelectedDay() {
+        return this.days.find(day => day.date === this.selectedDate) || null;
+    }
+
+    getAllEntries() {
         return this.entries;
     }
+
+    getEntries() {
+        const day = this.getSelectedDay();
+        return day ? day.entries : this.entries;
+    }
 }
 
 // Global app state
 const appState = new AppState();
 
+// Cancels the AI requests of the current analysis
+let aiController = null;
+
+// Counts analysis runs; a run stops once a newer run or a restored day has
+// replaced it
+let analysisRun = 0;
+
+// Stops the advice currently being streamed
+let adviceController = null;
+
+// Stops the coach chat answer being written, and its text so far
+let chatController = null;
+let chatPartial = '';
+
 /**
  * Initialize application
  */
@@ -99,50 +271,514 @@ function initialize() {
 
         initializeUI();
         initializeChartDefaults();
+        bindImportHandlers(handleImportFile);
+        bindClassifierImport(handleImportClassifier);
+        loadClassifier().then(() => showClassifierSummary(getClassifierSize()));
 
-        // Load saved API key
-        const savedKey = ApiKeyManager.load();
-        if (savedKey) {
-            setApiKey(savedKey);
-        }
+        // Load saved AI provider settings
+        migratePlainKeys().then(() => {
+            const settings = ProviderSettingsManager.load();
+            showStoredProvider(settings, settings.active);
+        });
+
+        showAdviceOptions();
+
+        // Any input counts as activity for the key vault's auto-lock
+        ['pointerdown', 'keydown'].forEach(type => document.addEventListener(type, touchVault, { passive: true }));
+        onVaultAutoLock(() => {
+            showVaultStatus();
+            showStatusMessage(MESSAGES.VAULT_AUTO_LOCKED, 'info');
+        });
     };
 
     checkLibraries();
 }
 
 /**
- * Save API key
+ * Move API keys stored in plain provider settings by earlier versions into
+ * the key vault
+ * @returns {Promise<void>}
  */
-function handleSaveApiKey() {
-    const key = getApiKey();
+async function migratePlainKeys() {
+    const { providers } = ProviderSettingsManager.load();
+    const plainKeys = Object.entries(providers).filter(([, providerSettings]) => providerSettings.apiKey);
 
-    if (key) {
-        const success = ApiKeyManager.save(key);
-        showApiKeySaveMessage(success);
-    } else {
+    if (plainKeys.length === 0 || isVaultLocked()) {
+        return;
+    }
+
+    try {
+        for (const [provider, { apiKey }] of plainKeys) {
+            await saveKey(provider, KEY_VAULT_CONFIG.DEFAULT_KEY_NAME, apiKey);
+        }
+        ProviderSettingsManager.removeKeys();
+    } catch (error) {
+        console.error('Failed to move API keys:', error);
+    }
+}
+
+/**
+ * Show a provider's stored settings and keys in the settings form
+ * @param {Object} settings - Stored settings {active, providers}
+ * @param {string} provider - Provider id
+ */
+function showStoredProvider(settings, provider) {
+    setProviderSettings({ provider, ...settings.providers[provider] });
+    renderApiKeys(listKeys(provider), getSelectedKeyId(provider));
+    showVaultStatus();
+}
+
+/**
+ * Show whether stored keys are encrypted and unlocked
+ */
+function showVaultStatus() {
+    renderVaultStatus({ encrypted: isVaultEncrypted(), locked: isVaultLocked() });
+}
+
+/**
+ * Resolve the provider config for AI requests
+ * A newly entered key is used as-is; otherwise the selected stored key is
+ * read, asking for the passphrase first if the key vault is locked.
+ * Without a usable key the config has none (see isProviderReady).
+ * @returns {Promise<Object>} Provider config from resolveProviderConfig
+ */
+async function getActiveProvider() {
+    const settings = getProviderSettings();
+
+    if (!settings.apiKey && settings.keyId && (!isVaultLocked() || await handleUnlockVault())) {
+        try {
+            settings.apiKey = await readKey(settings.keyId) || '';
+        } catch (error) {
+            console.error('Failed to read API key:', error);
+        }
+    }
+
+    return resolveProviderConfig(settings);
+}
+
+/**
+ * Switch the settings form to another provider
+ */
+function handleChangeProvider() {
+    showStoredProvider(ProviderSettingsManager.load(), getProviderSettings().provider);
+}
+
+/**
+ * Save AI provider settings and make the provider active
+ * A newly entered key is stored under its name (replacing a key of the same
+ * name) and selected.
+ */
+async function handleSaveAISettings() {
+    const { provider, baseUrl, model, apiKey, keyName, keyId } = getProviderSettings();
+
+    if (!apiKey && !keyId && !isProviderReady(resolveProviderConfig({ provider }))) {
         showApiKeySaveMessage(false);
+        return;
+    }
+
+    if (apiKey) {
+        if (isVaultLocked() && !await handleUnlockVault()) {
+            return;
+        }
+
+        try {
+            await saveKey(provider, keyName || KEY_VAULT_CONFIG.DEFAULT_KEY_NAME, apiKey);
+        } catch (error) {
+            showStatusMessage(error.message, 'error');
+            return;
+        }
     }
+
+    const settings = ProviderSettingsManager.load();
+    settings.active = provider;
+    settings.providers[provider] = { baseUrl, model };
+    showApiKeySaveMessage(ProviderSettingsManager.save(settings));
+    showStoredProvider(settings, provider);
 }
 
 /**
- * Clear API key
+ * Delete the selected API key of the selected provider
  */
 function handleClearApiKey() {
-    ApiKeyManager.clear();
-    setApiKey('');
+    const { provider, keyId } = getProviderSettings();
+
+    if (keyId) {
+        removeKey(keyId);
+    }
+    renderApiKeys(listKeys(provider), getSelectedKeyId(provider));
+}
+
+/**
+ * Use another stored key for the selected provider
+ */
+function handleSelectApiKey() {
+    const { provider, keyId } = getProviderSettings();
+
+    if (keyId) {
+        selectKey(provider, keyId);
+    }
+}
+
+/**
+ * Ask for the passphrase and unlock the key vault
+ * @returns {Promise<boolean>} True if unlocked
+ */
+async function handleUnlockVault() {
+    const unlocked = await showPassphraseDialog(false, async passphrase =>
+        (await unlockVault(passphrase)) ? null : MESSAGES.VAULT_WRONG_PASSPHRASE
+    );
+
+    showVaultStatus();
+    if (unlocked) {
+        showStatusMessage(MESSAGES.VAULT_UNLOCKED, 'success');
+    }
+    return unlocked;
+}
+
+/**
+ * Lock the key vault, or unlock it if locked
+ */
+async function handleToggleVaultLock() {
+    if (isVaultLocked()) {
+        await handleUnlockVault();
+        return;
+    }
+
+    lockVault();
+    showVaultStatus();
+}
+
+/**
+ * Encrypt the stored keys with a passphrase, or change the passphrase
+ */
+async function handleEncryptApiKeys() {
+    if (isVaultLocked() && !await handleUnlockVault()) {
+        return;
+    }
+
+    const encrypted = await showPassphraseDialog(true, async passphrase => {
+        try {
+            await enableEncryption(passphrase);
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    });
+
+    showVaultStatus();
+    if (encrypted) {
+        showStatusMessage(MESSAGES.VAULT_ENCRYPTED, 'success');
+    }
+}
+
+/**
+ * Decrypt the stored keys and remove the passphrase
+ */
+async function handleDecryptApiKeys() {
+    if (!confirm(MESSAGES.VAULT_DECRYPT_CONFIRM)) {
+        return;
+    }
+    if (isVaultLocked() && !await handleUnlockVault()) {
+        return;
+    }
+
+    try {
+        await disableEncryption();
+        showStatusMessage(MESSAGES.VAULT_DECRYPTED, 'info');
+    } catch (error) {
+        showStatusMessage(error.message, 'error');
+    }
+    showVaultStatus();
+}
+
+/**
+ * Clear cached categorizations so the next analysis asks the AI again
+ */
+async function handleClearCategoryCache() {
+    const success = await clearCategoryCache();
+    showStatusMessage(success ? MESSAGES.CACHE_CLEARED : MESSAGES.CACHE_CLEAR_FAILED, success ? 'success' : 'error');
+}
+
+/**
+ * Download the learned classifier as a model file
+ */
+async function handleExportClassifier() {
+    const model = await exportClassifierModel();
+    downloadTextFile(model, `category_model_${new Date().toISOString().split('T')[0]}.json`);
+}
+
+/**
+ * Import a classifier model file
+ * @param {File} file - Model file
+ */
+async function handleImportClassifier(file) {
+    try {
+        const count = await importClassifierModel(await file.text());
+        showStatusMessage(`${MESSAGES.CLASSIFIER_IMPORTED}（${count} 筆）`, 'success');
+    } catch (error) {
+        console.error('Classifier import failed:', error);
+        showStatusMessage(error.message, 'error');
+    }
+
+    showClassifierSummary(getClassifierSize());
+}
+
+/**
+ * Forget everything the classifier has learned
+ */
+async function handleResetClassifier() {
+    if (!confirm(MESSAGES.CLASSIFIER_RESET_CONFIRM)) {
+        return;
+    }
+
+    const success = await resetClassifier();
+    showStatusMessage(success ? MESSAGES.CLASSIFIER_RESET : MESSAGES.CLASSIFIER_RESET_FAILED, success ? 'success' : 'error');
+    showClassifierSummary(getClassifierSize());
+}
+
+/**
+ * Edit the keyword categorization rules
+ * The preview compares the saved rules with the edited ones on the analyzed
+ * entries, or on the current input when nothing was analyzed yet.
+ */
+async function handleEditKeywordRules() {
+    const currentRules = KeywordRuleManager.load();
+
+    const rules = await showRulesDialog(currentRules, {
+        createDefaults: createDefaultRules,
+        validate: draft => draft.map(validateRule),
+        preview: draft => {
+            const entries = getEntriesToCategorize(
+                appState.getAllEntries().length > 0
+                    ? appState.getAllEntries()
+                    : parseInput(getLogInput()).entries
+            );
+            return entries.length > 0 ? previewRuleChanges(entries, currentRules, draft) : null;
+        }
+    });
+
+    if (!rules) {
+        return;
+    }
+
+    const success = KeywordRuleManager.save(rules);
+    showStatusMessage(success ? MESSAGES.RULES_SAVED : MESSAGES.RULES_SAVE_FAILED, success ? 'success' : 'error');
+}
+
+/**
+ * Edit the categories
+ * Entries already analyzed follow renames and merges; entries of a deleted
+ * category move to the default category.
+ */
+async function handleEditCategories() {
+    const edited = await showCategoriesDialog(getCategories(), {
+        createDefaults: createDefaultCategories,
+        createCategory,
+        validate: validateCategories
+    });
+
+    if (!edited) {
+        return;
+    }
+
+    const success = updateCategories(edited);
+    showStatusMessage(success ? MESSAGES.CATEGORIES_SAVED : MESSAGES.CATEGORIES_SAVE_FAILED, success ? 'success' : 'error');
+
+    const entries = appState.getAllEntries();
+    if (entries.length === 0) {
+        return;
+    }
+
+    entries
+        .filter(entry => entry.category !== CATEGORIES.UNTRACKED)
+        .forEach(entry => {
+            entry.category = resolveCategory(entry.category) || getDefaultCategory();
+            if (entry.categoryOverride) {
+                entry.categoryOverride = resolveCategory(entry.categoryOverride);
+            }
+        });
+    updateDashboard();
+    saveToHistory();
+}
+
+/**
+ * Show the stored advice presets and output language next to the AI coach
+ */
+function showAdviceOptions() {
+    const { presets, activePreset, language } = PromptTemplateManager.load();
+    renderAdviceOptions(presets, activePreset, language);
+}
+
+/**
+ * Remember the advice preset and output language chosen next to the AI
+ * coach; they apply from the next advice or question
+ */
+function handleChangeAdviceOptions() {
+    PromptTemplateManager.save({ ...PromptTemplateManager.load(), ...getAdviceOptions() });
+}
+
+/**
+ * Edit the prompt templates
+ */
+async function handleEditPrompts() {
+    const settings = await showPromptsDialog(PromptTemplateManager.load(), {
+        getDefault: getDefaultTemplate,
+        createPreset,
+        validate: validateTemplate
+    });
+
+    if (!settings) {
+        return;
+    }
+
+    const success = PromptTemplateManager.save(settings);
+    showStatusMessage(success ? MESSAGES.PROMPTS_SAVED : MESSAGES.PROMPTS_SAVE_FAILED, success ? 'success' : 'error');
+    showAdviceOptions();
+}
+
+/**
+ * Edit the privacy redaction settings, previewing the prompts an analysis
+ * of the current journal would send
+ */
+async function handleEditPrivacy() {
+    const entries = appState.getAllEntries().length > 0
+        ? appState.getAllEntries()
+        : parseInput(getLogInput()).entries;
+
+    const settings = await showPrivacyDialog(RedactionManager.load(), draft => {
+        if (entries.length === 0) {
+            return null;
+        }
+
+        // Start from the placeholders already handed out, as a real request would
+        const redactor = createRedactor(draft, getRedactor().getReplacements());
+        const sections = buildPromptPreview(getEntriesToCategorize(entries), entries, redactor);
+        return { sections, replacements: redactor.getReplacements() };
+    });
+
+    if (!settings) {
+        return;
+    }
+
+    const success = updateRedactionSettings(settings);
+    showStatusMessage(success ? MESSAGES.PRIVACY_SAVED : MESSAGES.PRIVACY_SAVE_FAILED, success ? 'success' : 'error');
 }
 
 /**
  * Fill demo data
  */
 function handleFillDemoData() {
+    appState.sourceName = null;
     fillDemoData(DEMO_DATA);
 }
 
+/**
+ * Format log input into canonical journal text
+ * Daily notes are left untouched since the formatter would reflow the rest
+ * of the note (and Logseq's indentation) along with the time log.
+ */
+function handleFormatLog() {
+    const rawText = getLogInput();
+
+    if (isDailyNoteInput(rawText)) {
+        showStatusMessage(MESSAGES.FORMAT_NOTE_UNSUPPORTED, 'error');
+        return;
+    }
+
+    setLogInput(formatJournalText(rawText));
+}
+
+/**
+ * Import a CSV, iCalendar or plain-text file into the log input and analyze it
+ * @param {File} file - File chosen in the picker or dropped on the input
+ */
+async function handleImportFile(file) {
+    try {
+        const text = await file.text();
+        const format = getImportFormat(file.name);
+        let journalText = text;
+
+        if (format !== 'text') {
+            const days = format === 'csv' ? await importCsvWithMapping(text) : importIcs(text);
+            if (days === null) {
+                return;  // Mapping dialog cancelled
+            }
+            if (days.length === 0) {
+                showStatusMessage(MESSAGES.IMPORT_EMPTY, 'error');
+                return;
+            }
+            journalText = serializeJournal(days);
+        }
+
+        appState.sourceName = format === 'text' ? file.name : null;
+        setLogInput(journalText);
+        await handleAnalyzeLog();
+    } catch (error) {
+        console.error('Import failed:', error);
+        showStatusMessage(`${MESSAGES.IMPORT_FAILED}: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Ask for a CSV column mapping (pre-filled from the headers and the last
+ * saved mapping) and import the rows
+ * @param {string} text - CSV text
+ * @returns {Promise<Array|null>} Imported days, or null if cancelled
+ */
+async function importCsvWithMapping(text) {
+    const [headers = []] = parseCsv(text);
+    const initialMapping = detectCsvMapping(headers);
+
+    Object.entries(CsvMappingManager.load() || {}).forEach(([field, header]) => {
+        if (headers.includes(header)) {
+            initialMapping[field] = header;
+        }
+    });
+
+    const mapping = await showCsvMappingDialog(headers, initialMapping);
+    if (!mapping) {
+        return null;
+    }
+
+    CsvMappingManager.save(mapping);
+    return importCsv(text, mapping);
+}
+
+/**
+ * Parse the log input as a bare journal or as a full daily note
+ * In auto mode, text with front matter or a time log section is treated as a
+ * daily note.
+ * @param {string} rawText - Log input text
+ * @returns {Object} Parsed data (see parseLogText)
+ */
+function parseInput(rawText) {
+    if (!isDailyNoteInput(rawText)) {
+        return parseLogText(rawText);
+    }
+
+    return parseDailyNote(rawText, { fileName: appState.sourceName, headings: getNoteHeadings() });
+}
+
+/**
+ * Whether the log input should be handled as a daily note
+ * @param {string} rawText - Log input text
+ * @returns {boolean} True for note mode, or auto mode with a detected note
+ */
+function isDailyNoteInput(rawText) {
+    const mode = getInputMode();
+    const headings = getNoteHeadings();
+
+    return mode === 'note' ||
+        (mode === 'auto' && looksLikeDailyNote(rawText, headings.length ? headings : undefined));
+}
+
 /**
  * Analyze log - main processing function
  */
 async function handleAnalyzeLog() {
+    const run = ++analysisRun;
+    const isSuperseded = () => run !== analysisRun;
+
     setAnalyzeButtonLoading(true);
     showStatusMessage('');
 
@@ -152,16 +788,23 @@ async function handleAnalyzeLog() {
 
         // Parse log text
         const rawText = getLogInput();
-        const { entries, thoughts, actions } = parseLogText(rawText);
+        const { entries: parsedEntries, days, thoughts, actions, diagnostics } = parseInput(rawText);
 
         // Validate
-        validateEntries(entries);
+        validateEntries(parsedEntries);
 
-        // Add sleep period if missing
-        addSleepPeriodIfMissing(entries);
+        // Midnight splitting, sleep back-fill, overlap checks and untracked gaps
+        const timelineDiagnostics = prepareTimeline(days, {
+            resolveOverlaps: isResolveOverlapsEnabled(),
+            fillEndOfDaySleep: isEndOfDaySleepEnabled()
+        });
+
+        // Show line-level parser and timeline diagnostics
+        renderDiagnostics([...diagnostics, ...timelineDiagnostics].sort((a, b) => a.line - b.line));
 
         // Store in state
-        appState.setData(entries, thoughts, actions);
+        appState.setData(rawText, days, thoughts, actions);
+        const entries = appState.getAllEntries();
 
         // Debug: Log parsed entries
         console.log('Parsed entries:', entries);
@@ -174,30 +817,106 @@ async function handleAnalyzeLog() {
             });
         });
 
-        // Categorize entries
-        const apiKey = getApiKey();
-        const userEntries = getUserEntries(entries);
+        // Explicit [類別] overrides are confirmed categorizations: learn them
+        // before the classifier is asked about the remaining entries
+        await learnCategories(getUserEntries(entries)
+            .filter(entry => entry.categoryOverride && !entry.continuation)
+            .map(entry => ({ entry, category: entry.categoryOverride })));
+        if (isSuperseded()) {
+            return;
+        }
+        showClassifierSummary(getClassifierSize());
+
+        // Ratings are remembered for offline immersion estimates
+        await rememberRatings(entries);
+
+        // Categorize entries (explicit [類別] overrides are kept as-is);
+        // cached results, including manual kanban moves, are reused
+        const provider = await getActiveProvider();
+        const userEntries = await applyCachedCategories(getEntriesToCategorize(entries));
+        if (isSuperseded()) {
+            return;
+        }
+
+        // A new analysis cancels the previous one's AI requests
+        aiController?.abort();
+        adviceController?.abort();
+        chatController?.abort();
+        chatController = null;
+        setCoachChatBusy(false);
+        renderCoachChat([]);
+        renderPinnedAnswers([]);
+        setCoachChatVisible(isProviderReady(provider));
+        aiController = new AbortController();
+        const { signal } = aiController;
 
-        if (apiKey && userEntries.length > 0) {
+        if (isProviderReady(provider)) {
             // Use AI categorization
             showStatusMessage(MESSAGES.ANALYZING);
+            setCancelAIVisible(true);
 
             try {
-                await categorizeWithAI(userEntries, apiKey);
-                showStatusMessage(MESSAGES.COMPLETE, 'success');
+                const { fallbackCount } = userEntries.length > 0
+                    ? await categorizeWithAI(userEntries, provider, signal)
+                    : { fallbackCount: 0 };
+                if (isSuperseded()) {
+                    return;
+                }
+                cacheAICategories(userEntries.filter(entry => entry.categorySource === 'ai'));
+
+                if (fallbackCount > 0) {
+                    showStatusMessage(`${fallbackCount} ${MESSAGES.AI_PARTIAL_FALLBACK}`, 'info');
+                } else {
+                    showStatusMessage(MESSAGES.COMPLETE, 'success');
+                }
             } catch (error) {
+                if (isSuperseded()) {
+                    return;
+                }
+                // Categories the AI returned before the failure are kept
                 console.error('AI categorization failed, falling back to keywords:', error);
-                categorizeWithKeywords(userEntries);
-                showStatusMessage(MESSAGES.KEYWORD_MODE, 'info');
+                categorizeWithKeywords(userEntries.filter(entry => entry.categorySource !== 'ai'));
+
+                if (signal.aborted) {
+                    showStatusMessage(MESSAGES.AI_CANCELLED, 'info');
+                } else {
+                    showStatusMessage(`${MESSAGES.KEYWORD_MODE}：${error.message}`, 'error');
+                }
+            } finally {
+                if (!isSuperseded()) {
+                    setCancelAIVisible(false);
+                }
+            }
+
+            // Estimated immersion is part of what the advice is about
+            if (isEstimateImmersionEnabled() && !signal.aborted) {
+                setCancelAIVisible(true);
+                await estimateUnratedImmersion(entries, provider, signal);
+                if (isSuperseded()) {
+                    return;
+                }
+                setCancelAIVisible(false);
             }
 
             // Generate AI advice asynchronously
-            generateAIAdviceAsync(entries, apiKey);
+            if (signal.aborted) {
+                renderAILessons(`<p class="text-slate-400 italic">${AI_ERROR_MESSAGES.CANCELLED}</p>`);
+                setAdviceControls('done');
+            } else {
+                generateAIAdviceAsync(entries, provider);
+            }
         } else {
             // Use keyword categorization
             categorizeWithKeywords(userEntries);
+            if (isEstimateImmersionEnabled()) {
+                await estimateUnratedImmersion(entries, null);
+                if (isSuperseded()) {
+                    return;
+                }
+            }
             showStatusMessage(MESSAGES.KEYWORD_MODE, 'info');
             renderAILessons('');
+            setAdviceControls('idle');
         }
 
         // Update dashboard
@@ -206,28 +925,207 @@ async function handleAnalyzeLog() {
         // Show results
         showResults();
 
+        saveToHistory();
+
     } catch (error) {
+        if (isSuperseded()) {
+            return;
+        }
         console.error('Analysis error:', error);
         alert('分析失敗: ' + error.message);
         showStatusMessage('分析失敗', 'error');
     } finally {
-        setAnalyzeButtonLoading(false);
+        if (!isSuperseded()) {
+            setAnalyzeButtonLoading(false);
+        }
+    }
+}
+
+/**
+ * Estimate the immersion of unrated entries
+ * The AI is asked when a provider is given; entries it leaves out, or all of
+ * them when it fails, are estimated from similar rated entries.
+ * @param {Array} entries - Log entries
+ * @param {Object|null} provider - Provider config, or null to stay offline
+ * @param {AbortSignal} [signal] - Cancels the AI request
+ */
+async function estimateUnratedImmersion(entries, provider, signal) {
+    let pending = getEntriesToEstimate(entries);
+    if (pending.length === 0) {
+        return;
+    }
+
+    if (provider) {
+        try {
+            const estimates = await estimateImmersionWithAI(pending, entries, provider, signal);
+            applyEstimates(pending, estimates, 'ai');
+            pending = pending.filter(entry => !estimates.has(entry.id));
+        } catch (error) {
+            console.error('AI immersion estimate failed, using similar entries:', error);
+        }
+    }
+
+    if (pending.length > 0) {
+        applyEstimates(pending, await estimateFromHistory(pending, entries), 'history');
     }
 }
 
 /**
  * Generate AI advice asynchronously (non-blocking)
+ * The advice is streamed into the card as it is written. Stopping keeps the
+ * text received so far; a failure after some text also keeps it and appends
+ * the error.
+ * @param {Array} entries - Log entries
+ * @param {Object} provider - Provider config from resolveProviderConfig
  */
-async function generateAIAdviceAsync(entries, apiKey) {
+async function generateAIAdviceAsync(entries, provider) {
+    adviceController?.abort();
+    const controller = new AbortController();
+    adviceController = controller;
+
+    let partial = '';
     renderAILessons(null); // Show loading state
+    setAdviceControls('streaming');
 
     try {
-        const advice = await generateAIAdvice(entries, apiKey);
+        const advice = await generateAIAdvice(entries, provider, controller.signal, text => {
+            partial = text;
+            renderAILessons(text);
+        });
         renderAILessons(advice);
+        appState.advice = advice;
+        saveToHistory();
     } catch (error) {
         console.error('AI advice generation failed:', error);
-        renderAILessons('<p class="text-red-500">AI 連線失敗</p>');
+
+        // Requests superseded by a newer analysis must not overwrite the card
+        if (controller !== adviceController) {
+            return;
+        }
+
+        if (controller.signal.aborted) {
+            appState.advice = partial;
+            saveToHistory();
+            renderAILessons(partial
+                ? `${partial}\n\n*（${MESSAGES.ADVICE_STOPPED}）*`
+                : `<p class="text-slate-400 italic">${MESSAGES.ADVICE_STOPPED}</p>`);
+        } else {
+            renderAILessons(`${partial ? `${partial}\n\n` : ''}<p class="text-red-500">${error.message}</p>`);
+        }
+    }
+
+    if (controller === adviceController) {
+        setAdviceControls('done');
+        adviceController = null;
+    }
+}
+
+/**
+ * Stop the advice being streamed, keeping what was written so far
+ */
+function handleStopAdvice() {
+    adviceController?.abort();
+}
+
+/**
+ * Ask the AI coach again for the current entries
+ */
+async function handleRegenerateAdvice() {
+    const entries = appState.getAllEntries();
+    const provider = await getActiveProvider();
+
+    if (entries.length === 0 || !isProviderReady(provider)) {
+        renderAILessons('');
+        setAdviceControls('idle');
+        return;
     }
+
+    generateAIAdviceAsync(entries, provider);
+}
+
+/**
+ * Ask the AI coach a follow-up question, or stop the answer being written
+ * A question that gets no answer is dropped from the conversation and put
+ * back into the input.
+ */
+async function handleSendCoachMessage() {
+    // The send button doubles as the stop button while an answer is written
+    if (chatController) {
+        chatController.abort();
+        return;
+    }
+
+    const question = getCoachQuestion();
+    const provider = await getActiveProvider();
+    if (!question || !isProviderReady(provider)) {
+        return;
+    }
+
+    const entries = appState.getAllEntries();
+    const turns = appState.coachTurns;
+    const controller = new AbortController();
+    chatController = controller;
+    chatPartial = '';
+
+    turns.push({ role: 'user', content: question, pinned: false });
+    setCoachQuestion('');
+    setCoachChatBusy(true);
+    renderCoachChat(turns, '');
+
+    let errorMessage = '';
+
+    try {
+        const answer = await askCoach(
+            { entries, stats: getSummaryStats(entries), advice: appState.advice },
+            turns.map(({ role, content }) => ({ role, content })),
+            provider,
+            controller.signal,
+            text => {
+                chatPartial = text;
+                renderCoachChat(turns, text);
+            }
+        );
+        turns.push({ role: 'assistant', content: answer, pinned: false });
+    } catch (error) {
+        // A new analysis started a new conversation
+        if (controller !== chatController) {
+            return;
+        }
+
+        if (chatPartial) {
+            const note = controller.signal.aborted ? MESSAGES.ADVICE_STOPPED : error.message;
+            turns.push({ role: 'assistant', content: `${chatPartial}\n\n*（${note}）*`, pinned: false });
+        } else {
+            turns.pop();
+            setCoachQuestion(question);
+            errorMessage = controller.signal.aborted ? '' : error.message;
+        }
+    }
+
+    chatController = null;
+    chatPartial = '';
+    setCoachChatBusy(false);
+    renderCoachChat(turns, null, errorMessage);
+}
+
+/**
+ * Pin a coach answer into the report, or unpin it
+ * @param {number} index - Index of the answer in the conversation
+ */
+function handlePinCoachAnswer(index) {
+    const turn = appState.coachTurns[index];
+    if (!turn) return;
+
+    turn.pinned = !turn.pinned;
+    renderCoachChat(appState.coachTurns, chatController ? chatPartial : null);
+    renderPinnedAnswers(appState.coachTurns);
+}
+
+/**
+ * Cancel the running AI categorization and advice requests
+ */
+function handleCancelAI() {
+    aiController?.abort();
 }
 
 /**
@@ -237,11 +1135,19 @@ function updateDashboard() {
     const entries = appState.getEntries();
     console.log('Updating dashboard with', entries.length, 'entries');
 
+    // Render day selector and report date
+    const selectedDay = appState.getSelectedDay();
+    renderDaySelector(appState.getDays(), appState.selectedDate, handleSelectDay);
+    setReportDate(selectedDay ? selectedDay.label : null);
+
     // Calculate statistics
     const categoryStats = calculateCategoryStats(entries);
     const immersionDist = calculateImmersionDistribution(entries);
     const totalTime = calculateTotalTime(entries);
+    const coverage = calculateCoverage(entries);
     const immersionAnalysis = analyzeImmersionByCategory(entries);
+    const tagAnalysis = analyzeByTag(entries);
+    const peopleAnalysis = analyzeByPerson(entries);
     const transitions = identifyEnergyTransitions(entries);
     const groupedEntries = groupEntriesByCategory(entries);
 
@@ -253,6 +1159,8 @@ function updateDashboard() {
         renderImmersionChart(entries);
         renderImmersionDistChart(immersionDist);
         renderCategoryChart(categoryStats);
+        renderTagChart(tagAnalysis);
+        renderPeopleChart(peopleAnalysis);
         console.log('Charts rendered successfully');
     } catch (error) {
         console.error('Error rendering charts:', error);
@@ -263,10 +1171,22 @@ function updateDashboard() {
     renderTrendAnalysis(transitions);
 
     // Render stats
-    renderStats(categoryStats, totalTime);
+    renderStats(categoryStats, totalTime, coverage);
 
     // Render kanban
     renderCategoryKanban(groupedEntries, handleKanbanDrop);
+
+    // Render estimated immersion awaiting confirmation
+    renderImmersionEstimates(getEstimatedEntries(entries), handleAcceptEstimates);
+}
+
+/**
+ * Handle day selection
+ * @param {string|null} date - Selected date, or null for all days
+ */
+function handleSelectDay(date) {
+    appState.selectDay(date);
+    updateDashboard();
 }
 
 /**
@@ -275,15 +1195,186 @@ function updateDashboard() {
  * @param {string} newCategory - New category
  */
 function handleKanbanDrop(entryId, newCategory) {
-    const entries = appState.getEntries();
-    const entry = entries.find(e => e.id == entryId);
+    // Both halves of an entry split at midnight share the same id
+    const matches = appState.getAllEntries().filter(e => e.id == entryId);
 
-    if (entry && entry.category !== newCategory) {
-        entry.category = newCategory;
+    if (matches.some(entry => entry.category !== newCategory)) {
+        matches.forEach(entry => {
+            entry.category = newCategory;
+            entry.categoryOverride = newCategory;
+            entry.categorySource = 'manual';
+        });
+
+        if (Number(entryId) > 0) {
+            const entry = matches.find(match => !match.continuation) || matches[0];
+            cacheManualCategory(entry, newCategory);
+            learnCategories([{ entry, category: newCategory }])
+                .then(() => showClassifierSummary(getClassifierSize()));
+        }
+        writeCategoryBack(Number(entryId), newCategory);
         updateDashboard();
+        saveToHistory();
     }
 }
 
+/**
+ * Confirm estimated immersion, as estimated or changed by the user
+ * Confirmed values become ratings: they are written back into the log input
+ * as bars and remembered for later estimates.
+ * @param {Array} changes - [{id, immersion}]
+ */
+function handleAcceptEstimates(changes) {
+    const confirmed = [];
+
+    changes.forEach(({ id, immersion }) => {
+        // Both halves of an entry split at midnight share the same id
+        const matches = appState.getAllEntries().filter(entry => entry.id === id);
+        matches.forEach(entry => {
+            entry.immersion = immersion;
+            entry.immersionEstimated = false;
+            entry.immersionSource = 'manual';
+        });
+
+        confirmed.push(...matches);
+        writeLineBack(id, text => setImmersionInText(text, id, immersion));
+    });
+
+    rememberRatings(confirmed);
+    updateDashboard();
+    saveToHistory();
+}
+
+/**
+ * Record a kanban re-categorization as a [類別] marker in the log input
+ * @param {number} entryId - Entry ID (one-based line number)
+ * @param {string} category - New category
+ */
+function writeCategoryBack(entryId, category) {
+    writeLineBack(entryId, text => setCategoryOverrideInText(text, entryId, category));
+}
+
+/**
+ * Rewrite an entry's line in the log input
+ * Skipped for auto-generated entries, and when the text was edited after the
+ * last analysis (line numbers would no longer match).
+ * @param {number} entryId - Entry ID (one-based line number)
+ * @param {Function} update - Takes the text, returns the updated text or null
+ */
+function writeLineBack(entryId, update) {
+    if (entryId <= 0 || getLogInput() !== appState.rawText) {
+        return;
+    }
+
+    const updatedText = update(appState.rawText);
+    if (updatedText !== null) {
+        setLogInput(updatedText);
+        appState.rawText = updatedText;
+    }
+}
+
+/**
+ * Save the analyzed days to the history store
+ * Runs in the background; a failure is only logged.
+ */
+function saveToHistory() {
+    saveDays(appState.getDays(), { rawText: appState.rawText, advice: appState.advice });
+}
+
+/**
+ * Browse the saved days: reopen one, delete or export them
+ */
+async function handleOpenHistory() {
+    let days;
+    try {
+        days = await listDays();
+    } catch (error) {
+        showStatusMessage(error.message, 'error');
+        return;
+    }
+
+    const key = await showHistoryDialog(days, {
+        remove: async keys => {
+            if (!confirm(`${keys.length} ${MESSAGES.HISTORY_DELETE_CONFIRM}`)) {
+                return null;
+            }
+            await deleteDays(keys);
+            return listDays();
+        },
+        exportDays: async keys => {
+            downloadTextFile(await exportDays(keys), `journal_history_${new Date().toISOString().split('T')[0]}.json`);
+        }
+    });
+
+    if (key) {
+        await restoreDay(key);
+    }
+}
+
+/**
+ * Reopen a saved day: put its journal text back into the input and restore
+ * the dashboard, kanban and advice as they were saved
+ * Categories renamed or merged since are resolved to their current names.
+ * @param {string} key - Day key
+ */
+async function restoreDay(key) {
+    let record;
+    try {
+        record = await loadDay(key);
+    } catch (error) {
+        showStatusMessage(error.message, 'error');
+        return;
+    }
+
+    if (!record) {
+        showStatusMessage(MESSAGES.HISTORY_NOT_FOUND, 'error');
+        return;
+    }
+
+    // Reopening a day ends the current analysis and its AI requests
+    analysisRun++;
+    setAnalyzeButtonLoading(false);
+    setCancelAIVisible(false);
+    aiController?.abort();
+    adviceController?.abort();
+    adviceController = null;
+    chatController?.abort();
+    chatController = null;
+    setCoachChatBusy(false);
+    renderCoachChat([]);
+    renderPinnedAnswers([]);
+    renderDiagnostics([]);
+
+    record.entries
+        .filter(entry => entry.category !== CATEGORIES.UNTRACKED)
+        .forEach(entry => {
+            entry.category = resolveCategory(entry.category) || getDefaultCategory();
+            if (entry.categoryOverride) {
+                entry.categoryOverride = resolveCategory(entry.categoryOverride);
+            }
+        });
+
+    // The record keeps only the day's own lines, numbered as its entry ids
+    appState.reset();
+    appState.sourceName = null;
+    setLogInput(record.rawText);
+    appState.setData(record.rawText, [{
+        date: record.undated ? null : record.date,
+        label: record.label,
+        entries: record.entries,
+        sourceLines: record.rawText.split('\n').map((line, index) => index),
+        historyKey: record.key
+    }], [], []);
+    appState.advice = record.advice;
+
+    renderAILessons(record.advice);
+    setAdviceControls(record.advice ? 'done' : 'idle');
+    setCoachChatVisible(Boolean(record.advice));
+
+    updateDashboard();
+    showResults();
+    showStatusMessage(`${MESSAGES.HISTORY_RESTORED} ${record.date}`, 'success');
+}
+
 /**
  * Handle screenshot download
  */
@@ -294,9 +1385,31 @@ function handleDownloadScreenshot() {
 /**
  * Expose functions to global scope for HTML onclick handlers
  */
-window.saveApiKey = handleSaveApiKey;
+window.changeProvider = handleChangeProvider;
+window.saveAISettings = handleSaveAISettings;
 window.clearApiKey = handleClearApiKey;
+window.selectApiKey = handleSelectApiKey;
+window.toggleVaultLock = handleToggleVaultLock;
+window.encryptApiKeys = handleEncryptApiKeys;
+window.decryptApiKeys = handleDecryptApiKeys;
+window.cancelAI = handleCancelAI;
+window.stopAdvice = handleStopAdvice;
+window.regenerateAdvice = handleRegenerateAdvice;
+window.sendCoachMessage = handleSendCoachMessage;
+window.pinCoachAnswer = handlePinCoachAnswer;
+window.clearCategoryCache = handleClearCategoryCache;
+window.exportClassifier = handleExportClassifier;
+window.openClassifierImport = openClassifierImport;
+window.resetClassifier = handleResetClassifier;
+window.editKeywordRules = handleEditKeywordRules;
+window.editCategories = handleEditCategories;
+window.editPrivacy = handleEditPrivacy;
+window.editPrompts = handleEditPrompts;
+window.changeAdviceOptions = handleChangeAdviceOptions;
 window.fillDemoData = handleFillDemoData;
+window.formatLog = handleFormatLog;
+window.openImportPicker = openImportPicker;
+window.openHistory = handleOpenHistory;
 window.analyzeLog = handleAnalyzeLog;
 window.downloadScreenshot = handleDownloadScreenshot;
 window.copySummaryImage = copySummaryImage;
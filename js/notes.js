@@ -0,0 +1,201 @@
+/**
+ * Daily Notes Module
+ * Locates the time log inside Obsidian / Logseq daily notes and parses it
+ */
+
+import {
+    PATTERNS,
+    NOTE_CONFIG,
+    DIAGNOSTIC_SEVERITY,
+    DIAGNOSTIC_MESSAGES
+} from './constants.js';
+import { parseLogText, getIndentWidth } from './parser.js';
+
+/**
+ * Check whether text looks like a full daily note rather than a bare journal
+ * @param {string} rawText - Raw text
+ * @param {Array} [headings] - Section heading names to look for
+ * @returns {boolean} True if the text has front matter or a time log section
+ */
+export function looksLikeDailyNote(rawText, headings = NOTE_CONFIG.SECTION_HEADINGS) {
+    const lines = rawText.split('\n');
+    return readFrontMatter(lines).end > 0 || findTimeLogSection(lines, 0, headings) !== null;
+}
+
+/**
+ * Parse a Markdown daily note
+ * Only the time log section is parsed: the lines between "timelog:start" /
+ * "timelog:end" markers, or under a heading such as "## 時間日誌". The date
+ * comes from front matter ("date: 2026-10-19"), a Logseq page property
+ * ("date:: ...") or the file name ("2026-10-19.md", "2026_10_19.md").
+ * Other lines are blanked out before parsing so diagnostics and entry ids
+ * still point at lines of the original note.
+ * @param {string} rawText - Full note text
+ * @param {Object} [options] - Note options
+ * @param {string|null} [options.fileName] - Source file name, used for the date
+ * @param {Array} [options.headings] - Section heading names to look for
+ * @returns {Object} Same shape as parseLogText
+ */
+export function parseDailyNote(rawText, options = {}) {
+    const lines = rawText.split('\n');
+    const headings = options.headings?.length ? options.headings : NOTE_CONFIG.SECTION_HEADINGS;
+    const frontMatter = readFrontMatter(lines);
+    const date = frontMatter.date || findPropertyDate(lines, frontMatter.end) || parseNoteDate(options.fileName);
+    const section = findTimeLogSection(lines, frontMatter.end, headings);
+    const start = section ? section.start : frontMatter.end;
+    const end = section ? section.end : lines.length;
+
+    const sectionText = lines
+        .map((line, index) => (index >= start && index < end ? line : ''))
+        .join('\n');
+
+    const result = parseLogText(sectionText, { date, nested: true, lenient: true });
+    const noteDiagnostics = [];
+
+    if (!section) {
+        noteDiagnostics.push(createNoteDiagnostic(1, DIAGNOSTIC_MESSAGES.NOTE_SECTION_NOT_FOUND));
+    } else {
+        const skipped = lines.filter((line, index) =>
+            index >= frontMatter.end && (index < start - 1 || index >= end) &&
+            line.trim() && !PATTERNS.NOTE_BLOCK_MARKER.test(line)
+        ).length;
+
+        if (skipped > 0) {
+            noteDiagnostics.push(createNoteDiagnostic(start,
+                `${DIAGNOSTIC_MESSAGES.NOTE_LINES_OUTSIDE_SECTION}（${skipped} 行）`));
+        }
+    }
+
+    if (!date) {
+        noteDiagnostics.push(createNoteDiagnostic(1, DIAGNOSTIC_MESSAGES.NOTE_NO_DATE));
+    }
+
+    result.diagnostics.unshift(...noteDiagnostics);
+    return result;
+}
+
+/**
+ * Create an informational diagnostic about the note as a whole
+ * @param {number} line - One-based line number
+ * @param {string} message - Message
+ * @returns {Object} Diagnostic {line, severity, message}
+ */
+function createNoteDiagnostic(line, message) {
+    return { line: Math.max(line, 1), severity: DIAGNOSTIC_SEVERITY.INFO, message };
+}
+
+/**
+ * Read YAML front matter at the top of a note
+ * @param {Array} lines - Note lines
+ * @returns {Object} {end, date}: index of the first line after the front
+ *   matter (0 if none) and its date, if any
+ */
+function readFrontMatter(lines) {
+    if (lines[0]?.trim() !== '---') {
+        return { end: 0, date: null };
+    }
+
+    const closing = lines.findIndex((line, index) => index > 0 && line.trim() === '---');
+    if (closing === -1) {
+        return { end: 0, date: null };
+    }
+
+    return {
+        end: closing + 1,
+        date: findPropertyDate(lines.slice(1, closing), 0)
+    };
+}
+
+/**
+ * Find a date property ("date: ..." or Logseq "date:: ...") in leading lines
+ * Logseq page properties sit at the very top of the page, before any blank
+ * line, so the search stops at the first blank line.
+ * @param {Array} lines - Lines to search
+ * @param {number} from - Index to start from
+ * @returns {string|null} Date (YYYY-MM-DD) or null
+ */
+function findPropertyDate(lines, from) {
+    for (let i = from; i < lines.length && lines[i].trim(); i++) {
+        const match = lines[i].match(PATTERNS.FRONT_MATTER_DATE);
+        const date = match && parseNoteDate(match[1]);
+        if (date) {
+            return date;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Extract a YYYY-MM-DD date from a property value or file name
+ * @param {string|null|undefined} text - Text such as "2026_10_19.md"
+ * @returns {string|null} Date (YYYY-MM-DD) or null
+ */
+export function parseNoteDate(text) {
+    const match = text && text.match(PATTERNS.NOTE_DATE);
+    if (!match) {
+        return null;
+    }
+
+    const month = Number(match[2]);
+    const day = Number(match[3]);
+    if (month < 1 || month > 12 || day < 1 || day > 31) {
+        return null;
+    }
+
+    return `${match[1]}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Locate the time log section of a note
+ * Block markers take precedence over headings. A heading section ends at the
+ * next heading of the same or a higher level; a Logseq heading bullet
+ * ("- ## Time Log") also ends at the next bullet that is not nested under it.
+ * @param {Array} lines - Note lines
+ * @param {number} from - Index of the first line after the front matter
+ * @param {Array} headings - Section heading names
+ * @returns {Object|null} {start, end} line indexes (end exclusive), or null
+ */
+function findTimeLogSection(lines, from, headings) {
+    const markerStart = lines.findIndex((line, index) =>
+        index >= from && line.match(PATTERNS.NOTE_BLOCK_MARKER)?.[1].toLowerCase() === 'start'
+    );
+
+    if (markerStart !== -1) {
+        const markerEnd = lines.findIndex((line, index) =>
+            index > markerStart && line.match(PATTERNS.NOTE_BLOCK_MARKER)?.[1].toLowerCase() === 'end'
+        );
+        return { start: markerStart + 1, end: markerEnd === -1 ? lines.length : markerEnd };
+    }
+
+    const names = headings.map(name => name.trim().toLowerCase()).filter(Boolean);
+
+    for (let i = from; i < lines.length; i++) {
+        const heading = lines[i].match(PATTERNS.NOTE_HEADING);
+        if (!heading || !names.some(name => heading[3].toLowerCase().includes(name))) {
+            continue;
+        }
+
+        const level = heading[2].length;
+        const indent = getIndentWidth(lines[i]);
+        const isBullet = /^\s*[-*]\s/.test(lines[i]);
+        let end = i + 1;
+
+        for (; end < lines.length; end++) {
+            const line = lines[end];
+            if (!line.trim()) continue;
+
+            const next = line.match(PATTERNS.NOTE_HEADING);
+            if (next && next[2].length <= level && getIndentWidth(line) <= indent) {
+                break;
+            }
+            if (isBullet && getIndentWidth(line) <= indent) {
+                break;
+            }
+        }
+
+        return { start: i + 1, end };
+    }
+
+    return null;
+}
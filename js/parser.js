@@ -3,97 +3,625 @@
  * Handles parsing of daily log entries from text format
  */
 
-import { PATTERNS, CATEGORIES, TIME, THRESHOLDS } from './constants.js';
+import {
+    PATTERNS,
+    TIME,
+    THRESHOLDS,
+    MESSAGES,
+    DIAGNOSTIC_SEVERITY,
+    DIAGNOSTIC_MESSAGES,
+    IMMERSION_SCALE,
+    NOTE_CONFIG,
+    OPEN_END_SOURCES
+} from './constants.js';
+import { resolveCategory, getDefaultCategory, getRestCategory } from './categories.js';
+
+// Characters that can be escaped in entry content (see PATTERNS.ESCAPED_MARKUP),
+// hidden during parsing behind the private-use characters U+E000 onward
+const ESCAPABLE_MARKUP = '#@[]❚|⚡/';
+const ESCAPE_MASK_BASE = 0xE000;
+const ESCAPE_MASK = /[\uE000-\uE008]/g;
 
 /**
  * Parse raw log text into structured entries
+ * Date headings (e.g. "# 2026-10-19" or "## 10/19 (Mon)") start a new day;
+ * entries before the first heading belong to an undated day. Thought and
+ * action lines are attached to the time entry they follow, and are also
+ * collected into flat lists for the whole journal. Problems found along the
+ * way are reported as line-level diagnostics instead of being dropped silently.
  * @param {string} rawText - Raw log text input
- * @returns {Object} Parsed data containing entries, thoughts, and actions
+ * @param {Object} [options] - Parser options
+ * @param {string|null} [options.date] - Date (YYYY-MM-DD) for entries before
+ *   the first date heading, instead of an undated day
+ * @param {boolean} [options.nested] - Attach thoughts/actions only when they
+ *   are indented deeper than the time entry (Logseq-style nested bullets)
+ * @param {boolean} [options.lenient] - Report unrecognized lines as ignored
+ *   (info) rather than as warnings, for notes with unrelated content
+ * @param {Date} [options.now] - Current time, used to end open-ended entries
+ * @returns {Object} Parsed data containing entries, days, thoughts, actions,
+ *   and diagnostics [{line, severity, message}]. Each day lists the
+ *   zero-based indexes of the lines it was parsed from (sourceLines): its
+ *   heading and every line up to the next heading.
  */
-export function parseLogText(rawText) {
+export function parseLogText(rawText, options = {}) {
     const lines = rawText.split('\n');
-    const entries = [];
+    const days = [];
     const thoughts = [];
     const actions = [];
+    const diagnostics = [];
+    let currentDay = options.date ? findOrCreateDay(days, options.date, options.date) : null;
+    let currentEntry = null;
+    let currentEntryIndent = 0;
+    let currentYear = options.date ? Number(options.date.slice(0, 4)) : new Date().getFullYear();
+    const lineDays = [];  // Day each line belongs to (null before the first day)
 
     lines.forEach((line, index) => {
+        lineDays[index] = currentDay;
         const cleanLine = line.trim();
         if (!cleanLine) return;
 
+        const indent = getIndentWidth(line);
+        const parentEntry = !options.nested || indent > currentEntryIndent ? currentEntry : null;
+
+        // Check for date heading pattern
+        const dateMatch = cleanLine.match(PATTERNS.DATE_HEADER);
+        if (dateMatch) {
+            const heading = parseDateHeader(dateMatch, currentYear);
+            if (heading) {
+                currentYear = heading.year;
+                currentDay = findOrCreateDay(days, heading.date, heading.label);
+                lineDays[index] = currentDay;
+                currentEntry = null;
+                return;
+            }
+        }
+
         // Check for thought pattern
         const thoughtMatch = cleanLine.match(PATTERNS.THOUGHT);
         if (thoughtMatch) {
-            thoughts.push(thoughtMatch[1].trim());
+            const thought = thoughtMatch[1].trim();
+            thoughts.push(thought);
+            attachNote(parentEntry, 'thoughts', thought, diagnostics, index);
             return;
         }
 
         // Check for action pattern
         const actionMatch = cleanLine.match(PATTERNS.ACTION);
         if (actionMatch) {
-            actions.push(actionMatch[1].trim());
+            const action = actionMatch[1].trim();
+            actions.push(action);
+            attachNote(parentEntry, 'actions', action, diagnostics, index);
             return;
         }
 
         // Check for time header pattern
         const timeMatch = cleanLine.match(PATTERNS.TIME_HEADER);
-        if (timeMatch) {
-            const entry = parseTimeEntry(cleanLine, timeMatch, index);
+        const range = timeMatch && parseTimeRange(timeMatch);
+        if (range) {
+            const entry = parseTimeEntry(cleanLine, range, index, diagnostics);
             if (entry) {
-                entries.push(entry);
+                if (!currentDay) {
+                    currentDay = findOrCreateDay(days, null, MESSAGES.UNDATED);
+                }
+                entry.date = currentDay.date;
+                currentDay.entries.push(entry);
             }
+            currentEntry = entry;
+            currentEntryIndent = indent;
+            return;
         }
+
+        // A sibling bullet closes the previous entry's nested notes
+        if (options.nested && indent <= currentEntryIndent) {
+            currentEntry = null;
+        }
+
+        if (options.lenient) {
+            addDiagnostic(diagnostics, index, DIAGNOSTIC_SEVERITY.INFO, DIAGNOSTIC_MESSAGES.IGNORED_NOTE_LINE);
+        } else {
+            addDiagnostic(diagnostics, index, DIAGNOSTIC_SEVERITY.WARNING, DIAGNOSTIC_MESSAGES.UNRECOGNIZED_LINE);
+        }
+    });
+
+    // Lines before the first heading belong to the undated day
+    const undatedDay = days.find(day => day.date === null) || null;
+    days.forEach(day => {
+        day.sourceLines = [];
+    });
+    lineDays.forEach((day, index) => {
+        (day || undatedDay)?.sourceLines.push(index);
     });
 
-    return { entries, thoughts, actions };
+    const nonEmptyDays = days.filter(day => day.entries.length > 0);
+    resolveOpenEndedEntries(nonEmptyDays, options.now || new Date(), diagnostics);
+    const entries = nonEmptyDays.flatMap(day => day.entries);
+
+    return { entries, days: nonEmptyDays, thoughts, actions, diagnostics };
+}
+
+/**
+ * Record a line-level diagnostic
+ * @param {Array} diagnostics - Diagnostics list to append to
+ * @param {number} index - Zero-based line index
+ * @param {string} severity - One of DIAGNOSTIC_SEVERITY
+ * @param {string} message - Human-readable message
+ */
+function addDiagnostic(diagnostics, index, severity, message) {
+    diagnostics.push({
+        line: index + 1,
+        severity,
+        message
+    });
+}
+
+/**
+ * Measure the leading indentation of a line
+ * Tabs count as NOTE_CONFIG.TAB_WIDTH spaces so Logseq's tab-indented
+ * bullets compare correctly with space-indented ones.
+ * @param {string} line - Raw line
+ * @returns {number} Indentation width in spaces
+ */
+export function getIndentWidth(line) {
+    const whitespace = line.match(/^\s*/)[0];
+    return whitespace.replace(/\t/g, ' '.repeat(NOTE_CONFIG.TAB_WIDTH)).length;
+}
+
+/**
+ * Attach a thought or action to its parent entry
+ * Notes without a preceding time entry are kept in the flat lists only.
+ * @param {Object|null} entry - Current parent entry
+ * @param {string} field - 'thoughts' or 'actions'
+ * @param {string} note - Note text
+ * @param {Array} diagnostics - Diagnostics list
+ * @param {number} index - Zero-based line index
+ */
+function attachNote(entry, field, note, diagnostics, index) {
+    if (!entry) {
+        addDiagnostic(diagnostics, index, DIAGNOSTIC_SEVERITY.WARNING, DIAGNOSTIC_MESSAGES.ORPHAN_NOTE);
+        return;
+    }
+
+    entry[field].push(note);
+}
+
+/**
+ * Parse a date heading match into a normalized date
+ * Headings without a year inherit the most recent year seen.
+ * @param {Array} dateMatch - Regex match result for date heading
+ * @param {number} fallbackYear - Year to use when the heading has none
+ * @returns {Object|null} {date: 'YYYY-MM-DD', year, label} or null if invalid
+ */
+export function parseDateHeader(dateMatch, fallbackYear) {
+    const year = dateMatch[1] ? Number(dateMatch[1]) : fallbackYear;
+    const month = Number(dateMatch[2]);
+    const day = Number(dateMatch[3]);
+
+    if (month < 1 || month > 12 || day < 1 || day > 31) {
+        return null;
+    }
+
+    const date = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    const suffix = dateMatch[4].trim();
+
+    return {
+        date,
+        year,
+        label: suffix ? `${date} ${suffix}` : date
+    };
+}
+
+/**
+ * Find an existing day by date or append a new one
+ * Repeated headings for the same date are merged into one day.
+ * @param {Array} days - Days parsed so far
+ * @param {string|null} date - Normalized date (null for undated entries)
+ * @param {string} label - Display label
+ * @returns {Object} Day object {date, label, entries}
+ */
+function findOrCreateDay(days, date, label) {
+    let day = days.find(existing => existing.date === date);
+
+    if (!day) {
+        day = { date, label, entries: [] };
+        days.push(day);
+    }
+
+    return day;
 }
 
 /**
  * Parse a single time entry line
  * @param {string} line - Line text
- * @param {Array} timeMatch - Regex match result for time
+ * @param {Object} range - Time range from parseTimeRange
  * @param {number} index - Line index
- * @returns {Object} Parsed entry object
+ * @param {Array} diagnostics - Diagnostics list
+ * @returns {Object|null} Parsed entry object (thoughts/actions filled in by
+ *   caller), or null if the times are invalid
  */
-function parseTimeEntry(line, timeMatch, index) {
-    const start = timeMatch[1];
-    const end = timeMatch[2];
-    const timePart = timeMatch[0];
+function parseTimeEntry(line, range, index, diagnostics) {
+    const { start, openEnded } = range;
+    const timePart = range.text;
+
+    // Reject times outside 00:00-23:59 (24:00 is allowed as an end time)
+    if (range.invalid.length > 0) {
+        addDiagnostic(diagnostics, index, DIAGNOSTIC_SEVERITY.ERROR,
+            `${DIAGNOSTIC_MESSAGES.INVALID_TIME}：${range.invalid.join('、')}`);
+        return null;
+    }
+
+    // Open-ended entries end at the same time for now; see resolveOpenEndedEntries
+    const end = openEnded ? start : range.end;
+
+    if (range.ambiguous) {
+        addDiagnostic(diagnostics, index, DIAGNOSTIC_SEVERITY.INFO,
+            `${DIAGNOSTIC_MESSAGES.AMBIGUOUS_TIME} ${start} ~ ${end}`);
+    }
+    if (range.compact) {
+        addDiagnostic(diagnostics, index, DIAGNOSTIC_SEVERITY.WARNING,
+            `${DIAGNOSTIC_MESSAGES.COMPACT_TIME} ${start} ~ ${end}`);
+    }
+
+    if (!openEnded && start === end) {
+        addDiagnostic(diagnostics, index, DIAGNOSTIC_SEVERITY.WARNING, DIAGNOSTIC_MESSAGES.ZERO_DURATION);
+    } else if (!openEnded && end < start) {
+        addDiagnostic(diagnostics, index, DIAGNOSTIC_SEVERITY.INFO, DIAGNOSTIC_MESSAGES.END_BEFORE_START);
+    }
 
-    // Extract content after time
-    let rest = line.substring(line.indexOf(timePart) + timePart.length);
+    // Extract content after time, hiding escaped markup from the extractors
+    let rest = maskEscapedMarkup(line.substring(line.indexOf(timePart) + timePart.length));
 
-    // Extract immersion bars
-    const barsMatch = rest.match(PATTERNS.BARS);
+    // Extract immersion rating
+    const rating = extractImmersion(rest);
     let immersion = 0;
 
-    if (barsMatch) {
-        console.log('Bars matched:', JSON.stringify(barsMatch[1]), 'Length:', barsMatch[1].length);
-        immersion = calculateImmersionLevel(barsMatch[1]);
-        console.log('Calculated immersion:', immersion);
-        rest = rest.replace(barsMatch[0], '');
+    if (rating) {
+        rest = rest.replace(rating.text, ' ');
+        if (rating.value !== null) {
+            immersion = normalizeImmersion(rating.value, diagnostics, index);
+        }
     } else {
-        console.log('No bars matched in:', rest);
+        addDiagnostic(diagnostics, index, DIAGNOSTIC_SEVERITY.WARNING, DIAGNOSTIC_MESSAGES.NO_IMMERSION);
     }
 
+    // Extract #tags, @people and [類別] override
+    const annotations = extractAnnotations(rest, diagnostics, index);
+
     return {
         id: index + 1,
         start,
         end,
-        content: rest.trim(),
+        content: unmaskEscapedMarkup(annotations.content),
         immersion,
+        unrated: rating?.value === null,  // Explicit "not rated" marker
         duration: calculateDuration(start, end),
-        category: CATEGORIES.ROUTINE  // Default category
+        category: annotations.categoryOverride || getDefaultCategory(),
+        categoryOverride: annotations.categoryOverride,
+        tags: annotations.tags.map(unmaskEscapedMarkup),
+        people: annotations.people.map(unmaskEscapedMarkup),
+        openEnded,  // "16:00 ~ 進行中": end filled in by resolveOpenEndedEntries
+        thoughts: [],
+        actions: []
+    };
+}
+
+/**
+ * Replace escaped markup ("\\#", "\\[") with private-use characters, so no
+ * extractor reads it as a tag, category or rating
+ * @param {string} text - Entry content
+ * @returns {string} Content with escapes masked
+ */
+function maskEscapedMarkup(text) {
+    return text.replace(PATTERNS.ESCAPED_MARKUP, (match, char) =>
+        String.fromCharCode(ESCAPE_MASK_BASE + ESCAPABLE_MARKUP.indexOf(char)));
+}
+
+/**
+ * Turn masked escapes back into the literal characters
+ * @param {string} text - Text from maskEscapedMarkup
+ * @returns {string} Text with the literal characters
+ */
+function unmaskEscapedMarkup(text) {
+    return text.replace(ESCAPE_MASK, char => ESCAPABLE_MARKUP[char.charCodeAt(0) - ESCAPE_MASK_BASE]);
+}
+
+/**
+ * Extract inline annotations from entry content
+ * "#tag" and "@person" must start a word; "[類別]" must name a known category.
+ * @param {string} rest - Content after the time range, immersion removed
+ * @param {Array} diagnostics - Diagnostics list
+ * @param {number} index - Line index
+ * @returns {Object} {content, tags, people, categoryOverride}
+ */
+function extractAnnotations(rest, diagnostics, index) {
+    const tags = [...rest.matchAll(PATTERNS.TAG)].map(match => match[1]);
+    const people = [...rest.matchAll(PATTERNS.MENTION)].map(match => match[1]);
+    let categoryOverride = null;
+    let content = rest.replace(PATTERNS.TAG, ' ').replace(PATTERNS.MENTION, ' ');
+
+    const overrideMatch = content.match(PATTERNS.CATEGORY_OVERRIDE);
+    if (overrideMatch) {
+        const name = overrideMatch[1].trim();
+        const category = resolveCategory(name);  // Also accepts renamed categories' old names
+        if (category) {
+            categoryOverride = category;
+            content = content.replace(overrideMatch[0], ' ');
+        } else {
+            addDiagnostic(diagnostics, index, DIAGNOSTIC_SEVERITY.WARNING,
+                `${DIAGNOSTIC_MESSAGES.UNKNOWN_CATEGORY}：${name}`);
+        }
+    }
+
+    return {
+        content: content.replace(/\s+/g, ' ').trim(),
+        tags: [...new Set(tags)],
+        people: [...new Set(people)],
+        categoryOverride
     };
 }
 
+/**
+ * Interpret a time range match as normalized HH:MM times
+ * Accepts 24-hour ("9:00", "0900") and 12-hour ("2pm", "3:15pm") times. A
+ * time without am/pm next to one that has it takes the same half of the day
+ * ("9-10am"), or the other half if that would put the end first ("11-1pm").
+ * Bare numbers on both sides ("3 - 5") are not treated as a time range.
+ * @param {Array} timeMatch - Regex match result for PATTERNS.TIME_HEADER
+ * @returns {Object|null} {text, start, end, openEnded, ambiguous, compact,
+ *   invalid}, or null if the match is not a time range
+ */
+function parseTimeRange(timeMatch) {
+    const [text, startText, startMeridiem, endText, endMeridiem, openMarker] = timeMatch;
+    const startToken = readTimeToken(startText, startMeridiem);
+    const endToken = openMarker ? null : readTimeToken(endText, endMeridiem);
+
+    if (!startToken.explicit && !endToken?.explicit) {
+        return null;
+    }
+
+    // Four-digit times ("0900-1000") only count on both sides and when they
+    // are valid clock times; otherwise they are years, amounts or codes
+    const compact = startToken.compact || Boolean(endToken?.compact);
+    if (compact && !(startToken.compact && endToken?.compact &&
+        isCompactTime(startToken, false) && isCompactTime(endToken, true))) {
+        return null;
+    }
+
+    const ambiguous = endToken ? inferMeridiem(startToken, endToken) : false;
+    const start = toClockTime(startToken, false);
+    const end = endToken ? toClockTime(endToken, true) : null;
+
+    const invalid = [[startToken, start, false], [endToken, end, true]]
+        .filter(([token, time, isEnd]) => token && (time === null || !isValidTime(time, isEnd)))
+        .map(([token]) => token.text);
+
+    return { text, start, end, openEnded: Boolean(openMarker), ambiguous, compact, invalid };
+}
+
+/**
+ * Check a four-digit time token ("0930")
+ * @param {Object} token - Token from readTimeToken
+ * @param {boolean} isEnd - Whether the token is the end of the range
+ *   (2400 allowed)
+ * @returns {boolean} True if the token is a valid clock time
+ */
+function isCompactTime(token, isEnd) {
+    return !token.meridiem && token.minute < 60 &&
+        (token.hour < 24 || (isEnd && token.hour === 24 && token.minute === 0));
+}
+
+/**
+ * Read one side of a time range
+ * @param {string} text - "9", "9:00", "0900"
+ * @param {string|undefined} meridiem - "am", "p.m." etc., if written
+ * @returns {Object} {text, hour, minute, meridiem: 'a'|'p'|null, explicit,
+ *   padded, compact}
+ */
+function readTimeToken(text, meridiem) {
+    const isCompact = /^\d{4}$/.test(text);
+    const [hourText, minuteText = '00'] = isCompact
+        ? [text.slice(0, 2), text.slice(2)]
+        : text.split(':');
+
+    return {
+        text: meridiem ? `${text}${meridiem}` : text,
+        hour: Number(hourText),
+        minute: Number(minuteText),
+        meridiem: meridiem ? meridiem[0].toLowerCase() : null,
+        explicit: isCompact || text.includes(':') || Boolean(meridiem),  // Clearly a time
+        padded: hourText.length === 2,  // "09:00" rather than "9:00"
+        compact: isCompact
+    };
+}
+
+/**
+ * Fill in a missing am/pm from the other side of the range
+ * Without any am/pm, an unpadded end hour that would otherwise fall before
+ * the start ("11:00 ~ 1:30") is read as afternoon rather than overnight. A
+ * start from 13:00 on is plainly 24-hour time, so its range is overnight
+ * ("13:00 ~ 1:30" ends at 01:30).
+ * @param {Object} start - Start token (updated in place)
+ * @param {Object} end - End token (updated in place)
+ * @returns {boolean} True if the interpretation was a guess
+ */
+function inferMeridiem(start, end) {
+    if (!start.meridiem && !end.meridiem) {
+        const halfDay = TIME.MINUTES_PER_DAY / 2;
+        const gap = getTokenMinutes(start) - getTokenMinutes(end);
+        if (start.hour <= 12 && !end.padded && end.hour >= 1 && end.hour < 12 && gap > 0 && gap < halfDay) {
+            end.hour += 12;
+            return true;
+        }
+        return false;
+    }
+
+    const [known, unknown] = start.meridiem ? [start, end] : [end, start];
+    if (unknown.meridiem || unknown.hour < 1 || unknown.hour > 12) {
+        return false;
+    }
+
+    unknown.meridiem = known.meridiem;
+    if (getTokenMinutes(start) > getTokenMinutes(end)) {
+        unknown.meridiem = known.meridiem === 'a' ? 'p' : 'a';
+    }
+    return true;
+}
+
+/**
+ * Get minutes since midnight for a time token
+ * @param {Object} token - Token from readTimeToken
+ * @returns {number} Minutes since midnight
+ */
+function getTokenMinutes(token) {
+    const hour = token.meridiem
+        ? token.hour % 12 + (token.meridiem === 'p' ? 12 : 0)
+        : token.hour;
+    return hour * TIME.MINUTES_PER_HOUR + token.minute;
+}
+
+/**
+ * Convert a time token to HH:MM
+ * "12am" as an end time means midnight at the end of the day (24:00).
+ * @param {Object} token - Token from readTimeToken
+ * @param {boolean} isEnd - Whether the token is the end of the range
+ * @returns {string|null} Time (HH:MM, not yet range-checked), or null for an
+ *   impossible 12-hour time such as "13pm"
+ */
+function toClockTime(token, isEnd) {
+    if (token.meridiem && (token.hour < 1 || token.hour > 12)) {
+        return null;
+    }
+
+    let minutes = getTokenMinutes(token);
+    if (isEnd && token.meridiem === 'a' && minutes === 0) {
+        minutes += TIME.MINUTES_PER_DAY;
+    }
+
+    const hour = Math.floor(minutes / TIME.MINUTES_PER_HOUR);
+    const minute = minutes % TIME.MINUTES_PER_HOUR;
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * End open-ended entries ("16:00 ~ 進行中")
+ * An open entry runs until the next entry of the same day starts; the last
+ * one runs until now if its day is today (or undated), otherwise until the
+ * end of the day. Each inferred end is reported as a diagnostic.
+ * @param {Array} days - Parsed days {date, label, entries}
+ * @param {Date} now - Current time
+ * @param {Array} diagnostics - Diagnostics list
+ */
+function resolveOpenEndedEntries(days, now, diagnostics) {
+    const pad = value => String(value).padStart(2, '0');
+    const today = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    const currentTime = `${pad(now.getHours())}:${pad(now.getMinutes())}`;
+
+    days.forEach(day => {
+        day.entries.filter(entry => entry.openEnded).forEach(entry => {
+            const nextStart = day.entries
+                .map(other => other.start)
+                .filter(start => start > entry.start)
+                .sort()[0];
+
+            let end;
+            let source;
+
+            if (nextStart) {
+                end = nextStart;
+                source = OPEN_END_SOURCES.NEXT_ENTRY;
+            } else if (day.date === null || day.date === today) {
+                end = currentTime > entry.start ? currentTime : entry.start;
+                source = OPEN_END_SOURCES.NOW;
+            } else {
+                end = '24:00';
+                source = OPEN_END_SOURCES.END_OF_DAY;
+            }
+
+            entry.end = end;
+            entry.duration = calculateDuration(entry.start, end);
+            addDiagnostic(diagnostics, entry.id - 1, DIAGNOSTIC_SEVERITY.INFO,
+                `${DIAGNOSTIC_MESSAGES.OPEN_ENDED} ${end}（${source}）`);
+        });
+    });
+}
+
+/**
+ * Check whether a HH:MM string is a valid clock time
+ * @param {string} time - Time (HH:MM)
+ * @param {boolean} allowEndOfDay - Whether 24:00 is accepted
+ * @returns {boolean} True if valid
+ */
+function isValidTime(time, allowEndOfDay) {
+    const [hour, minute] = time.split(':').map(Number);
+
+    if (allowEndOfDay && hour === 24 && minute === 0) {
+        return true;
+    }
+
+    return hour <= 23 && minute <= 59;
+}
+
+/**
+ * Extract the immersion rating from the content after the time range
+ * Trailing notations: bars "❚❚❚" / "|||" with an optional "½", "[4]", "⚡4",
+ * "4/5" or "8/10", and "[-]" / "[?]" / "⚡?" for an explicit "not rated".
+ * A run of "❚" elsewhere in the content is accepted as a fallback, but a
+ * stray "|" only counts as a bar at the end of the line.
+ * @param {string} rest - Content after the time range
+ * @returns {Object|null} {value, text} where value is the raw rating (null
+ *   if explicitly not rated), or null if no rating was found
+ */
+function extractImmersion(rest) {
+    if (PATTERNS.IMMERSION_UNRATED.test(rest)) {
+        return { value: null, text: rest.match(PATTERNS.IMMERSION_UNRATED)[0] };
+    }
+
+    const numericMatch = rest.match(PATTERNS.IMMERSION_NUMERIC);
+    if (numericMatch) {
+        return { value: Number(numericMatch[1] ?? numericMatch[2]), text: numericMatch[0] };
+    }
+
+    const fractionMatch = rest.match(PATTERNS.IMMERSION_FRACTION);
+    if (fractionMatch) {
+        const value = (Number(fractionMatch[1]) / Number(fractionMatch[2])) * IMMERSION_SCALE.MAX;
+        return { value, text: fractionMatch[0] };
+    }
+
+    const barsMatch = rest.match(PATTERNS.BARS) || rest.match(PATTERNS.BARS_ANYWHERE);
+    if (barsMatch) {
+        return { value: calculateImmersionLevel(barsMatch[1], barsMatch[2]), text: barsMatch[0] };
+    }
+
+    return null;
+}
+
 /**
  * Calculate immersion level from bars string
  * @param {string} bars - String containing bars (❚ or |)
- * @returns {number} Immersion level (0-5+)
+ * @param {string} [half] - Optional "½" suffix
+ * @returns {number} Immersion level before clamping
  */
-function calculateImmersionLevel(bars) {
+function calculateImmersionLevel(bars, half) {
     // Count bar characters
-    return bars.length;
+    return bars.length + (half ? 0.5 : 0);
+}
+
+/**
+ * Round an immersion value to the scale step and clamp it to the scale
+ * @param {number} value - Raw immersion value
+ * @param {Array} diagnostics - Diagnostics list
+ * @param {number} index - Line index
+ * @returns {number} Normalized immersion
+ */
+function normalizeImmersion(value, diagnostics, index) {
+    const rounded = Math.round(value / IMMERSION_SCALE.STEP) * IMMERSION_SCALE.STEP;
+    const clamped = Math.min(IMMERSION_SCALE.MAX, Math.max(IMMERSION_SCALE.MIN, rounded));
+
+    if (clamped !== rounded) {
+        addDiagnostic(diagnostics, index, DIAGNOSTIC_SEVERITY.WARNING,
+            `${DIAGNOSTIC_MESSAGES.IMMERSION_OUT_OF_RANGE}：${rounded} → ${clamped}`);
+    }
+
+    return clamped;
 }
 
 /**
@@ -119,10 +647,15 @@ export function calculateDuration(start, end) {
 
 /**
  * Add sleep period if missing from start of day
- * @param {Array} entries - Array of log entries
+ * When the day opens with the tail of an overnight entry (split at
+ * midnight), sleep is filled in from the end of that tail instead.
+ * Auto-generated entries use ids <= 0 so they never collide with the
+ * line-based ids of user entries.
+ * @param {Array} entries - Array of log entries for a single day
+ * @param {number} sleepId - Id for the generated sleep entry (default 0)
  * @returns {Array} Entries with sleep period added if needed
  */
-export function addSleepPeriodIfMissing(entries) {
+export function addSleepPeriodIfMissing(entries, sleepId = 0) {
     if (entries.length === 0) {
         return entries;
     }
@@ -130,23 +663,49 @@ export function addSleepPeriodIfMissing(entries) {
     // Sort entries by start time
     entries.sort((a, b) => a.start.localeCompare(b.start));
 
+    // Skip over tails of last night's overnight entries
+    const firstIndex = entries.findIndex(entry => !entry.continuation);
+    if (firstIndex === -1) {
+        return entries;
+    }
+
+    const sleepStart = entries
+        .slice(0, firstIndex)
+        .reduce((latest, entry) => (entry.end > latest ? entry.end : latest), "00:00");
+    const firstEntry = entries[firstIndex];
+
     // Add sleep period if day doesn't start at 00:00
-    if (entries[0].start !== "00:00") {
+    if (firstEntry.start > sleepStart) {
         const sleepEntry = {
-            id: 0,
-            start: "00:00",
-            end: entries[0].start,
+            id: sleepId,
+            start: sleepStart,
+            end: firstEntry.start,
             content: "（自動補齊睡眠時段）",
             immersion: 0,
-            duration: calculateDuration("00:00", entries[0].start),
-            category: CATEGORIES.RELAX_BED
+            duration: calculateDuration(sleepStart, firstEntry.start),
+            category: getRestCategory(),
+            date: firstEntry.date ?? null,
+            tags: [],
+            people: [],
+            thoughts: [],
+            actions: []
         };
-        entries.unshift(sleepEntry);
+        entries.splice(firstIndex, 0, sleepEntry);
     }
 
     return entries;
 }
 
+/**
+ * Get user entries that still need categorization
+ * Entries with an explicit [類別] override are skipped.
+ * @param {Array} entries - All entries
+ * @returns {Array} User entries without a category override
+ */
+export function getEntriesToCategorize(entries) {
+    return getUserEntries(entries).filter(entry => !entry.categoryOverride);
+}
+
 /**
  * Validate parsed entries
  * @param {Array} entries - Array of log entries
@@ -164,5 +723,5 @@ export function validateEntries(entries) {
  * @returns {Array} User-created entries only
  */
 export function getUserEntries(entries) {
-    return entries.filter(entry => entry.id !== 0);
+    return entries.filter(entry => entry.id > 0);
 }
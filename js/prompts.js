@@ -0,0 +1,135 @@
+/**
+ * Prompt Templates Module
+ * User-editable templates for the categorization prompt and the AI coach's
+ * advice presets, plus the language the coach answers in. Templates use
+ * {{name}} placeholders (see PROMPT_CONFIG.PLACEHOLDERS) that are filled in
+ * when a prompt is built.
+ */
+
+import {
+    PROMPT_CONFIG,
+    PROMPT_TEMPLATES,
+    PROMPT_ERRORS,
+    OUTPUT_LANGUAGES
+} from './constants.js';
+
+/**
+ * Prompt Template Manager
+ * Handles template storage in localStorage:
+ * {categorize, presets: [{id, name, template}], activePreset, language}
+ */
+export const PromptTemplateManager = {
+    /**
+     * Save templates to localStorage
+     * @param {Object} settings - Template settings
+     * @returns {boolean} Success status
+     */
+    save(settings) {
+        try {
+            localStorage.setItem(PROMPT_CONFIG.STORAGE_KEY, JSON.stringify(settings));
+            return true;
+        } catch (error) {
+            console.error('Failed to save prompt templates:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Load templates from localStorage
+     * @returns {Object} Stored settings, completed with the defaults
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(PROMPT_CONFIG.STORAGE_KEY));
+            const settings = { ...createDefaultPromptSettings(), ...stored };
+            return settings.presets.length > 0 ? settings : { ...settings, presets: createDefaultPromptSettings().presets };
+        } catch (error) {
+            console.error('Failed to load prompt templates:', error);
+            return createDefaultPromptSettings();
+        }
+    }
+};
+
+/**
+ * Create the default template settings
+ * @returns {Object} Template settings
+ */
+export function createDefaultPromptSettings() {
+    return {
+        categorize: PROMPT_TEMPLATES.CATEGORIZE,
+        presets: PROMPT_TEMPLATES.ADVICE_PRESETS.map(preset => ({ ...preset })),
+        activePreset: PROMPT_CONFIG.DEFAULT_PRESET,
+        language: PROMPT_CONFIG.DEFAULT_LANGUAGE
+    };
+}
+
+/**
+ * Get the default text of a built-in template
+ * @param {string} id - PROMPT_CONFIG.CATEGORIZE_ID or an advice preset id
+ * @returns {string|null} Default template, or null for user-added presets
+ */
+export function getDefaultTemplate(id) {
+    if (id === PROMPT_CONFIG.CATEGORIZE_ID) {
+        return PROMPT_TEMPLATES.CATEGORIZE;
+    }
+    return PROMPT_TEMPLATES.ADVICE_PRESETS.find(preset => preset.id === id)?.template ?? null;
+}
+
+/**
+ * Get the template of the advice preset in use
+ * Falls back to the first preset if the active one was deleted.
+ * @param {Object} settings - Template settings
+ * @returns {string} Template
+ */
+export function getAdviceTemplate(settings) {
+    return (settings.presets.find(preset => preset.id === settings.activePreset) || settings.presets[0]).template;
+}
+
+/**
+ * Get the instruction naming the language the AI should answer in
+ * @param {Object} settings - Template settings
+ * @returns {string} Language name for the prompt
+ */
+export function getLanguageInstruction(settings) {
+    return (OUTPUT_LANGUAGES[settings.language] || OUTPUT_LANGUAGES[PROMPT_CONFIG.DEFAULT_LANGUAGE]).INSTRUCTION;
+}
+
+/**
+ * Create a new advice preset
+ * @param {string} template - Template to start from
+ * @returns {Object} Preset {id, name, template}
+ */
+export function createPreset(template) {
+    return {
+        id: `custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        name: '新範本',
+        template
+    };
+}
+
+/**
+ * Check a template
+ * @param {string} template - Template text
+ * @param {string|null} [name] - Preset name (null for the categorization
+ *   template, which has none)
+ * @returns {string|null} Error message, or null if the template is usable
+ */
+export function validateTemplate(template, name = null) {
+    if (name !== null && !name.trim()) {
+        return PROMPT_ERRORS.NO_NAME;
+    }
+    return new RegExp(`\\{\\{\\s*${PROMPT_CONFIG.REQUIRED_PLACEHOLDER}\\s*\\}\\}`).test(template)
+        ? null
+        : PROMPT_ERRORS.NO_ENTRIES;
+}
+
+/**
+ * Fill in a template's placeholders
+ * Unknown placeholders are left as written.
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder name -> text
+ * @returns {string} Prompt
+ */
+export function renderTemplate(template, values) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => values[name] ?? match);
+}
@@ -0,0 +1,447 @@
+/**
+ * LLM Provider Module
+ * Request adapters for the supported chat backends: Gemini, OpenAI-compatible
+ * chat completions and Ollama
+ */
+
+import { API_CONFIG, LLM_PROVIDERS, AI_ERROR_MESSAGES } from './constants.js';
+
+/**
+ * Provider adapters
+ * Each adapter builds the HTTP request for a chat (a list of {role, content}
+ * messages, role 'user' or 'assistant') and reads the reply text out of the
+ * response body (`readText`) or out of one streamed chunk (`readDelta`). The
+ * API key is sent in a header so it stays out of URLs and logs. With
+ * `json: true` the provider's JSON output mode is requested; with
+ * `stream: true` the reply is streamed (SSE for Gemini and OpenAI-compatible
+ * APIs, newline-delimited JSON for Ollama).
+ */
+const ADAPTERS = {
+    gemini: {
+        buildRequest({ baseUrl, model, apiKey }, messages, { json, stream }) {
+            const method = stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+            return {
+                url: `${baseUrl}/${model}:${method}`,
+                headers: { 'x-goog-api-key': apiKey },
+                body: {
+                    contents: messages.map(message => ({
+                        role: message.role === 'assistant' ? 'model' : 'user',
+                        parts: [{
+                            text: message.content
+                        }]
+                    })),
+                    ...(json && { generationConfig: { responseMimeType: 'application/json' } })
+                }
+            };
+        },
+
+        readText(data) {
+            return data.candidates?.[0]?.content?.parts?.[0]?.text;
+        },
+
+        readDelta(data) {
+            return data.candidates?.[0]?.content?.parts?.[0]?.text;
+        }
+    },
+
+    openai: {
+        buildRequest({ baseUrl, model, apiKey }, messages, { json, stream }) {
+            return {
+                url: `${baseUrl}/chat/completions`,
+                headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+                body: {
+                    model,
+                    messages,
+                    ...(json && { response_format: { type: 'json_object' } }),
+                    ...(stream && { stream: true })
+                }
+            };
+        },
+
+        readText(data) {
+            return data.choices?.[0]?.message?.content;
+        },
+
+        readDelta(data) {
+            return data.choices?.[0]?.delta?.content;
+        }
+    },
+
+    ollama: {
+        buildRequest({ baseUrl, model }, messages, { json, stream }) {
+            return {
+                url: `${baseUrl}/api/chat`,
+                headers: {},
+                body: {
+                    model,
+                    messages,
+                    stream: Boolean(stream),
+                    ...(json && { format: 'json' })
+                }
+            };
+        },
+
+        readText(data) {
+            return data.message?.content;
+        },
+
+        readDelta(data) {
+            return data.message?.content;
+        }
+    }
+};
+
+/**
+ * Fill in provider defaults for empty settings
+ * @param {Object} settings - {provider, baseUrl, model, apiKey} as entered
+ * @returns {Object} Complete provider config {provider, baseUrl, model, apiKey}
+ */
+export function resolveProviderConfig(settings) {
+    const provider = LLM_PROVIDERS[settings.provider] ? settings.provider : API_CONFIG.DEFAULT_PROVIDER;
+    const defaults = LLM_PROVIDERS[provider];
+
+    return {
+        provider,
+        baseUrl: (settings.baseUrl || defaults.BASE_URL).replace(/\/+$/, ''),
+        model: settings.model || defaults.MODEL,
+        apiKey: settings.apiKey || ''
+    };
+}
+
+/**
+ * Check whether a provider config has everything needed to make requests
+ * @param {Object} config - Provider config from resolveProviderConfig
+ * @returns {boolean} True if AI features can be used
+ */
+export function isProviderReady(config) {
+    return !LLM_PROVIDERS[config.provider].REQUIRES_KEY || Boolean(config.apiKey);
+}
+
+/**
+ * Error from an AI request, with a code from AI_ERROR_MESSAGES
+ */
+export class AIRequestError extends Error {
+    /**
+     * @param {string} code - Error code (key of AI_ERROR_MESSAGES)
+     * @param {Object} [details] - {status, detail, retryable, retryAfter}
+     */
+    constructor(code, details = {}) {
+        const status = details.status ? `（HTTP ${details.status}）` : '';
+        super(`${AI_ERROR_MESSAGES[code]}${status}`);
+        this.name = 'AIRequestError';
+        this.code = code;
+        this.status = details.status || null;
+        this.detail = details.detail || '';
+        this.retryable = details.retryable || false;
+        this.retryAfter = details.retryAfter ?? null;  // Milliseconds, from Retry-After
+    }
+}
+
+/**
+ * Send a prompt to the configured provider
+ * Each attempt is aborted after API_CONFIG.REQUEST_TIMEOUT. Rate limits,
+ * server errors and network failures are retried with exponential backoff,
+ * honouring Retry-After when the server sends it.
+ * @param {Object} config - Provider config from resolveProviderConfig
+ * @param {string|Array} prompt - Prompt, or chat messages [{role, content}]
+ * @param {Object} [options] - {json: request a JSON reply, signal: AbortSignal
+ *   that cancels the request}
+ * @returns {Promise<string>} Reply text
+ * @throws {AIRequestError} If the request fails, times out or is cancelled
+ */
+export async function callProvider(config, prompt, options = {}) {
+    const adapter = ADAPTERS[config.provider];
+    const request = adapter.buildRequest(config, toMessages(prompt), { json: options.json, stream: false });
+
+    return withRetries(config, options.signal, () =>
+        sendRequest(request, options.signal, response => readFullResponse(response, adapter))
+    );
+}
+
+/**
+ * Send a prompt and stream the reply as it is generated
+ * Failed attempts are retried like callProvider, but only until the first
+ * text has arrived. The timeout applies to each wait for the next chunk.
+ * @param {Object} config - Provider config from resolveProviderConfig
+ * @param {string|Array} prompt - Prompt, or chat messages [{role, content}]
+ * @param {Object} options - {onText(textSoFar), signal: AbortSignal that
+ *   stops the stream}
+ * @returns {Promise<string>} Complete reply text
+ * @throws {AIRequestError} If the request fails, times out or is cancelled
+ */
+export async function streamProvider(config, prompt, options) {
+    const adapter = ADAPTERS[config.provider];
+    const request = adapter.buildRequest(config, toMessages(prompt), { stream: true });
+    let received = false;
+
+    const onText = text => {
+        received = true;
+        options.onText(text);
+    };
+
+    return withRetries(config, options.signal, () =>
+        sendRequest(request, options.signal, (response, keepAlive) =>
+            readStreamedResponse(response, adapter, onText, keepAlive)
+        ),
+        () => !received
+    );
+}
+
+/**
+ * Turn a single prompt into a one-message chat
+ * @param {string|Array} prompt - Prompt or chat messages
+ * @returns {Array} Chat messages [{role, content}]
+ */
+function toMessages(prompt) {
+    return typeof prompt === 'string' ? [{ role: 'user', content: prompt }] : prompt;
+}
+
+/**
+ * Run request attempts until one succeeds or retrying is pointless
+ * @param {Object} config - Provider config (for logging)
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @param {Function} send - Sends one attempt, resolving to the reply text
+ * @param {Function} [canRetry] - Returns false once retrying is unsafe
+ * @returns {Promise<string>} Reply text
+ * @throws {AIRequestError} Error of the last attempt
+ */
+async function withRetries(config, signal, send, canRetry = () => true) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await send();
+        } catch (error) {
+            const delay = canRetry() ? getRetryDelay(error, attempt) : null;
+            if (delay === null) {
+                console.error(`${config.provider} API error:`, error.code, error.detail || error.message);
+                throw error;
+            }
+
+            console.warn(`${config.provider} API error ${error.code}, retrying in ${delay} ms`);
+            await wait(delay, signal);
+        }
+    }
+}
+
+/**
+ * Send one request attempt
+ * @param {Object} request - {url, headers, body} from the adapter
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @param {Function} readBody - Reads the reply text from a successful
+ *   response; receives the response and a function that restarts the timeout
+ * @returns {Promise<string>} Reply text
+ * @throws {AIRequestError} If the attempt fails
+ */
+async function sendRequest(request, signal, readBody) {
+    if (signal?.aborted) {
+        throw new AIRequestError('CANCELLED');
+    }
+
+    const controller = new AbortController();
+    const cancel = () => controller.abort();
+    let timedOut = false;
+    let timer = null;
+
+    const keepAlive = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, API_CONFIG.REQUEST_TIMEOUT);
+    };
+
+    keepAlive();
+    signal?.addEventListener('abort', cancel);
+
+    try {
+        const response = await fetch(request.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...request.headers
+            },
+            body: JSON.stringify(request.body),
+            signal: controller.signal
+        });
+
+        if (!response.ok) {
+            throw await createHttpError(response);
+        }
+
+        return await readBody(response, keepAlive);
+    } catch (error) {
+        if (error instanceof AIRequestError) throw error;
+        if (signal?.aborted) throw new AIRequestError('CANCELLED');
+        if (timedOut) throw new AIRequestError('TIMEOUT');
+        if (error instanceof SyntaxError) throw new AIRequestError('BAD_RESPONSE', { detail: error.message });
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) throw new AIRequestError('OFFLINE');
+        throw new AIRequestError('NETWORK', { detail: error.message, retryable: true });
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', cancel);
+    }
+}
+
+/**
+ * Read the reply text from a complete JSON response
+ * @param {Response} response - Successful fetch response
+ * @param {Object} adapter - Provider adapter
+ * @returns {Promise<string>} Reply text
+ * @throws {AIRequestError} If the response has no text
+ */
+async function readFullResponse(response, adapter) {
+    const text = adapter.readText(await response.json());
+
+    if (typeof text !== 'string') {
+        throw new AIRequestError('BAD_RESPONSE');
+    }
+
+    return text;
+}
+
+/**
+ * Read a streamed reply, reporting the accumulated text after each chunk
+ * Handles SSE ("data: {...}") and newline-delimited JSON. A server that
+ * answers with a plain JSON body instead is read as a complete reply.
+ * @param {Response} response - Successful fetch response
+ * @param {Object} adapter - Provider adapter
+ * @param {Function} onText - Called with the text received so far
+ * @param {Function} keepAlive - Restarts the timeout
+ * @returns {Promise<string>} Complete reply text
+ * @throws {AIRequestError} If the stream contains no text
+ */
+async function readStreamedResponse(response, adapter, onText, keepAlive) {
+    const contentType = response.headers.get('Content-Type') || '';
+
+    if (!response.body || contentType.includes('application/json')) {
+        const text = await readFullResponse(response, adapter);
+        onText(text);
+        return text;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+
+    const readLine = line => {
+        const payload = line.startsWith('data:') ? line.slice(5).trim() : line.trim();
+        if (!payload || payload === '[DONE]' || /^(:|event:|id:|retry:)/.test(line)) {
+            return;
+        }
+
+        const delta = adapter.readDelta(JSON.parse(payload));
+        if (delta) {
+            text += delta;
+            onText(text);
+        }
+    };
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        keepAlive();
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(readLine);
+    }
+
+    readLine(buffer + decoder.decode());
+
+    if (!text) {
+        throw new AIRequestError('BAD_RESPONSE');
+    }
+
+    return text;
+}
+
+/**
+ * Classify an unsuccessful HTTP response
+ * @param {Response} response - Fetch response with a non-2xx status
+ * @returns {Promise<AIRequestError>} Error for the response
+ */
+async function createHttpError(response) {
+    const status = response.status;
+    const detail = await response.text().catch(() => '');
+    const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+
+    if (status === 401 || status === 403 || (status === 400 && /api[_ ]?key/i.test(detail))) {
+        return new AIRequestError('INVALID_KEY', { status, detail });
+    }
+
+    if (status === 429) {
+        // A used-up quota will not recover by retrying
+        const exhausted = /insufficient_quota|billing/i.test(detail);
+        return new AIRequestError('QUOTA', { status, detail, retryable: !exhausted, retryAfter });
+    }
+
+    if (status >= 500) {
+        return new AIRequestError('SERVER', { status, detail, retryable: true, retryAfter });
+    }
+
+    return new AIRequestError('REQUEST', { status, detail });
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+    if (!value) {
+        return null;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(seconds, 0) * 1000;
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Decide whether and when to retry a failed attempt
+ * @param {AIRequestError} error - Error of the failed attempt
+ * @param {number} attempt - Zero-based attempt number
+ * @returns {number|null} Delay in milliseconds, or null to give up
+ */
+function getRetryDelay(error, attempt) {
+    if (!error.retryable || attempt >= API_CONFIG.MAX_RETRIES) {
+        return null;
+    }
+
+    if (error.retryAfter !== null) {
+        return error.retryAfter <= API_CONFIG.RETRY_MAX_DELAY ? error.retryAfter : null;
+    }
+
+    return Math.min(API_CONFIG.RETRY_BASE_DELAY * 2 ** attempt, API_CONFIG.RETRY_MAX_DELAY);
+}
+
+/**
+ * Wait before retrying, unless cancelled first
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @returns {Promise<void>}
+ * @throws {AIRequestError} If cancelled while waiting
+ */
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new AIRequestError('CANCELLED'));
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new AIRequestError('CANCELLED'));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
@@ -0,0 +1,225 @@
+/**
+ * Redaction Module
+ * Replaces sensitive spans of journal text (emails, phone numbers, URLs,
+ * mentioned people and terms from the user's dictionary) with placeholders
+ * such as [NAME_1] before the text is sent to the AI, and puts the original
+ * text back into the reply. Placeholders are stable for the page session:
+ * the same text always gets the same placeholder, across every request.
+ */
+
+import { REDACTION_CONFIG, PATTERNS } from './constants.js';
+
+const EMAIL_SOURCE = '[\\w.+-]+@[\\w-]+(?:\\.[\\w-]+)+';
+const URL_SOURCE = '\\b(?:https?:\\/\\/|www\\.)[^\\s<>"\'）)\\]]+';
+const WORD_CHAR = /[\p{Script=Latin}\p{N}_]/u;
+const DATE_SOURCE = '(?:19|20)\\d{2}[-/.]?(?:0[1-9]|1[0-2])[-/.]?(?:0[1-9]|[12]\\d|3[01])(?!\\d)';
+const PHONE_SOURCE = `(?<![\\w+:/.-])(?!${DATE_SOURCE})(?:\\+\\d{1,3}[\\s-]?)?(?:\\(\\d{1,4}\\)[\\s-]?)?\\d[\\d\\s-]{6,}\\d(?![\\w:])`;
+
+/**
+ * Redaction Manager
+ * Handles redaction settings storage in localStorage
+ */
+export const RedactionManager = {
+    /**
+     * Save redaction settings to localStorage
+     * @param {Object} settings - {enabled, email, phone, url, mentions, terms}
+     * @returns {boolean} Success status
+     */
+    save(settings) {
+        try {
+            localStorage.setItem(REDACTION_CONFIG.STORAGE_KEY, JSON.stringify(settings));
+            return true;
+        } catch (error) {
+            console.error('Failed to save redaction settings:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Load redaction settings from localStorage
+     * @returns {Object} Stored settings, completed with the defaults
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(REDACTION_CONFIG.STORAGE_KEY));
+            return { ...REDACTION_CONFIG.DEFAULTS, ...stored };
+        } catch (error) {
+            console.error('Failed to load redaction settings:', error);
+            return { ...REDACTION_CONFIG.DEFAULTS };
+        }
+    }
+};
+
+// Redactor for the saved settings, created on first use
+let sessionRedactor = null;
+
+/**
+ * Get the redactor used for AI requests
+ * @returns {Object} Redactor from createRedactor
+ */
+export function getRedactor() {
+    if (!sessionRedactor) {
+        sessionRedactor = createRedactor(RedactionManager.load());
+    }
+    return sessionRedactor;
+}
+
+/**
+ * Save new redaction settings and use them for later requests
+ * Placeholders handed out so far keep their meaning.
+ * @param {Object} settings - Redaction settings
+ * @returns {boolean} Success status
+ */
+export function updateRedactionSettings(settings) {
+    sessionRedactor = createRedactor(settings, getRedactor().getReplacements());
+    return RedactionManager.save(settings);
+}
+
+/**
+ * Create a redactor
+ * @param {Object} settings - {enabled, email, phone, url, mentions, terms}
+ * @param {Array} [known] - Replacements to start from [{placeholder, original}]
+ * @returns {Object} {redact(text), redactAll(texts), restore(text),
+ *   getReplacements()}
+ */
+export function createRedactor(settings, known = []) {
+    const placeholders = new Map();  // original -> placeholder
+    const originals = new Map();     // placeholder -> original
+    const counts = {};
+    const mentioned = new Set();
+
+    known.forEach(({ placeholder, original }) => {
+        placeholders.set(original, placeholder);
+        originals.set(placeholder, original);
+        const [type, number] = placeholder.slice(1, -1).split('_');
+        counts[type] = Math.max(counts[type] || 0, Number(number));
+    });
+
+    /**
+     * Get the placeholder of a span, handing out the next one if new
+     * Each spelling ("Ann", "ANN") gets its own placeholder, so the reply is
+     * restored with the spelling the user wrote.
+     * @param {string} type - Placeholder type (NAME, EMAIL...)
+     * @param {string} original - Sensitive text
+     * @returns {string} Placeholder
+     */
+    const placeholderFor = (type, original) => {
+        if (!placeholders.has(original)) {
+            counts[type] = (counts[type] || 0) + 1;
+            const placeholder = `[${type}_${counts[type]}]`;
+            placeholders.set(original, placeholder);
+            originals.set(placeholder, original);
+        }
+        return placeholders.get(original);
+    };
+
+    /**
+     * Replace a matched span with its placeholder (replace callback)
+     * @param {string} match - Matched span
+     * @param {...*} args - Groups, offset, input and the named groups
+     * @returns {string} Placeholder, or the span if it is not sensitive
+     */
+    const replaceSpan = (match, ...args) => {
+        const groups = args[args.length - 1];
+        const type = Object.keys(groups).find(name => groups[name] !== undefined);
+
+        if (type === 'phone') {
+            const digits = match.replace(/\D/g, '').length;
+            if (digits < REDACTION_CONFIG.MIN_PHONE_DIGITS || digits > REDACTION_CONFIG.MAX_PHONE_DIGITS) {
+                return match;
+            }
+        }
+
+        return placeholderFor(REDACTION_CONFIG.PLACEHOLDER_TYPES[type], match);
+    };
+
+    return {
+        /**
+         * Replace sensitive spans with placeholders
+         * @param {string} text - Text to send
+         * @returns {string} Redacted text
+         */
+        redact(text) {
+            return this.redactAll([text])[0];
+        },
+
+        /**
+         * Replace sensitive spans in several texts (such as the fields of the
+         * entries in a prompt), with the people mentioned in any of them
+         * redacted in all of them
+         * @param {Array} texts - Texts to send
+         * @returns {Array} Redacted texts
+         */
+        redactAll(texts) {
+            if (!settings.enabled) {
+                return texts;
+            }
+
+            // People mentioned anywhere are redacted everywhere, with or without @
+            if (settings.mentions) {
+                texts.filter(Boolean).forEach(text =>
+                    [...text.matchAll(PATTERNS.MENTION)].forEach(match => mentioned.add(match[1])));
+            }
+
+            const pattern = buildPattern(settings, [...(settings.terms || []), ...mentioned]);
+            if (!pattern) {
+                return texts;
+            }
+
+            return texts.map(text => (text ? text.replace(pattern, replaceSpan) : text));
+        },
+
+        /**
+         * Put the original text back in place of placeholders
+         * Placeholders the model wrote without brackets are restored too.
+         * @param {string} text - Reply text
+         * @returns {string} Restored text
+         */
+        restore(text) {
+            if (originals.size === 0 || !text) {
+                return text;
+            }
+
+            return text.replace(/\[?\b([A-Z]+_\d+)\b\]?/g, (match, core) => originals.get(`[${core}]`) ?? match);
+        },
+
+        /**
+         * List the replacements made so far
+         * @returns {Array} [{placeholder, original}]
+         */
+        getReplacements() {
+            return [...originals].map(([placeholder, original]) => ({ placeholder, original }));
+        }
+    };
+}
+
+/**
+ * Build the combined pattern of the enabled detectors
+ * Every span is matched in one pass, so a placeholder is never redacted
+ * again; longer terms win over shorter ones they contain. A term starting or
+ * ending with a Latin letter or digit only matches as a whole word ("Li" not
+ * in "Light"); CJK terms match anywhere, as CJK text has no word breaks.
+ * @param {Object} settings - Redaction settings
+ * @param {Array} terms - Names and terms to redact
+ * @returns {RegExp|null} Pattern with one named group per detector, or null
+ *   if nothing is to be redacted
+ */
+function buildPattern(settings, terms) {
+    const sources = [];
+
+    if (settings.email) sources.push(`(?<email>${EMAIL_SOURCE})`);
+    if (settings.url) sources.push(`(?<url>${URL_SOURCE})`);
+    if (settings.phone) sources.push(`(?<phone>${PHONE_SOURCE})`);
+
+    const names = [...new Set(terms.map(term => term.trim()).filter(Boolean))]
+        .sort((a, b) => b.length - a.length)
+        .map(term => {
+            const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const before = WORD_CHAR.test(term[0]) ? `(?<!${WORD_CHAR.source})` : '';
+            const after = WORD_CHAR.test(term[term.length - 1]) ? `(?!${WORD_CHAR.source})` : '';
+            return `${before}${escaped}${after}`;
+        });
+    if (names.length > 0) sources.push(`(?<name>${names.join('|')})`);
+
+    return sources.length > 0 ? new RegExp(sources.join('|'), 'giu') : null;
+}
@@ -0,0 +1,250 @@
+/**
+ * Keyword Rules Module
+ * User-editable rules for keyword categorization. A rule matches an entry when
+ * one of its keywords or its regular expression is found in the content and
+ * the entry starts inside its time window; the matching rule with the highest
+ * priority decides the category.
+ */
+
+import {
+    CATEGORY_KEYWORDS,
+    KEYWORD_RULE_CONFIG,
+    KEYWORD_RULE_ERRORS,
+    TIME
+} from './constants.js';
+import { timeToMinutes } from './timeline.js';
+import { resolveCategory, getDefaultCategory } from './categories.js';
+
+/**
+ * Keyword Rule Manager
+ * Handles keyword rule storage in localStorage
+ */
+export const KeywordRuleManager = {
+    /**
+     * Save rules to localStorage
+     * @param {Array} rules - Keyword rules
+     * @returns {boolean} Success status
+     */
+    save(rules) {
+        try {
+            localStorage.setItem(KEYWORD_RULE_CONFIG.STORAGE_KEY, JSON.stringify(rules));
+            return true;
+        } catch (error) {
+            console.error('Failed to save keyword rules:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Load rules from localStorage
+     * @returns {Array} Stored rules, or the default rules if none are stored
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(KEYWORD_RULE_CONFIG.STORAGE_KEY));
+            return Array.isArray(stored) ? stored.map(createRule) : createDefaultRules();
+        } catch (error) {
+            console.error('Failed to load keyword rules:', error);
+            return createDefaultRules();
+        }
+    },
+
+    /**
+     * Remove stored rules, restoring the defaults
+     * @returns {boolean} Success status
+     */
+    clear() {
+        try {
+            localStorage.removeItem(KEYWORD_RULE_CONFIG.STORAGE_KEY);
+            return true;
+        } catch (error) {
+            console.error('Failed to clear keyword rules:', error);
+            return false;
+        }
+    }
+};
+
+/**
+ * Create the default rules: one per CATEGORY_KEYWORDS category plus the
+ * night-time rest rule
+ * @returns {Array} Keyword rules
+ */
+export function createDefaultRules() {
+    const keywordRules = Object.entries(CATEGORY_KEYWORDS).map(([category, keywords]) => createRule({
+        category,
+        keywords,
+        priority: KEYWORD_RULE_CONFIG.DEFAULT_PRIORITIES[category]
+    }));
+
+    return [...keywordRules, createRule(KEYWORD_RULE_CONFIG.NIGHT_RULE)];
+}
+
+/**
+ * Create a rule with every field filled in
+ * @param {Object} [fields] - {category, keywords, pattern, timeStart, timeEnd,
+ *   priority, enabled}
+ * @returns {Object} Keyword rule
+ */
+export function createRule(fields = {}) {
+    return {
+        category: fields.category || getDefaultCategory(),
+        keywords: Array.isArray(fields.keywords)
+            ? fields.keywords.map(keyword => String(keyword).trim()).filter(Boolean)
+            : [],
+        pattern: fields.pattern || '',
+        timeStart: fields.timeStart || '',
+        timeEnd: fields.timeEnd || '',
+        priority: fields.priority ?? 0,
+        enabled: fields.enabled !== false
+    };
+}
+
+/**
+ * Check a rule
+ * @param {Object} rule - Keyword rule
+ * @returns {string|null} Error message, or null if the rule is valid
+ */
+export function validateRule(rule) {
+    if (!resolveCategory(rule.category)) {
+        return KEYWORD_RULE_ERRORS.UNKNOWN_CATEGORY;
+    }
+    if (rule.keywords.length === 0 && !rule.pattern && !rule.timeStart && !rule.timeEnd) {
+        return KEYWORD_RULE_ERRORS.NO_CRITERIA;
+    }
+    if (rule.pattern && !compilePattern(rule.pattern)) {
+        return KEYWORD_RULE_ERRORS.INVALID_PATTERN;
+    }
+    if ([rule.timeStart, rule.timeEnd].some(time => time && parseRuleTime(time) === null)) {
+        return KEYWORD_RULE_ERRORS.INVALID_TIME;
+    }
+    if (!Number.isInteger(rule.priority)) {
+        return KEYWORD_RULE_ERRORS.INVALID_PRIORITY;
+    }
+
+    return null;
+}
+
+/**
+ * Prepare rules for matching: drop disabled and invalid rules, compile
+ * patterns, resolve renamed categories and order by priority (earlier rules
+ * win ties)
+ * @param {Array} rules - Keyword rules
+ * @returns {Array} Prepared rules
+ */
+export function prepareRules(rules) {
+    return rules
+        .filter(rule => rule.enabled && !validateRule(rule))
+        .map(rule => ({
+            rule,
+            category: resolveCategory(rule.category),
+            keywords: rule.keywords.map(keyword => keyword.toLowerCase()),
+            regex: rule.pattern ? compilePattern(rule.pattern) : null,
+            start: rule.timeStart ? parseRuleTime(rule.timeStart) : null,
+            end: rule.timeEnd ? parseRuleTime(rule.timeEnd) : null
+        }))
+        .sort((a, b) => b.rule.priority - a.rule.priority);
+}
+
+/**
+ * Categorize an entry by rules
+ * @param {Object} entry - Log entry
+ * @param {Array} preparedRules - Result of prepareRules
+ * @returns {Object} {category, rule}: the matching rule, or null when the
+ *   default category was used
+ */
+export function categorizeByRules(entry, preparedRules) {
+    const match = preparedRules.find(prepared => matchesRule(prepared, entry));
+
+    return match
+        ? { category: match.category, rule: match.rule }
+        : { category: getDefaultCategory(), rule: null };
+}
+
+/**
+ * List the entries whose keyword category would change with a new rule set
+ * @param {Array} entries - Log entries
+ * @param {Array} currentRules - Rules in use
+ * @param {Array} draftRules - Edited rules
+ * @returns {Array} [{entry, from, to, rule}], rule being the draft rule
+ *   that decides the new category (null for the default category)
+ */
+export function previewRuleChanges(entries, currentRules, draftRules) {
+    const current = prepareRules(currentRules);
+    const draft = prepareRules(draftRules);
+
+    return entries
+        .map(entry => {
+            const before = categorizeByRules(entry, current);
+            const after = categorizeByRules(entry, draft);
+            return { entry, from: before.category, to: after.category, rule: after.rule };
+        })
+        .filter(change => change.from !== change.to);
+}
+
+/**
+ * Check whether a prepared rule matches an entry
+ * A rule without keywords or pattern matches on its time window alone.
+ * @param {Object} prepared - Prepared rule
+ * @param {Object} entry - Log entry
+ * @returns {boolean} True if the rule matches
+ */
+function matchesRule(prepared, entry) {
+    if (prepared.keywords.length > 0 || prepared.regex) {
+        const content = entry.content.toLowerCase();
+        const found = prepared.keywords.some(keyword => content.includes(keyword)) ||
+            Boolean(prepared.regex?.test(entry.content));
+
+        if (!found) {
+            return false;
+        }
+    }
+
+    return isInTimeWindow(timeToMinutes(entry.start), prepared.start, prepared.end);
+}
+
+/**
+ * Check whether a time falls in a window
+ * The window includes its start and excludes its end, may wrap past
+ * midnight (22:00 ~ 06:00), and is open on a side that is not set.
+ * @param {number} minutes - Time in minutes
+ * @param {number|null} start - Window start in minutes
+ * @param {number|null} end - Window end in minutes
+ * @returns {boolean} True if the time is inside
+ */
+function isInTimeWindow(minutes, start, end) {
+    if (start === null && end === null) return true;
+
+    const from = start ?? 0;
+    const to = end ?? TIME.MINUTES_PER_DAY;
+
+    return from <= to
+        ? minutes >= from && minutes < to
+        : minutes >= from || minutes < to;
+}
+
+/**
+ * Compile a rule pattern (case-insensitive)
+ * @param {string} pattern - Regular expression source
+ * @returns {RegExp|null} Regular expression, or null if invalid
+ */
+function compilePattern(pattern) {
+    try {
+        return new RegExp(pattern, 'i');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Parse a rule time window bound
+ * @param {string} time - Time (HH:MM, 24:00 allowed)
+ * @returns {number|null} Minutes since midnight, or null if invalid
+ */
+function parseRuleTime(time) {
+    if (!/^\d{1,2}:[0-5]\d$/.test(time)) {
+        return null;
+    }
+
+    const minutes = timeToMinutes(time);
+    return minutes <= TIME.MINUTES_PER_DAY ? minutes : null;
+}
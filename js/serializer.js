@@ -0,0 +1,257 @@
+/**
+ * Serializer Module
+ * Turns parsed entries back into canonical journal text and formats raw logs
+ */
+
+import { PATTERNS, IMMERSION_SCALE, TIME } from './constants.js';
+import { parseLogText, parseDateHeader } from './parser.js';
+
+/**
+ * Zero-pad a time to HH:MM
+ * @param {string} time - Time such as "9:00" or "09:00"
+ * @returns {string} Time (HH:MM)
+ */
+export function normalizeTime(time) {
+    const [hour, minute] = time.split(':');
+    return `${hour.padStart(2, '0')}:${(minute || '00').padStart(2, '0')}`;
+}
+
+/**
+ * Serialize an immersion value as bars ("❚❚❚", "❚❚❚½") or a not-rated marker
+ * Estimated immersion is not the user's rating and is left out. A value off
+ * the scale (an imported 0.5 or 7) is written as "[7]", so the parser clamps
+ * it and reports the line.
+ * @param {Object} entry - Log entry
+ * @returns {string} Immersion marker, or empty string if none
+ */
+function serializeImmersion(entry) {
+    if (entry.unrated) {
+        return '[-]';
+    }
+
+    if (!entry.immersion || entry.immersionEstimated) {
+        return '';
+    }
+
+    const value = entry.immersion;
+    if (value < IMMERSION_SCALE.MIN || value > IMMERSION_SCALE.MAX) {
+        return `[${value}]`;
+    }
+
+    const whole = Math.floor(value);
+    return '❚'.repeat(whole) + (value > whole ? '½' : '');
+}
+
+/**
+ * Escape the characters of entry content that would be read as markup: a
+ * "#" or "@" starting a word, brackets, bars, "⚡", and a trailing "3/5"
+ * @param {string} content - Entry content
+ * @returns {string} Content that parses back to itself
+ */
+function escapeMarkup(content) {
+    return content
+        .replace(/(^|\s)([#@])/g, '$1\\$2')
+        .replace(/[[\]❚⚡]/g, '\\$&')
+        .replace(/\|+(?=½?$)/, bars => bars.replace(/\|/g, '\\|'))
+        .replace(/(\d\s*)\/(?=\s*(?:5|10)$)/, '$1\\/');
+}
+
+/**
+ * Format an entry's tags and people as they are written in the journal
+ * @param {Object} entry - Log entry
+ * @returns {string} "#tag @person", or empty string if there are none
+ */
+export function formatLabels(entry) {
+    return [
+        ...(entry.tags || []).map(tag => `#${tag}`),
+        ...(entry.people || []).map(person => `@${person}`)
+    ].join(' ');
+}
+
+/**
+ * Serialize a single entry as a canonical time line
+ * Format: "- HH:MM ~ HH:MM content #tag @person [類別] ❚❚❚"; entries still in
+ * progress keep "進行中" as their end. Markup characters in the content are
+ * escaped ("\\#1", "\\[urgent\\]"), so imported text is taken literally.
+ * @param {Object} entry - Log entry
+ * @returns {string} Journal line
+ */
+export function serializeEntryLine(entry) {
+    const end = entry.openEnded ? TIME.OPEN_END_MARKER : normalizeTime(entry.end);
+    const parts = [
+        `- ${normalizeTime(entry.start)} ~ ${end}`,
+        escapeMarkup(entry.content),
+        formatLabels(entry),
+        entry.categoryOverride ? `[${entry.categoryOverride}]` : '',
+        serializeImmersion(entry)
+    ];
+
+    return parts.filter(Boolean).join(' ');
+}
+
+/**
+ * Serialize an entry with its thoughts and actions as indented sub-lines
+ * @param {Object} entry - Log entry
+ * @returns {Array} Journal lines
+ */
+function serializeEntryBlock(entry) {
+    return [
+        serializeEntryLine(entry),
+        ...(entry.thoughts || []).map(thought => `  - > ${thought}`),
+        ...(entry.actions || []).map(action => `  - v ${action}`)
+    ];
+}
+
+/**
+ * Serialize parsed days back into canonical journal text
+ * Auto-generated entries are skipped, and entries split at midnight are
+ * written back as a single overnight line.
+ * @param {Array} days - Days {date, label, entries}
+ * @returns {string} Journal text
+ */
+export function serializeJournal(days) {
+    const allEntries = days.flatMap(day => day.entries);
+
+    const sections = days.map(day => {
+        const lines = day.date ? [`# ${day.label}`] : [];
+
+        day.entries
+            .filter(entry => entry.id > 0 && !entry.continuation)
+            .forEach(entry => {
+                const tail = allEntries.find(other => other.continuation && other.id === entry.id);
+                lines.push(...serializeEntryBlock(tail ? { ...entry, end: tail.end } : entry));
+            });
+
+        return lines.join('\n');
+    });
+
+    return sections.filter(Boolean).join('\n\n');
+}
+
+/**
+ * Format raw journal text into canonical form
+ * Normalizes spacing, rewrites times as HH:MM ("2pm", "9:00", "0900"),
+ * converts "|||" to "❚❚❚", sorts time blocks within each day and re-indents
+ * thought/action lines. Lines the
+ * parser does not recognize are kept verbatim with the block they follow,
+ * so formatting never drops text.
+ * @param {string} rawText - Raw journal text
+ * @returns {string} Formatted journal text
+ */
+export function formatJournalText(rawText) {
+    const sections = [];
+    let section = createSection(null);
+    let block = null;
+    let currentYear = new Date().getFullYear();
+    sections.push(section);
+
+    rawText.split('\n').forEach(line => {
+        const cleanLine = line.trim();
+        if (!cleanLine) return;
+
+        const dateMatch = cleanLine.match(PATTERNS.DATE_HEADER);
+        const heading = dateMatch && parseDateHeader(dateMatch, currentYear);
+        if (heading) {
+            currentYear = heading.year;
+            section = createSection(`# ${heading.label}`);
+            sections.push(section);
+            block = null;
+            return;
+        }
+
+        const thoughtMatch = cleanLine.match(PATTERNS.THOUGHT);
+        const actionMatch = !thoughtMatch && cleanLine.match(PATTERNS.ACTION);
+        if (thoughtMatch || actionMatch) {
+            const subLine = thoughtMatch
+                ? `  - > ${thoughtMatch[1].trim()}`
+                : `  - v ${actionMatch[1].trim()}`;
+            (block ? block.lines : section.preamble).push(subLine);
+            return;
+        }
+
+        if (PATTERNS.TIME_HEADER.test(cleanLine)) {
+            const entry = parseLogText(cleanLine).entries[0];
+            if (entry) {
+                block = { start: normalizeTime(entry.start), lines: [serializeEntryLine(entry)] };
+                section.blocks.push(block);
+                return;
+            }
+        }
+
+        // Unrecognized or invalid lines are preserved as-is
+        (block ? block.lines : section.preamble).push(cleanLine);
+    });
+
+    return sections
+        .map(current => {
+            const blocks = [...current.blocks].sort((a, b) => a.start.localeCompare(b.start));
+            return [
+                current.heading,
+                ...current.preamble,
+                ...blocks.flatMap(item => item.lines)
+            ].filter(Boolean).join('\n');
+        })
+        .filter(Boolean)
+        .join('\n\n');
+}
+
+/**
+ * Create an empty formatter section
+ * @param {string|null} heading - Canonical date heading
+ * @returns {Object} Section {heading, preamble, blocks}
+ */
+function createSection(heading) {
+    return { heading, preamble: [], blocks: [] };
+}
+
+/**
+ * Write a category override back into the journal line of an entry
+ * The line is re-serialized in canonical form with a "[類別]" marker.
+ * @param {string} rawText - Journal text the entry was parsed from
+ * @param {number} lineNumber - One-based line number (the entry id)
+ * @param {string} category - Category to record
+ * @returns {string|null} Updated text, or null if the line is no longer a
+ *   time entry
+ */
+export function setCategoryOverrideInText(rawText, lineNumber, category) {
+    return updateEntryLine(rawText, lineNumber, { categoryOverride: category });
+}
+
+/**
+ * Write an immersion rating back into the journal line of an entry
+ * The line is re-serialized in canonical form with immersion bars.
+ * @param {string} rawText - Journal text the entry was parsed from
+ * @param {number} lineNumber - One-based line number (the entry id)
+ * @param {number} immersion - Immersion to record
+ * @returns {string|null} Updated text, or null if the line is no longer a
+ *   time entry
+ */
+export function setImmersionInText(rawText, lineNumber, immersion) {
+    return updateEntryLine(rawText, lineNumber, { immersion, unrated: false });
+}
+
+/**
+ * Re-serialize the journal line of an entry with changed fields
+ * @param {string} rawText - Journal text the entry was parsed from
+ * @param {number} lineNumber - One-based line number (the entry id)
+ * @param {Object} changes - Entry fields to change
+ * @returns {string|null} Updated text, or null if the line is no longer a
+ *   time entry
+ */
+function updateEntryLine(rawText, lineNumber, changes) {
+    const lines = rawText.split('\n');
+    const line = lines[lineNumber - 1];
+    if (line === undefined) {
+        return null;
+    }
+
+    const entry = parseLogText(line.trim()).entries[0];
+    if (!entry) {
+        return null;
+    }
+
+    const indent = line.match(/^\s*/)[0];
+    lines[lineNumber - 1] = indent + serializeEntryLine({ ...entry, ...changes });
+
+    return lines.join('\n');
+}
@@ -0,0 +1,302 @@
+/**
+ * Timeline Module
+ * Handles timeline validation: overnight entries, overlapping entries and
+ * untracked gaps
+ */
+
+import {
+    CATEGORIES,
+    TIME,
+    DIAGNOSTIC_SEVERITY,
+    DIAGNOSTIC_MESSAGES
+} from './constants.js';
+import { calculateDuration, addSleepPeriodIfMissing, getUserEntries } from './parser.js';
+import { getRestCategory } from './categories.js';
+
+/**
+ * Convert HH:MM to minutes since midnight
+ * @param {string} time - Time (HH:MM)
+ * @returns {number} Minutes since midnight
+ */
+export function timeToMinutes(time) {
+    const [hour, minute] = time.split(':').map(Number);
+    return hour * TIME.MINUTES_PER_HOUR + minute;
+}
+
+/**
+ * Convert minutes since midnight to HH:MM
+ * @param {number} minutes - Minutes since midnight (0-1440)
+ * @returns {string} Time (HH:MM)
+ */
+export function minutesToTime(minutes) {
+    const hour = Math.floor(minutes / TIME.MINUTES_PER_HOUR);
+    const minute = minutes % TIME.MINUTES_PER_HOUR;
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Create a generator for auto-generated entry ids (0, -1, -2, ...)
+ * Auto-generated entries use ids <= 0 so they never collide with the
+ * line-based ids of user entries.
+ * @returns {Function} Function returning the next auto id
+ */
+export function createAutoIdGenerator() {
+    let nextId = 0;
+    return () => nextId--;
+}
+
+/**
+ * Get the date following a YYYY-MM-DD date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {string} Next date (YYYY-MM-DD)
+ */
+function getNextDate(date) {
+    const next = new Date(`${date}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+    return next.toISOString().slice(0, 10);
+}
+
+/**
+ * Split entries that cross midnight into two parts
+ * The part after midnight moves to the next dated day (created if missing).
+ * Undated journals describe a single representative day, so there the tail
+ * wraps to the start of the same day. Both parts keep the entry's line id;
+ * the tail is marked with `continuation: true`.
+ * @param {Array} days - Parsed days {date, label, entries}, in order
+ * @returns {Array} The same days array, with split entries and new days
+ */
+export function splitOvernightEntries(days) {
+    for (let i = 0; i < days.length; i++) {
+        const day = days[i];
+        const tails = [];
+
+        day.entries.forEach(entry => {
+            if (timeToMinutes(entry.end) >= timeToMinutes(entry.start)) {
+                return;
+            }
+
+            tails.push({
+                ...entry,
+                start: '00:00',
+                duration: calculateDuration('00:00', entry.end),
+                thoughts: [],
+                actions: [],
+                continuation: true
+            });
+
+            entry.end = '24:00';
+            entry.duration = calculateDuration(entry.start, '24:00');
+        });
+
+        if (tails.length === 0) {
+            continue;
+        }
+
+        if (day.date === null) {
+            day.entries.push(...tails);
+            continue;
+        }
+
+        const nextDate = getNextDate(day.date);
+        let nextDay = days.find(existing => existing.date === nextDate);
+
+        if (!nextDay) {
+            nextDay = { date: nextDate, label: nextDate, entries: [] };
+            days.splice(i + 1, 0, nextDay);
+        }
+
+        nextDay.entries.push(...tails.map(tail => ({ ...tail, date: nextDate })));
+    }
+
+    return days;
+}
+
+/**
+ * Add a sleep period from the last entry's end until midnight
+ * @param {Array} entries - Entries of one day, sorted by start time
+ * @param {number} sleepId - Id for the generated sleep entry
+ * @returns {Array} Entries with end-of-day sleep added if needed
+ */
+export function addEndOfDaySleep(entries, sleepId) {
+    if (entries.length === 0) {
+        return entries;
+    }
+
+    const lastEnd = Math.max(...entries.map(getEndMinutes));
+
+    if (lastEnd < TIME.MINUTES_PER_DAY) {
+        const start = minutesToTime(lastEnd);
+        entries.push({
+            id: sleepId,
+            start,
+            end: '24:00',
+            content: '（自動補齊睡眠時段）',
+            immersion: 0,
+            duration: calculateDuration(start, '24:00'),
+            category: getRestCategory(),
+            date: entries[0].date ?? null,
+            tags: [],
+            people: [],
+            thoughts: [],
+            actions: []
+        });
+    }
+
+    return entries;
+}
+
+/**
+ * Check that a day's timeline fits within 24 hours
+ * @param {Array} entries - Entries of one day
+ * @returns {boolean} True if the total duration is at most 24h
+ */
+export function fitsInOneDay(entries) {
+    const total = entries.reduce((sum, entry) => sum + entry.duration, 0);
+    return total <= TIME.MINUTES_PER_DAY;
+}
+
+/**
+ * Get the end of an entry in minutes since the day's midnight
+ * Overnight entries end after 1440.
+ * @param {Object} entry - Log entry
+ * @returns {number} End minute
+ */
+function getEndMinutes(entry) {
+    return timeToMinutes(entry.start) + entry.duration;
+}
+
+/**
+ * Detect overlapping entries within a single day
+ * @param {Array} entries - Entries of one day, sorted by start time
+ * @returns {Array} Diagnostics [{line, severity, message}] for each overlap
+ */
+export function validateTimeline(entries) {
+    const diagnostics = [];
+    let latest = null;
+
+    entries.forEach(entry => {
+        if (latest) {
+            const overlap = getEndMinutes(latest) - timeToMinutes(entry.start);
+            if (overlap > 0) {
+                const overlapMinutes = Math.min(overlap, entry.duration);
+                diagnostics.push({
+                    line: entry.id > 0 ? entry.id : latest.id,
+                    severity: DIAGNOSTIC_SEVERITY.WARNING,
+                    message: `${DIAGNOSTIC_MESSAGES.OVERLAP}：${latest.start} ~ ${latest.end}（${overlapMinutes} 分鐘）`
+                });
+            }
+        }
+
+        if (!latest || getEndMinutes(entry) > getEndMinutes(latest)) {
+            latest = entry;
+        }
+    });
+
+    return diagnostics;
+}
+
+/**
+ * Resolve overlaps by trimming the earlier entry at the start of the later one
+ * The later, more specific block wins; any time the earlier entry covered
+ * after it is left as a gap.
+ * @param {Array} entries - Entries of one day, sorted by start time
+ * @returns {Array} The same entries, trimmed in place
+ */
+export function resolveOverlaps(entries) {
+    for (let i = 1; i < entries.length; i++) {
+        const current = entries[i];
+
+        for (let j = 0; j < i; j++) {
+            const previous = entries[j];
+            if (getEndMinutes(previous) > timeToMinutes(current.start)) {
+                previous.end = current.start;
+                previous.duration = calculateDuration(previous.start, previous.end);
+            }
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Insert explicit "untracked" entries for gaps between entries
+ * @param {Array} entries - Entries of one day, sorted by start time
+ * @param {Function} nextAutoId - Id generator from createAutoIdGenerator
+ * @returns {Array} The same array with gap entries inserted
+ */
+export function fillTimelineGaps(entries, nextAutoId) {
+    let coveredUntil = null;
+
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        const start = timeToMinutes(entry.start);
+
+        if (coveredUntil !== null && start > coveredUntil) {
+            const gapStart = minutesToTime(coveredUntil);
+            entries.splice(i, 0, {
+                id: nextAutoId(),
+                start: gapStart,
+                end: entry.start,
+                content: '（未記錄時段）',
+                immersion: 0,
+                duration: calculateDuration(gapStart, entry.start),
+                category: CATEGORIES.UNTRACKED,
+                date: entry.date ?? null,
+                tags: [],
+                people: [],
+                thoughts: [],
+                actions: []
+            });
+            i++;
+        }
+
+        coveredUntil = Math.max(coveredUntil ?? 0, getEndMinutes(entry));
+    }
+
+    return entries;
+}
+
+/**
+ * Complete each day's timeline: split overnight entries at midnight,
+ * back-fill sleep, check overlaps, optionally resolve them, and insert
+ * end-of-day sleep and untracked gap entries. Overlaps are always resolved
+ * for a day that would otherwise add up to more than 24 hours, counting the
+ * sleep and gaps filled in.
+ * @param {Array} days - Parsed days {date, label, entries}
+ * @param {Object} options - {resolveOverlaps, fillEndOfDaySleep}
+ * @returns {Array} Timeline diagnostics
+ */
+export function prepareTimeline(days, options) {
+    const nextAutoId = createAutoIdGenerator();
+    const diagnostics = [];
+
+    splitOvernightEntries(days);
+
+    days.forEach(day => {
+        addSleepPeriodIfMissing(day.entries, nextAutoId());
+        diagnostics.push(...validateTimeline(day.entries));
+
+        if (options.resolveOverlaps) {
+            resolveOverlaps(day.entries);
+        }
+
+        if (options.fillEndOfDaySleep) {
+            addEndOfDaySleep(day.entries, nextAutoId());
+        }
+
+        fillTimelineGaps(day.entries, nextAutoId);
+
+        // Trimming can open new gaps, which are filled in again
+        if (!fitsInOneDay(day.entries)) {
+            resolveOverlaps(day.entries);
+            fillTimelineGaps(day.entries, nextAutoId);
+            diagnostics.push({
+                line: getUserEntries(day.entries)[0]?.id ?? 1,
+                severity: DIAGNOSTIC_SEVERITY.WARNING,
+                message: `${day.label}：${DIAGNOSTIC_MESSAGES.DAY_OVER_24H}`
+            });
+        }
+    });
+
+    return diagnostics;
+}
@@ -3,7 +3,22 @@
  * Handles all UI updates, interactions, and DOM manipulations
  */
 
-import { MESSAGES, TIME, CATEGORY_ORDER } from './constants.js';
+import {
+    MESSAGES,
+    TIME,
+    CATEGORY_CONFIG,
+    DIAGNOSTIC_SEVERITY,
+    IMPORT_CONFIG,
+    KEYWORD_RULE_CONFIG,
+    KEY_VAULT_CONFIG,
+    PROMPT_CONFIG,
+    OUTPUT_LANGUAGES,
+    LLM_PROVIDERS,
+    IMMERSION_SCALE,
+    IMMERSION_ESTIMATE_SOURCES,
+    HISTORY_CONFIG
+} from './constants.js';
+import { getCategoryNames, getCategoryColor, resolveCategory } from './categories.js';
 
 /**
  * UI Elements cache
@@ -17,20 +32,96 @@ const elements = {
 
     // Messages
     statusMsg: null,
+    cancelAIBtn: null,
     apiKeyMsg: null,
 
     // Input
     logInput: null,
     apiKeyInput: null,
+    apiKeyNameInput: null,
+    apiKeySelect: null,
+    vaultStatus: null,
+    vaultLockBtn: null,
+    vaultEncryptBtn: null,
+    vaultDecryptBtn: null,
+    passphraseDialog: null,
+    passphraseTitle: null,
+    passphraseHint: null,
+    passphraseInput: null,
+    passphraseConfirmInput: null,
+    passphraseError: null,
+    passphraseSubmitBtn: null,
+    providerSelect: null,
+    baseUrlInput: null,
+    modelInput: null,
+    diagnosticsPanel: null,
+    resolveOverlapsToggle: null,
+    endOfDaySleepToggle: null,
+    estimateImmersionToggle: null,
+    inputModeSelect: null,
+    noteHeadingsInput: null,
+    importFileInput: null,
+    csvMappingDialog: null,
+    rulesDialog: null,
+    rulesList: null,
+    rulesPreview: null,
+    addRuleBtn: null,
+    resetRulesBtn: null,
+    previewRulesBtn: null,
+    saveRulesBtn: null,
+    categoriesDialog: null,
+    categoriesList: null,
+    categoriesError: null,
+    addCategoryBtn: null,
+    resetCategoriesBtn: null,
+    saveCategoriesBtn: null,
+    historyDialog: null,
+    historyMonth: null,
+    historyPrevMonth: null,
+    historyNextMonth: null,
+    historyCalendar: null,
+    historySelectAll: null,
+    historyList: null,
+    historyError: null,
+    exportHistoryBtn: null,
+    deleteHistoryBtn: null,
+    csvMappingFields: null,
+    promptsDialog: null,
+    promptTemplateSelect: null,
+    promptNameInput: null,
+    promptTemplateInput: null,
+    promptError: null,
+    addPromptBtn: null,
+    deletePromptBtn: null,
+    resetPromptBtn: null,
+    savePromptsBtn: null,
+    advicePresetSelect: null,
+    adviceLanguageSelect: null,
+    privacyDialog: null,
+    privacyEnabled: null,
+    privacyTerms: null,
+    privacyPreview: null,
 
     // Results
     resultsArea: null,
     reportDate: null,
+    daySelector: null,
+    immersionEstimates: null,
 
     // Analysis sections
     immersionAnalysisList: null,
     trendAnalysisList: null,
     aiLessonsContent: null,
+    stopAdviceBtn: null,
+    regenerateAdviceBtn: null,
+    classifierSummary: null,
+    classifierFileInput: null,
+    coachChat: null,
+    coachChatLog: null,
+    coachChatInput: null,
+    coachChatSendBtn: null,
+    pinnedAnswers: null,
+    pinnedAnswersList: null,
     statsSummary: null,
     categoryDetailsList: null
 };
@@ -44,21 +135,95 @@ export function initializeUI() {
     elements.btnText = document.getElementById('btnText');
     elements.loader = document.getElementById('loader');
     elements.statusMsg = document.getElementById('statusMsg');
+    elements.cancelAIBtn = document.getElementById('cancelAIBtn');
     elements.apiKeyMsg = document.getElementById('apiKeyMsg');
     elements.logInput = document.getElementById('logInput');
     elements.apiKeyInput = document.getElementById('apiKey');
+    elements.apiKeyNameInput = document.getElementById('apiKeyName');
+    elements.apiKeySelect = document.getElementById('apiKeySelect');
+    elements.vaultStatus = document.getElementById('vaultStatus');
+    elements.vaultLockBtn = document.getElementById('vaultLockBtn');
+    elements.vaultEncryptBtn = document.getElementById('vaultEncryptBtn');
+    elements.vaultDecryptBtn = document.getElementById('vaultDecryptBtn');
+    elements.passphraseDialog = document.getElementById('passphraseDialog');
+    elements.passphraseTitle = document.getElementById('passphraseTitle');
+    elements.passphraseHint = document.getElementById('passphraseHint');
+    elements.passphraseInput = document.getElementById('passphraseInput');
+    elements.passphraseConfirmInput = document.getElementById('passphraseConfirmInput');
+    elements.passphraseError = document.getElementById('passphraseError');
+    elements.passphraseSubmitBtn = document.getElementById('passphraseSubmitBtn');
+    elements.providerSelect = document.getElementById('llmProvider');
+    elements.baseUrlInput = document.getElementById('llmBaseUrl');
+    elements.modelInput = document.getElementById('llmModel');
+    elements.diagnosticsPanel = document.getElementById('diagnosticsPanel');
+    elements.resolveOverlapsToggle = document.getElementById('resolveOverlaps');
+    elements.endOfDaySleepToggle = document.getElementById('fillEndOfDaySleep');
+    elements.estimateImmersionToggle = document.getElementById('estimateImmersion');
+    elements.inputModeSelect = document.getElementById('inputMode');
+    elements.noteHeadingsInput = document.getElementById('noteHeadings');
+    elements.importFileInput = document.getElementById('importFileInput');
+    elements.csvMappingDialog = document.getElementById('csvMappingDialog');
+    elements.rulesDialog = document.getElementById('rulesDialog');
+    elements.rulesList = document.getElementById('rulesList');
+    elements.rulesPreview = document.getElementById('rulesPreview');
+    elements.addRuleBtn = document.getElementById('addRuleBtn');
+    elements.resetRulesBtn = document.getElementById('resetRulesBtn');
+    elements.previewRulesBtn = document.getElementById('previewRulesBtn');
+    elements.saveRulesBtn = document.getElementById('saveRulesBtn');
+    elements.categoriesDialog = document.getElementById('categoriesDialog');
+    elements.categoriesList = document.getElementById('categoriesList');
+    elements.categoriesError = document.getElementById('categoriesError');
+    elements.addCategoryBtn = document.getElementById('addCategoryBtn');
+    elements.resetCategoriesBtn = document.getElementById('resetCategoriesBtn');
+    elements.saveCategoriesBtn = document.getElementById('saveCategoriesBtn');
+    elements.historyDialog = document.getElementById('historyDialog');
+    elements.historyMonth = document.getElementById('historyMonth');
+    elements.historyPrevMonth = document.getElementById('historyPrevMonth');
+    elements.historyNextMonth = document.getElementById('historyNextMonth');
+    elements.historyCalendar = document.getElementById('historyCalendar');
+    elements.historySelectAll = document.getElementById('historySelectAll');
+    elements.historyList = document.getElementById('historyList');
+    elements.historyError = document.getElementById('historyError');
+    elements.exportHistoryBtn = document.getElementById('exportHistoryBtn');
+    elements.deleteHistoryBtn = document.getElementById('deleteHistoryBtn');
+    elements.csvMappingFields = document.getElementById('csvMappingFields');
+    elements.promptsDialog = document.getElementById('promptsDialog');
+    elements.promptTemplateSelect = document.getElementById('promptTemplateSelect');
+    elements.promptNameInput = document.getElementById('promptNameInput');
+    elements.promptTemplateInput = document.getElementById('promptTemplateInput');
+    elements.promptError = document.getElementById('promptError');
+    elements.addPromptBtn = document.getElementById('addPromptBtn');
+    elements.deletePromptBtn = document.getElementById('deletePromptBtn');
+    elements.resetPromptBtn = document.getElementById('resetPromptBtn');
+    elements.savePromptsBtn = document.getElementById('savePromptsBtn');
+    elements.advicePresetSelect = document.getElementById('advicePresetSelect');
+    elements.adviceLanguageSelect = document.getElementById('adviceLanguageSelect');
+    elements.privacyDialog = document.getElementById('privacyDialog');
+    elements.privacyEnabled = document.getElementById('privacyEnabled');
+    elements.privacyTerms = document.getElementById('privacyTerms');
+    elements.privacyPreview = document.getElementById('privacyPreview');
     elements.resultsArea = document.getElementById('resultsArea');
     elements.reportDate = document.getElementById('reportDate');
+    elements.daySelector = document.getElementById('daySelector');
+    elements.immersionEstimates = document.getElementById('immersionEstimates');
     elements.immersionAnalysisList = document.getElementById('immersionAnalysisList');
     elements.trendAnalysisList = document.getElementById('trendAnalysisList');
     elements.aiLessonsContent = document.getElementById('aiLessonsContent');
+    elements.stopAdviceBtn = document.getElementById('stopAdviceBtn');
+    elements.regenerateAdviceBtn = document.getElementById('regenerateAdviceBtn');
+    elements.classifierSummary = document.getElementById('classifierSummary');
+    elements.classifierFileInput = document.getElementById('classifierFileInput');
+    elements.coachChat = document.getElementById('coachChat');
+    elements.coachChatLog = document.getElementById('coachChatLog');
+    elements.coachChatInput = document.getElementById('coachChatInput');
+    elements.coachChatSendBtn = document.getElementById('coachChatSendBtn');
+    elements.pinnedAnswers = document.getElementById('pinnedAnswers');
+    elements.pinnedAnswersList = document.getElementById('pinnedAnswersList');
     elements.statsSummary = document.getElementById('statsSummary');
     elements.categoryDetailsList = document.getElementById('categoryDetailsList');
 
     // Set initial report date
-    if (elements.reportDate) {
-        elements.reportDate.innerText = ` 分析日期：${new Date().toLocaleDateString('zh-TW')}`;
-    }
+    setReportDate(null);
 
     // Initialize Lucide icons
     if (typeof lucide !== 'undefined') {
@@ -112,6 +277,30 @@ export function showStatusMessage(message, type = 'info') {
     }
 }
 
+/**
+ * Show or hide the button that cancels running AI requests
+ * @param {boolean} visible - Whether the button is shown
+ */
+export function setCancelAIVisible(visible) {
+    if (!elements.cancelAIBtn) return;
+
+    elements.cancelAIBtn.style.display = visible ? '' : 'none';
+}
+
+/**
+ * Switch the AI coach card buttons between states
+ * @param {string} state - 'streaming' (stop shown), 'done' (regenerate
+ *   shown) or 'idle' (both hidden)
+ */
+export function setAdviceControls(state) {
+    if (elements.stopAdviceBtn) {
+        elements.stopAdviceBtn.style.display = state === 'streaming' ? '' : 'none';
+    }
+    if (elements.regenerateAdviceBtn) {
+        elements.regenerateAdviceBtn.style.display = state === 'done' ? '' : 'none';
+    }
+}
+
 /**
  * Show API key save message
  * @param {boolean} success - Whether save was successful
@@ -151,21 +340,1080 @@ export function getLogInput() {
 }
 
 /**
- * Get API key input value
- * @returns {string} API key
+ * Set log input value
+ * @param {string} text - Log text
+ */
+export function setLogInput(text) {
+    if (elements.logInput) {
+        elements.logInput.value = text;
+    }
+}
+
+/**
+ * Wire the file picker and drag-and-drop onto the log input
+ * @param {Function} onFile - Callback with the selected or dropped File
+ */
+export function bindImportHandlers(onFile) {
+    if (elements.importFileInput) {
+        elements.importFileInput.accept = IMPORT_CONFIG.ACCEPTED_EXTENSIONS;
+        elements.importFileInput.onchange = () => {
+            const file = elements.importFileInput.files[0];
+            elements.importFileInput.value = '';
+            if (file) onFile(file);
+        };
+    }
+
+    const textarea = elements.logInput;
+    if (!textarea) return;
+
+    textarea.ondragover = (e) => {
+        if (!e.dataTransfer.types.includes('Files')) return;
+        e.preventDefault();
+        textarea.classList.add('drag-over');
+    };
+
+    textarea.ondragleave = () => {
+        textarea.classList.remove('drag-over');
+    };
+
+    textarea.ondrop = (e) => {
+        textarea.classList.remove('drag-over');
+        const file = e.dataTransfer.files[0];
+        if (!file) return;
+        e.preventDefault();
+        onFile(file);
+    };
+}
+
+/**
+ * Open the import file picker
+ */
+export function openImportPicker() {
+    elements.importFileInput?.click();
+}
+
+/**
+ * Bind the classifier model file picker
+ * @param {Function} onFile - Called with the chosen model file
+ */
+export function bindClassifierImport(onFile) {
+    if (!elements.classifierFileInput) return;
+
+    elements.classifierFileInput.onchange = () => {
+        const file = elements.classifierFileInput.files[0];
+        elements.classifierFileInput.value = '';
+        if (file) onFile(file);
+    };
+}
+
+/**
+ * Open the classifier model file picker
+ */
+export function openClassifierImport() {
+    elements.classifierFileInput?.click();
+}
+
+/**
+ * Show how many categorizations the classifier has learned
+ * @param {number} count - Number of learned examples
+ */
+export function showClassifierSummary(count) {
+    if (!elements.classifierSummary) return;
+
+    elements.classifierSummary.textContent = count > 0
+        ? `已學習 ${count} 筆手動分類`
+        : MESSAGES.CLASSIFIER_EMPTY;
+}
+
+/**
+ * Offer text as a file download
+ * @param {string} text - File content
+ * @param {string} fileName - Suggested file name
+ * @param {string} [type] - MIME type
+ */
+export function downloadTextFile(text, fileName, type = 'application/json') {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.download = fileName;
+    link.href = url;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Show the CSV column mapping dialog
+ * @param {Array} headers - CSV header cells
+ * @param {Object} mapping - Initial field → header mapping
+ * @returns {Promise<Object|null>} Chosen mapping, or null if cancelled
+ */
+export function showCsvMappingDialog(headers, mapping) {
+    const dialog = elements.csvMappingDialog;
+    if (!dialog || !elements.csvMappingFields) {
+        return Promise.resolve(mapping);
+    }
+
+    elements.csvMappingFields.innerHTML = '';
+
+    const selects = Object.entries(IMPORT_CONFIG.CSV_FIELD_LABELS).map(([field, label]) => {
+        const row = document.createElement('label');
+        row.className = 'mapping-row';
+
+        const select = document.createElement('select');
+        select.className = 'input';
+        select.dataset.field = field;
+        select.add(new Option('（不使用）', ''));
+        headers.forEach(header => select.add(new Option(header, header)));
+        select.value = mapping[field] || '';
+
+        row.innerHTML = `<span>${label}</span>`;
+        row.appendChild(select);
+        elements.csvMappingFields.appendChild(row);
+        return select;
+    });
+
+    return new Promise(resolve => {
+        dialog.onclose = () => {
+            if (dialog.returnValue !== 'confirm') {
+                resolve(null);
+                return;
+            }
+
+            const chosen = {};
+            selects.forEach(select => {
+                if (select.value) chosen[select.dataset.field] = select.value;
+            });
+            resolve(chosen);
+        };
+
+        dialog.returnValue = '';
+        dialog.showModal();
+    });
+}
+
+/**
+ * Show the keyword rules editor
+ * @param {Array} rules - Rules to edit
+ * @param {Object} handlers - Callbacks working on the edited rules:
+ *   createDefaults() returns the default rules, validate(rules) returns an
+ *   error message (or null) per rule, preview(rules) returns the entries that
+ *   would change category ([{entry, from, to}]) or null without a journal
+ * @returns {Promise<Array|null>} Saved rules, or null if cancelled
+ */
+export function showRulesDialog(rules, handlers) {
+    const dialog = elements.rulesDialog;
+    if (!dialog || !elements.rulesList) {
+        return Promise.resolve(null);
+    }
+
+    const renderRows = list => {
+        elements.rulesList.innerHTML = '';
+        list.forEach(rule => elements.rulesList.appendChild(createRuleRow(rule)));
+    };
+
+    renderRows(rules);
+    elements.rulesPreview.innerHTML = '';
+
+    elements.addRuleBtn.onclick = () => {
+        const row = createRuleRow({ category: getCategoryNames()[0], keywords: [], priority: 0, enabled: true });
+        elements.rulesList.appendChild(row);
+        row.querySelector('[data-field="keywords"]').focus();
+    };
+    elements.resetRulesBtn.onclick = () => renderRows(handlers.createDefaults());
+    elements.previewRulesBtn.onclick = () => renderRulesPreview(handlers.preview(readRuleRows()));
+
+    // Keep the dialog open while any rule is invalid
+    elements.saveRulesBtn.onclick = (e) => {
+        const errors = handlers.validate(readRuleRows());
+        [...elements.rulesList.children].forEach((row, index) => {
+            row.querySelector('.rule-error').textContent = errors[index] || '';
+        });
+
+        if (errors.some(Boolean)) {
+            e.preventDefault();
+            renderRulesPreview(MESSAGES.RULES_INVALID);
+        }
+    };
+
+    return new Promise(resolve => {
+        dialog.onclose = () => {
+            resolve(dialog.returnValue === 'confirm' ? readRuleRows() : null);
+        };
+
+        dialog.returnValue = '';
+        dialog.showModal();
+    });
+}
+
+/**
+ * Create an editable row for a keyword rule
+ * @param {Object} rule - Keyword rule
+ * @returns {HTMLElement} Row element
+ */
+function createRuleRow(rule) {
+    const row = document.createElement('div');
+    row.className = 'rule-row';
+
+    row.innerHTML = `
+        <input type="checkbox" data-field="enabled">
+        <select class="input" data-field="category"></select>
+        <input type="text" class="input" data-field="keywords" placeholder="開會, meeting">
+        <input type="text" class="input" data-field="pattern" placeholder="^週會">
+        <span class="rule-time">
+            <input type="time" class="input" data-field="timeStart">
+            ~
+            <input type="time" class="input" data-field="timeEnd">
+        </span>
+        <input type="number" class="input" data-field="priority" step="1">
+        <button type="button" class="btn btn-secondary btn-sm" title="刪除規則">✕</button>
+        <div class="rule-error"></div>
+    `;
+
+    const field = name => row.querySelector(`[data-field="${name}"]`);
+    getCategoryNames().forEach(category => {
+        const option = document.createElement('option');
+        option.value = category;
+        option.textContent = category;
+        field('category').appendChild(option);
+    });
+
+    field('enabled').checked = rule.enabled;
+    field('category').value = resolveCategory(rule.category) || '';  // Also renamed categories
+    field('keywords').value = rule.keywords.join(', ');
+    field('pattern').value = rule.pattern || '';
+    field('timeStart').value = rule.timeStart || '';
+    field('timeEnd').value = rule.timeEnd || '';
+    field('priority').value = rule.priority;
+    row.querySelector('button').onclick = () => row.remove();
+
+    return row;
+}
+
+/**
+ * Read the rules from the editor rows
+ * @returns {Array} Keyword rules
+ */
+function readRuleRows() {
+    return [...elements.rulesList.children].map(row => {
+        const field = name => row.querySelector(`[data-field="${name}"]`);
+        const priority = field('priority').value.trim();
+
+        return {
+            category: field('category').value,
+            keywords: field('keywords').value.split(/[,，、]/).map(keyword => keyword.trim()).filter(Boolean),
+            pattern: field('pattern').value.trim(),
+            timeStart: field('timeStart').value,
+            timeEnd: field('timeEnd').value,
+            priority: priority === '' ? 0 : Number(priority),
+            enabled: field('enabled').checked
+        };
+    });
+}
+
+/**
+ * Render the rule preview below the rules editor
+ * @param {Array|string|null} changes - Entries that would change category
+ *   [{entry, from, to}], a message, or null when there is no journal
+ */
+function renderRulesPreview(changes) {
+    if (!elements.rulesPreview) return;
+
+    if (changes === null || typeof changes === 'string') {
+        elements.rulesPreview.textContent = changes ?? MESSAGES.RULES_PREVIEW_NO_JOURNAL;
+        return;
+    }
+
+    if (changes.length === 0) {
+        elements.rulesPreview.textContent = MESSAGES.RULES_PREVIEW_EMPTY;
+        return;
+    }
+
+    const shown = changes.slice(0, KEYWORD_RULE_CONFIG.PREVIEW_LIMIT);
+    const more = changes.length - shown.length;
+
+    elements.rulesPreview.innerHTML = `
+        <strong>${changes.length} 個條目會改變分類</strong>
+        <ul class="rules-preview-list"></ul>
+        ${more > 0 ? `<div class="text-muted">…另有 ${more} 個條目</div>` : ''}
+    `;
+
+    const list = elements.rulesPreview.querySelector('ul');
+    shown.forEach(({ entry, from, to }) => {
+        const item = document.createElement('li');
+        item.textContent = `第 ${entry.id} 行 ${entry.start} ${entry.content}：${from} → ${to}`;
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Show the category editor
+ * @param {Array} categories - Category definitions to edit
+ * @param {Object} handlers - Callbacks working on the edited rows:
+ *   createDefaults() returns the default definitions, createCategory()
+ *   returns a new empty definition, validate(rows) returns {errors, error}
+ * @returns {Promise<Array|null>} Edited rows {id, name, color, description,
+ *   productive, mergeInto} in display order, or null if cancelled
+ */
+export function showCategoriesDialog(categories, handlers) {
+    const dialog = elements.categoriesDialog;
+    if (!dialog || !elements.categoriesList) {
+        return Promise.resolve(null);
+    }
+
+    const renderRows = list => {
+        elements.categoriesList.innerHTML = '';
+        list.forEach(category => elements.categoriesList.appendChild(createCategoryRow(category)));
+        refreshMergeOptions();
+    };
+
+    renderRows(categories);
+    elements.categoriesError.textContent = '';
+
+    elements.addCategoryBtn.onclick = () => {
+        const row = createCategoryRow(handlers.createCategory());
+        elements.categoriesList.appendChild(row);
+        refreshMergeOptions();
+        row.querySelector('[data-field="name"]').focus();
+    };
+    elements.resetCategoriesBtn.onclick = () => renderRows(handlers.createDefaults());
+
+    // Keep the dialog open while any category is invalid
+    elements.saveCategoriesBtn.onclick = (e) => {
+        const { errors, error } = handlers.validate(readCategoryRows());
+        [...elements.categoriesList.children].forEach((row, index) => {
+            row.querySelector('.rule-error').textContent = errors[index] || '';
+        });
+
+        if (error || errors.some(Boolean)) {
+            e.preventDefault();
+            elements.categoriesError.textContent = error || MESSAGES.CATEGORIES_INVALID;
+        }
+    };
+
+    return new Promise(resolve => {
+        dialog.onclose = () => {
+            resolve(dialog.returnValue === 'confirm' ? readCategoryRows() : null);
+        };
+
+        dialog.returnValue = '';
+        dialog.showModal();
+    });
+}
+
+/**
+ * Create an editable row for a category
+ * @param {Object} category - Category definition
+ * @returns {HTMLElement} Row element
  */
-export function getApiKey() {
-    return elements.apiKeyInput?.value.trim() || '';
+function createCategoryRow(category) {
+    const row = document.createElement('div');
+    row.className = 'category-row';
+    row.dataset.id = category.id;
+
+    const roleLabel = {
+        [CATEGORY_CONFIG.ROLES.REST]: '睡眠',
+        [CATEGORY_CONFIG.ROLES.DEFAULT]: '預設'
+    }[category.role];
+
+    row.innerHTML = `
+        <input type="color" class="input" data-field="color">
+        <input type="text" class="input" data-field="name" placeholder="類別名稱">
+        <input type="text" class="input" data-field="description" placeholder="給 AI 的說明">
+        <input type="checkbox" data-field="productive" title="計入生產力分數">
+        <select class="input" data-field="mergeInto" ${roleLabel ? 'disabled' : ''}></select>
+        <span class="category-actions">
+            <button type="button" class="btn btn-secondary btn-sm" data-action="up" title="上移">↑</button>
+            <button type="button" class="btn btn-secondary btn-sm" data-action="down" title="下移">↓</button>
+            <button type="button" class="btn btn-secondary btn-sm" data-action="delete"
+                title="${roleLabel ? `${roleLabel}類別不可刪除` : '刪除類別'}" ${roleLabel ? 'disabled' : ''}>✕</button>
+        </span>
+        <div class="rule-error"></div>
+    `;
+
+    const field = name => row.querySelector(`[data-field="${name}"]`);
+    field('color').value = category.color;
+    field('name').value = category.name;
+    field('description').value = category.description || '';
+    field('productive').checked = category.productive;
+    field('name').oninput = refreshMergeOptions;
+
+    row.querySelector('[data-action="up"]').onclick = () => {
+        if (row.previousElementSibling) {
+            row.parentNode.insertBefore(row, row.previousElementSibling);
+        }
+    };
+    row.querySelector('[data-action="down"]').onclick = () => {
+        if (row.nextElementSibling) {
+            row.parentNode.insertBefore(row.nextElementSibling, row);
+        }
+    };
+    row.querySelector('[data-action="delete"]').onclick = () => {
+        row.remove();
+        refreshMergeOptions();
+    };
+
+    return row;
 }
 
 /**
- * Set API key input value
- * @param {string} key - API key to set
+ * Refill the "merge into" choices of every category row with the current
+ * names of the other rows, keeping selections that are still possible
  */
-export function setApiKey(key) {
-    if (elements.apiKeyInput) {
-        elements.apiKeyInput.value = key;
+function refreshMergeOptions() {
+    const rows = [...elements.categoriesList.children];
+
+    rows.forEach(row => {
+        const select = row.querySelector('[data-field="mergeInto"]');
+        const selected = select.value;
+
+        select.innerHTML = '<option value="">不合併</option>';
+        rows.filter(other => other !== row).forEach(other => {
+            const option = document.createElement('option');
+            option.value = other.dataset.id;
+            option.textContent = `合併至 ${other.querySelector('[data-field="name"]').value || '（未命名）'}`;
+            select.appendChild(option);
+        });
+
+        select.value = rows.some(other => other.dataset.id === selected) ? selected : '';
+    });
+}
+
+/**
+ * Read the categories from the editor rows
+ * @returns {Array} Edited rows {id, name, color, description, productive,
+ *   mergeInto}
+ */
+function readCategoryRows() {
+    return [...elements.categoriesList.children].map(row => {
+        const field = name => row.querySelector(`[data-field="${name}"]`);
+
+        return {
+            id: row.dataset.id,
+            name: field('name').value,
+            color: field('color').value,
+            description: field('description').value,
+            productive: field('productive').checked,
+            mergeInto: field('mergeInto').value || null
+        };
+    });
+}
+
+/**
+ * Show the advice presets and output languages next to the AI coach
+ * @param {Array} presets - Advice presets [{id, name}]
+ * @param {string} activePreset - Preset in use
+ * @param {string} language - Output language code
+ */
+export function renderAdviceOptions(presets, activePreset, language) {
+    if (!elements.advicePresetSelect) return;
+
+    elements.advicePresetSelect.innerHTML = '';
+    presets.forEach(({ id, name }) => {
+        elements.advicePresetSelect.appendChild(new Option(name, id));
+    });
+    elements.advicePresetSelect.value = presets.some(preset => preset.id === activePreset)
+        ? activePreset
+        : presets[0]?.id;
+
+    elements.adviceLanguageSelect.innerHTML = '';
+    Object.entries(OUTPUT_LANGUAGES).forEach(([code, { LABEL }]) => {
+        elements.adviceLanguageSelect.appendChild(new Option(LABEL, code));
+    });
+    elements.adviceLanguageSelect.value = language;
+}
+
+/**
+ * Get the advice preset and output language chosen next to the AI coach
+ * @returns {Object} {activePreset, language}
+ */
+export function getAdviceOptions() {
+    return {
+        activePreset: elements.advicePresetSelect?.value || PROMPT_CONFIG.DEFAULT_PRESET,
+        language: elements.adviceLanguageSelect?.value || PROMPT_CONFIG.DEFAULT_LANGUAGE
+    };
+}
+
+/**
+ * Show the prompt template editor
+ * One template is edited at a time: the categorization template or one of
+ * the advice presets.
+ * @param {Object} settings - Template settings {categorize, presets, ...}
+ * @param {Object} handlers - getDefault(id) returns a built-in template (null
+ *   for user presets), createPreset(template) returns a new preset,
+ *   validate(template, name) returns an error message or null
+ * @returns {Promise<Object|null>} Edited settings, or null if cancelled
+ */
+export function showPromptsDialog(settings, handlers) {
+    const dialog = elements.promptsDialog;
+    if (!dialog) {
+        return Promise.resolve(null);
     }
+
+    const CATEGORIZE_ID = PROMPT_CONFIG.CATEGORIZE_ID;
+    const draft = {
+        categorize: settings.categorize,
+        presets: settings.presets.map(preset => ({ ...preset }))
+    };
+    let currentId = CATEGORIZE_ID;
+
+    const findPreset = id => draft.presets.find(preset => preset.id === id);
+
+    // Keep the edits of the template shown before switching to another
+    const storeCurrent = () => {
+        const preset = findPreset(currentId);
+        if (currentId === CATEGORIZE_ID) {
+            draft.categorize = elements.promptTemplateInput.value;
+        } else if (preset) {
+            preset.name = elements.promptNameInput.value.trim();
+            preset.template = elements.promptTemplateInput.value;
+        }
+    };
+
+    const show = (id, error = '') => {
+        const isCategorize = id === CATEGORIZE_ID;
+        const preset = findPreset(id);
+        const builtIn = handlers.getDefault(id) !== null;
+        currentId = id;
+
+        elements.promptTemplateSelect.innerHTML = '';
+        elements.promptTemplateSelect.appendChild(new Option('AI 分類', CATEGORIZE_ID));
+        draft.presets.forEach(({ id: presetId, name }) => {
+            elements.promptTemplateSelect.appendChild(new Option(`AI 建議：${name || '（未命名）'}`, presetId));
+        });
+        elements.promptTemplateSelect.value = id;
+
+        elements.promptNameInput.value = isCategorize ? 'AI 分類' : preset.name;
+        elements.promptNameInput.disabled = isCategorize;
+        elements.promptTemplateInput.value = isCategorize ? draft.categorize : preset.template;
+        elements.deletePromptBtn.disabled = isCategorize || builtIn;
+        elements.resetPromptBtn.disabled = !builtIn;
+        elements.promptError.textContent = error;
+    };
+
+    show(CATEGORIZE_ID);
+
+    elements.promptTemplateSelect.onchange = () => {
+        storeCurrent();
+        show(elements.promptTemplateSelect.value);
+    };
+    elements.addPromptBtn.onclick = () => {
+        storeCurrent();
+        const preset = handlers.createPreset((findPreset(currentId) || draft.presets[0]).template);
+        draft.presets.push(preset);
+        show(preset.id);
+        elements.promptNameInput.select();
+    };
+    elements.deletePromptBtn.onclick = () => {
+        draft.presets = draft.presets.filter(preset => preset.id !== currentId);
+        show(draft.presets[0]?.id || CATEGORIZE_ID);
+    };
+    elements.resetPromptBtn.onclick = () => {
+        elements.promptTemplateInput.value = handlers.getDefault(currentId);
+    };
+
+    // Keep the dialog open on the first invalid template
+    elements.savePromptsBtn.onclick = (e) => {
+        storeCurrent();
+        const problem = [
+            { id: CATEGORIZE_ID, error: handlers.validate(draft.categorize) },
+            ...draft.presets.map(preset => ({ id: preset.id, error: handlers.validate(preset.template, preset.name) }))
+        ].find(({ error }) => error);
+
+        if (problem) {
+            e.preventDefault();
+            show(problem.id, problem.error);
+        }
+    };
+
+    return new Promise(resolve => {
+        dialog.onclose = () => {
+            resolve(dialog.returnValue === 'confirm' ? { ...settings, ...draft } : null);
+        };
+
+        dialog.returnValue = '';
+        dialog.showModal();
+    });
+}
+
+/**
+ * Show the privacy redaction settings with a live preview of what would be
+ * sent to the AI
+ * @param {Object} settings - Redaction settings {enabled, email, phone, url,
+ *   mentions, terms}
+ * @param {Function} preview - (settings) => {sections: [{title, text}],
+ *   replacements: [{placeholder, original}]}, or null without a journal
+ * @returns {Promise<Object|null>} Saved settings, or null if cancelled
+ */
+export function showPrivacyDialog(settings, preview) {
+    const dialog = elements.privacyDialog;
+    if (!dialog) {
+        return Promise.resolve(null);
+    }
+
+    elements.privacyEnabled.checked = settings.enabled;
+    dialog.querySelectorAll('[data-detector]').forEach(input => {
+        input.checked = Boolean(settings[input.dataset.detector]);
+    });
+    elements.privacyTerms.value = settings.terms.join('\n');
+
+    const update = () => renderPrivacyPreview(preview(readPrivacySettings()));
+    dialog.oninput = update;
+    update();
+
+    return new Promise(resolve => {
+        dialog.onclose = () => {
+            resolve(dialog.returnValue === 'confirm' ? readPrivacySettings() : null);
+        };
+
+        dialog.returnValue = '';
+        dialog.showModal();
+    });
+}
+
+/**
+ * Read the redaction settings from the privacy dialog
+ * @returns {Object} Redaction settings
+ */
+function readPrivacySettings() {
+    const settings = {
+        enabled: elements.privacyEnabled.checked,
+        terms: elements.privacyTerms.value.split(/[\n,，、]/).map(term => term.trim()).filter(Boolean)
+    };
+
+    elements.privacyDialog.querySelectorAll('[data-detector]').forEach(input => {
+        settings[input.dataset.detector] = input.checked;
+    });
+
+    return settings;
+}
+
+/**
+ * Render the prompts that would be sent, with placeholders highlighted
+ * @param {Object|null} result - {sections, replacements}, or null without a
+ *   journal
+ */
+function renderPrivacyPreview(result) {
+    if (!elements.privacyPreview) return;
+
+    elements.privacyPreview.innerHTML = '';
+
+    if (!result) {
+        elements.privacyPreview.textContent = MESSAGES.PRIVACY_PREVIEW_NO_JOURNAL;
+        return;
+    }
+
+    if (result.replacements.length > 0) {
+        const list = document.createElement('ul');
+        list.className = 'rules-preview-list';
+        result.replacements.forEach(({ placeholder, original }) => {
+            const item = document.createElement('li');
+            item.textContent = `${placeholder} ← ${original}`;
+            list.appendChild(item);
+        });
+        elements.privacyPreview.appendChild(list);
+    }
+
+    result.sections.forEach(({ title, text }) => {
+        const heading = document.createElement('strong');
+        heading.textContent = title;
+
+        // Text nodes keep the journal from being read as HTML
+        const pre = document.createElement('pre');
+        pre.className = 'privacy-prompt';
+        text.split(/(\[[A-Z]+_\d+\])/).forEach((part, index) => {
+            if (index % 2 === 1) {
+                const mark = document.createElement('mark');
+                mark.textContent = part;
+                pre.appendChild(mark);
+            } else {
+                pre.appendChild(document.createTextNode(part));
+            }
+        });
+
+        elements.privacyPreview.append(heading, pre);
+    });
+}
+
+/**
+ * Show the saved days as a month calendar and a list
+ * @param {Array} days - Saved days from listDays, newest first
+ * @param {Object} handlers - remove(keys) deletes days and returns the days
+ *   left (null if the user changed their mind); exportDays(keys) downloads
+ *   days (every day when keys is empty). Both may throw.
+ * @returns {Promise<string|null>} Key of the day to open, or null if closed
+ */
+export function showHistoryDialog(days, handlers) {
+    const dialog = elements.historyDialog;
+    if (!dialog || !elements.historyList) {
+        return Promise.resolve(null);
+    }
+
+    let list = days;
+    let openKey = null;
+    const selected = new Set();
+
+    // Start at the month of the newest saved day
+    const newest = list[0] ? new Date(`${list[0].date}T00:00`) : new Date();
+    let month = new Date(newest.getFullYear(), newest.getMonth(), 1);
+
+    const open = key => {
+        openKey = key;
+        dialog.close('confirm');
+    };
+
+    const updateSelectAll = () => {
+        elements.historySelectAll.checked = list.length > 0 && selected.size === list.length;
+    };
+
+    const render = () => {
+        renderHistoryCalendar(list, month, open);
+        renderHistoryList(list, selected, open, updateSelectAll);
+        updateSelectAll();
+    };
+
+    const showMonth = offset => {
+        month = new Date(month.getFullYear(), month.getMonth() + offset, 1);
+        renderHistoryCalendar(list, month, open);
+    };
+
+    const run = async action => {
+        elements.historyError.textContent = '';
+        try {
+            await action();
+        } catch (error) {
+            elements.historyError.textContent = error.message;
+        }
+    };
+
+    elements.historyPrevMonth.onclick = () => showMonth(-1);
+    elements.historyNextMonth.onclick = () => showMonth(1);
+    elements.historySelectAll.onchange = () => {
+        selected.clear();
+        if (elements.historySelectAll.checked) {
+            list.forEach(day => selected.add(day.key));
+        }
+        render();
+    };
+    elements.exportHistoryBtn.onclick = () => run(() => handlers.exportDays([...selected]));
+    elements.deleteHistoryBtn.onclick = () => run(async () => {
+        if (selected.size === 0) {
+            elements.historyError.textContent = MESSAGES.HISTORY_NONE_SELECTED;
+            return;
+        }
+
+        const remaining = await handlers.remove([...selected]);
+        if (remaining) {
+            list = remaining;
+            selected.clear();
+            render();
+        }
+    });
+
+    elements.historyError.textContent = '';
+    render();
+
+    return new Promise(resolve => {
+        dialog.onclose = () => {
+            resolve(dialog.returnValue === 'confirm' ? openKey : null);
+        };
+
+        dialog.returnValue = '';
+        dialog.showModal();
+    });
+}
+
+/**
+ * Render a month of the history calendar; saved days can be clicked
+ * @param {Array} days - Saved days
+ * @param {Date} month - First day of the month to show
+ * @param {Function} onOpen - Called with the key of the clicked day
+ */
+function renderHistoryCalendar(days, month, onOpen) {
+    // A date can have a dated day and undated ones saved on it; open the first
+    const byDate = new Map();
+    days.forEach(day => {
+        byDate.set(day.date, [...(byDate.get(day.date) || []), day]);
+    });
+    const year = month.getFullYear();
+    const monthIndex = month.getMonth();
+    const pad = value => String(value).padStart(2, '0');
+
+    elements.historyMonth.textContent = `${year} 年 ${monthIndex + 1} 月`;
+    elements.historyCalendar.innerHTML = '';
+
+    HISTORY_CONFIG.WEEKDAYS.forEach(name => {
+        const heading = document.createElement('span');
+        heading.className = 'history-weekday';
+        heading.textContent = name;
+        elements.historyCalendar.appendChild(heading);
+    });
+
+    // Blank cells up to the weekday of the 1st
+    for (let i = 0; i < month.getDay(); i++) {
+        elements.historyCalendar.appendChild(document.createElement('span'));
+    }
+
+    const dayCount = new Date(year, monthIndex + 1, 0).getDate();
+    for (let dayOfMonth = 1; dayOfMonth <= dayCount; dayOfMonth++) {
+        const [day, ...others] = byDate.get(`${year}-${pad(monthIndex + 1)}-${pad(dayOfMonth)}`) || [];
+        const cell = document.createElement('button');
+        cell.type = 'button';
+        cell.className = 'history-day';
+        cell.textContent = dayOfMonth;
+
+        if (day) {
+            cell.classList.add('has-record');
+            cell.title = [
+                `${day.label}・生產力 ${day.productivityScore}`,
+                ...others.map(other => `${other.label}・生產力 ${other.productivityScore}`)
+            ].join('\n');
+            cell.onclick = () => onOpen(day.key);
+        } else {
+            cell.disabled = true;
+        }
+
+        elements.historyCalendar.appendChild(cell);
+    }
+}
+
+/**
+ * Render the list of saved days with selection checkboxes
+ * @param {Array} days - Saved days
+ * @param {Set} selected - Keys of the selected days (updated on change)
+ * @param {Function} onOpen - Called with the key of the day to open
+ * @param {Function} onSelect - Called after the selection changed
+ */
+function renderHistoryList(days, selected, onOpen, onSelect) {
+    elements.historyList.innerHTML = '';
+
+    if (days.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'text-muted';
+        empty.textContent = MESSAGES.HISTORY_EMPTY;
+        elements.historyList.appendChild(empty);
+        return;
+    }
+
+    days.forEach(day => {
+        const item = document.createElement('li');
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = selected.has(day.key);
+        checkbox.onchange = () => {
+            if (checkbox.checked) {
+                selected.add(day.key);
+            } else {
+                selected.delete(day.key);
+            }
+            onSelect();
+        };
+
+        const date = document.createElement('strong');
+        date.textContent = day.date;
+
+        // Undated days are told apart by when they were saved
+        const hours = (day.totalTime / TIME.MINUTES_PER_HOUR).toFixed(1);
+        const savedTime = new Date(day.savedAt).toLocaleTimeString('zh-TW', { hour: '2-digit', minute: '2-digit' });
+        const summary = document.createElement('span');
+        summary.className = 'history-summary';
+        summary.textContent = [
+            day.undated ? `${day.label}（${savedTime} 儲存）` : '',
+            !day.undated && day.label !== day.date ? day.label : '',
+            `${day.entryCount} 筆・${hours}h`,
+            `生產力 ${day.productivityScore}`,
+            day.hasAdvice ? '含 AI 建議' : ''
+        ].filter(Boolean).join('｜');
+
+        const openButton = document.createElement('button');
+        openButton.type = 'button';
+        openButton.className = 'btn btn-secondary btn-sm';
+        openButton.textContent = '開啟';
+        openButton.onclick = () => onOpen(day.key);
+
+        item.append(checkbox, date, summary, openButton);
+        elements.historyList.appendChild(item);
+    });
+}
+
+/**
+ * Whether overlapping entries should be trimmed automatically
+ * @returns {boolean} Toggle state
+ */
+export function isResolveOverlapsEnabled() {
+    return elements.resolveOverlapsToggle?.checked || false;
+}
+
+/**
+ * Whether sleep should be back-filled from the last entry until midnight
+ * @returns {boolean} Toggle state
+ */
+export function isEndOfDaySleepEnabled() {
+    return elements.endOfDaySleepToggle?.checked || false;
+}
+
+/**
+ * Whether unrated entries should get an estimated immersion
+ * @returns {boolean} Toggle state
+ */
+export function isEstimateImmersionEnabled() {
+    return elements.estimateImmersionToggle?.checked || false;
+}
+
+/**
+ * Get the selected input format
+ * @returns {string} 'auto', 'journal' or 'note'
+ */
+export function getInputMode() {
+    return elements.inputModeSelect?.value || 'auto';
+}
+
+/**
+ * Get the user's time log section heading names
+ * @returns {Array} Heading names (empty to use the defaults)
+ */
+export function getNoteHeadings() {
+    const value = elements.noteHeadingsInput?.value || '';
+    return value.split(/[,，]/).map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Get the AI provider settings as entered
+ * Empty base URL / model fields mean the provider's defaults; apiKey is a
+ * newly entered key (empty to use the selected stored key).
+ * @returns {Object} {provider, baseUrl, model, apiKey, keyName, keyId}
+ */
+export function getProviderSettings() {
+    return {
+        provider: elements.providerSelect?.value || '',
+        baseUrl: elements.baseUrlInput?.value.trim() || '',
+        model: elements.modelInput?.value.trim() || '',
+        apiKey: elements.apiKeyInput?.value.trim() || '',
+        keyName: elements.apiKeyNameInput?.value.trim() || '',
+        keyId: elements.apiKeySelect?.value || null
+    };
+}
+
+/**
+ * Fill the AI provider settings form
+ * The provider's default base URL and model are shown as placeholders.
+ * @param {Object} settings - {provider, baseUrl, model}
+ */
+export function setProviderSettings(settings) {
+    const defaults = LLM_PROVIDERS[settings.provider];
+    if (!defaults || !elements.providerSelect) return;
+
+    elements.providerSelect.value = settings.provider;
+    elements.baseUrlInput.value = settings.baseUrl || '';
+    elements.baseUrlInput.placeholder = ` Base URL（預設：${defaults.BASE_URL}）`;
+    elements.modelInput.value = settings.model || '';
+    elements.modelInput.placeholder = ` 模型（預設：${defaults.MODEL}）`;
+    elements.apiKeyInput.placeholder = defaults.REQUIRES_KEY
+        ? ' 貼上新的 API Key...'
+        : ' 新的 API Key（選填）';
+}
+
+/**
+ * Show a provider's stored keys and clear the new-key fields
+ * @param {Array} keys - [{id, name}]
+ * @param {string|null} selectedId - Selected key id
+ */
+export function renderApiKeys(keys, selectedId) {
+    if (!elements.apiKeySelect) return;
+
+    elements.apiKeySelect.innerHTML = keys.length === 0
+        ? '<option value="">尚未儲存 Key</option>'
+        : '';
+    keys.forEach(({ id, name }) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = name;
+        elements.apiKeySelect.appendChild(option);
+    });
+    elements.apiKeySelect.value = selectedId || '';
+    elements.apiKeySelect.disabled = keys.length === 0;
+
+    elements.apiKeyInput.value = '';
+    elements.apiKeyNameInput.value = '';
+}
+
+/**
+ * Show whether stored keys are encrypted and unlocked
+ * @param {Object} state - {encrypted, locked}
+ */
+export function renderVaultStatus({ encrypted, locked }) {
+    if (!elements.vaultStatus) return;
+
+    elements.vaultStatus.textContent = !encrypted
+        ? 'API Key 未加密'
+        : (locked ? '🔒 API Key 已加密鎖定' : `🔓 已解鎖（閒置 ${KEY_VAULT_CONFIG.AUTO_LOCK_MINUTES} 分鐘後自動鎖定）`);
+    elements.vaultLockBtn.style.display = encrypted ? '' : 'none';
+    elements.vaultLockBtn.textContent = locked ? '解鎖' : '鎖定';
+    elements.vaultEncryptBtn.textContent = encrypted ? '變更密碼' : '以密碼加密';
+    elements.vaultDecryptBtn.style.display = encrypted ? '' : 'none';
+}
+
+/**
+ * Ask for the key vault passphrase
+ * The dialog stays open until submit accepts the passphrase or the user
+ * cancels; the passphrase is cleared from the inputs either way.
+ * @param {boolean} isNew - Ask for a new passphrase (entered twice)
+ * @param {Function} submit - async (passphrase) => error message or null
+ * @returns {Promise<boolean>} True if a passphrase was accepted
+ */
+export function showPassphraseDialog(isNew, submit) {
+    const dialog = elements.passphraseDialog;
+    if (!dialog) {
+        return Promise.resolve(false);
+    }
+
+    elements.passphraseTitle.textContent = isNew ? '設定加密密碼' : '解鎖 API Key';
+    elements.passphraseHint.textContent = isNew
+        ? '已儲存的 API Key 會以此密碼加密，每次開啟頁面需輸入一次。密碼無法找回，忘記時只能刪除 Key 後重新輸入。'
+        : '輸入加密 API Key 時設定的密碼。';
+    elements.passphraseConfirmInput.style.display = isNew ? '' : 'none';
+    elements.passphraseError.textContent = '';
+
+    elements.passphraseSubmitBtn.onclick = async (e) => {
+        e.preventDefault();
+        const passphrase = elements.passphraseInput.value;
+
+        let error = null;
+        if (isNew && passphrase.length < KEY_VAULT_CONFIG.MIN_PASSPHRASE_LENGTH) {
+            error = MESSAGES.PASSPHRASE_TOO_SHORT;
+        } else if (isNew && passphrase !== elements.passphraseConfirmInput.value) {
+            error = MESSAGES.PASSPHRASE_MISMATCH;
+        } else {
+            elements.passphraseSubmitBtn.disabled = true;
+            try {
+                error = await submit(passphrase);
+            } catch (submitError) {
+                // Without Web Crypto (a page not served over HTTPS or
+                // localhost) unlocking throws instead of returning an error
+                console.error('Passphrase submit failed:', submitError);
+                error = globalThis.crypto?.subtle ? submitError.message : MESSAGES.VAULT_UNSUPPORTED;
+            } finally {
+                elements.passphraseSubmitBtn.disabled = false;
+            }
+        }
+
+        if (error) {
+            elements.passphraseError.textContent = error;
+        } else {
+            dialog.close('confirm');
+        }
+    };
+
+    return new Promise(resolve => {
+        dialog.onclose = () => {
+            elements.passphraseInput.value = '';
+            elements.passphraseConfirmInput.value = '';
+            resolve(dialog.returnValue === 'confirm');
+        };
+
+        dialog.returnValue = '';
+        dialog.showModal();
+        elements.passphraseInput.focus();
+    });
 }
 
 /**
@@ -177,6 +1425,186 @@ export function fillDemoData(demoText) {
     }
 }
 
+/**
+ * Render parser diagnostics next to the log input
+ * Clicking an item selects the offending line in the textarea.
+ * @param {Array} diagnostics - Diagnostics [{line, severity, message}]
+ */
+export function renderDiagnostics(diagnostics) {
+    if (!elements.diagnosticsPanel) return;
+
+    elements.diagnosticsPanel.innerHTML = '';
+
+    if (!diagnostics || diagnostics.length === 0) {
+        elements.diagnosticsPanel.classList.add('hidden');
+        return;
+    }
+
+    elements.diagnosticsPanel.classList.remove('hidden');
+
+    const icons = {
+        [DIAGNOSTIC_SEVERITY.ERROR]: '❌',
+        [DIAGNOSTIC_SEVERITY.WARNING]: '⚠️',
+        [DIAGNOSTIC_SEVERITY.INFO]: 'ℹ️'
+    };
+
+    const title = document.createElement('div');
+    title.className = 'diagnostics-title';
+    title.textContent = `${MESSAGES.DIAGNOSTICS_TITLE}（${diagnostics.length}）`;
+    elements.diagnosticsPanel.appendChild(title);
+
+    const ul = document.createElement('ul');
+    ul.className = 'diagnostics-list';
+
+    diagnostics.forEach(diagnostic => {
+        const li = document.createElement('li');
+        li.className = `diagnostic-item diagnostic-${diagnostic.severity}`;
+        li.innerHTML = `
+            <span>${icons[diagnostic.severity] || ''}</span>
+            <span class="diagnostic-line">第 ${diagnostic.line} 行</span>
+            <span>${diagnostic.message}</span>
+        `;
+        li.onclick = () => jumpToLogLine(diagnostic.line);
+        ul.appendChild(li);
+    });
+
+    elements.diagnosticsPanel.appendChild(ul);
+}
+
+/**
+ * Select a line in the log input and scroll it into view
+ * @param {number} lineNumber - One-based line number
+ */
+export function jumpToLogLine(lineNumber) {
+    const textarea = elements.logInput;
+    if (!textarea) return;
+
+    const lines = textarea.value.split('\n');
+    const start = lines
+        .slice(0, lineNumber - 1)
+        .reduce((offset, line) => offset + line.length + 1, 0);
+    const end = start + (lines[lineNumber - 1] || '').length;
+
+    textarea.focus();
+    textarea.setSelectionRange(start, end);
+
+    const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 24;
+    textarea.scrollTop = Math.max(0, (lineNumber - 3) * lineHeight);
+}
+
+/**
+ * Set report date label
+ * @param {string|null} label - Day label, or null for today's date
+ */
+export function setReportDate(label) {
+    if (!elements.reportDate) return;
+
+    const dateText = label || new Date().toLocaleDateString('zh-TW');
+    elements.reportDate.innerText = ` 分析日期：${dateText}`;
+}
+
+/**
+ * Render day selector for multi-day journals
+ * Hidden when the journal contains a single day.
+ * @param {Array} days - Parsed days {date, label, entries}
+ * @param {string|null} selectedDate - Selected date, or null for all days
+ * @param {Function} onSelect - Callback with the chosen date (null = all)
+ */
+export function renderDaySelector(days, selectedDate, onSelect) {
+    if (!elements.daySelector) return;
+
+    elements.daySelector.innerHTML = '';
+
+    if (!days || days.length <= 1) {
+        elements.daySelector.classList.add('hidden');
+        return;
+    }
+
+    elements.daySelector.classList.remove('hidden');
+
+    const options = [
+        { date: null, label: MESSAGES.ALL_DAYS },
+        ...days.map(day => ({ date: day.date, label: day.label }))
+    ];
+
+    options.forEach(option => {
+        const button = document.createElement('button');
+        const isActive = option.date === selectedDate;
+        button.className = `btn btn-sm ${isActive ? 'btn-primary' : 'btn-secondary'}`;
+        button.textContent = option.label;
+        button.onclick = () => onSelect(option.date);
+        elements.daySelector.appendChild(button);
+    });
+}
+
+/**
+ * Render the entries whose immersion is estimated, each with a value to
+ * accept or change
+ * @param {Array} entries - Estimated entries (one per id)
+ * @param {Function} onAccept - Called with [{id, immersion}] to confirm
+ */
+export function renderImmersionEstimates(entries, onAccept) {
+    const container = elements.immersionEstimates;
+    if (!container) return;
+
+    container.innerHTML = '';
+    container.classList.toggle('hidden', entries.length === 0);
+    if (entries.length === 0) return;
+
+    const header = document.createElement('div');
+    header.className = 'immersion-estimates-header';
+
+    const summary = document.createElement('span');
+    summary.textContent = `${entries.length} ${MESSAGES.ESTIMATES_PENDING}`;
+
+    const acceptAllButton = document.createElement('button');
+    acceptAllButton.type = 'button';
+    acceptAllButton.className = 'btn btn-secondary btn-sm';
+    acceptAllButton.textContent = MESSAGES.ESTIMATE_ACCEPT_ALL;
+
+    header.append(summary, acceptAllButton);
+
+    const list = document.createElement('ul');
+    list.className = 'immersion-estimates-list';
+
+    const rows = entries.map(entry => {
+        const item = document.createElement('li');
+
+        const time = document.createElement('span');
+        time.className = 'immersion-estimates-time';
+        time.textContent = `${entry.date ? `${entry.date.slice(5)} ` : ''}${entry.start} ~ ${entry.end}`;
+
+        const content = document.createElement('span');
+        content.className = 'immersion-estimates-content';
+        content.textContent = entry.content;
+
+        const source = document.createElement('span');
+        source.className = 'immersion-estimates-source';
+        source.textContent = IMMERSION_ESTIMATE_SOURCES[entry.immersionSource] || '';
+
+        const select = document.createElement('select');
+        select.className = 'input';
+        for (let value = IMMERSION_SCALE.MIN; value <= IMMERSION_SCALE.MAX; value += IMMERSION_SCALE.STEP) {
+            select.add(new Option(String(value), String(value), false, value === entry.immersion));
+        }
+
+        const acceptButton = document.createElement('button');
+        acceptButton.type = 'button';
+        acceptButton.className = 'btn btn-primary btn-sm';
+        acceptButton.textContent = MESSAGES.ESTIMATE_ACCEPT;
+        acceptButton.onclick = () => onAccept([{ id: entry.id, immersion: Number(select.value) }]);
+
+        item.append(time, content, source, select, acceptButton);
+        list.appendChild(item);
+
+        return { id: entry.id, select };
+    });
+
+    acceptAllButton.onclick = () => onAccept(rows.map(({ id, select }) => ({ id, immersion: Number(select.value) })));
+
+    container.append(header, list);
+}
+
 /**
  * Render immersion analysis list
  * @param {Array} analysis - Analysis data
@@ -222,6 +1650,18 @@ export function renderImmersionAnalysis(analysis) {
     });
 }
 
+/**
+ * Escape text for use in HTML markup
+ * Entry text may come from imported calendar and CSV files.
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    const span = document.createElement('span');
+    span.textContent = text;
+    return span.innerHTML;
+}
+
 /**
  * Render trend analysis (energy transitions)
  * @param {Array} transitions - Transition points
@@ -243,11 +1683,11 @@ export function renderTrendAnalysis(transitions) {
     transitions.forEach(transition => {
         const transitionText = `
             <span style="color: rgba(255, 255, 255, 0.7); text-decoration: line-through; font-size: var(--font-size-sm); font-weight: 500;">
-                ${transition.from.content} (${transition.from.immersion})
+                ${escapeHtml(transition.from.content)} (${transition.from.immersion})
             </span>
             <span style="margin: 0 var(--space-2); color: var(--color-white); font-weight: 600;">→</span>
             <span style="font-weight: 700; color: var(--color-white); font-size: var(--font-size-base);">
-                ${transition.to.content} (${transition.to.immersion})
+                ${escapeHtml(transition.to.content)} (${transition.to.immersion})
             </span>
         `;
 
@@ -296,20 +1736,158 @@ export function renderAILessons(content) {
         `;
     } else {
         // Render markdown content
-        if (typeof marked !== 'undefined') {
-            elements.aiLessonsContent.innerHTML = marked.parse(content);
-        } else {
-            elements.aiLessonsContent.innerHTML = content;
+        elements.aiLessonsContent.innerHTML = renderMarkdown(content);
+    }
+}
+
+/**
+ * Convert markdown to HTML when marked is loaded
+ * @param {string} content - Markdown content
+ * @returns {string} HTML
+ */
+function renderMarkdown(content) {
+    return typeof marked !== 'undefined' ? marked.parse(content) : content;
+}
+
+/**
+ * Show or hide the AI coach chat panel
+ * @param {boolean} visible - Whether the panel is shown
+ */
+export function setCoachChatVisible(visible) {
+    if (!elements.coachChat) return;
+
+    elements.coachChat.classList.toggle('hidden', !visible);
+}
+
+/**
+ * Get the question typed into the coach chat
+ * @returns {string} Trimmed question
+ */
+export function getCoachQuestion() {
+    return elements.coachChatInput ? elements.coachChatInput.value.trim() : '';
+}
+
+/**
+ * Set the coach chat input
+ * @param {string} text - Question text ('' clears the input)
+ */
+export function setCoachQuestion(text) {
+    if (elements.coachChatInput) {
+        elements.coachChatInput.value = text;
+    }
+}
+
+/**
+ * Switch the coach chat send button between sending and stopping
+ * @param {boolean} busy - Whether an answer is being written
+ */
+export function setCoachChatBusy(busy) {
+    if (!elements.coachChatSendBtn) return;
+
+    elements.coachChatSendBtn.textContent = busy ? '停止' : '送出';
+}
+
+/**
+ * Render the coach conversation
+ * @param {Array} turns - Conversation [{role, content, pinned}]
+ * @param {string|null} [pendingAnswer] - Answer being written ('' while
+ *   waiting for the first text), or null when idle
+ * @param {string} [errorMessage] - Error of the last question, if it failed
+ */
+export function renderCoachChat(turns, pendingAnswer = null, errorMessage = '') {
+    if (!elements.coachChatLog) return;
+
+    elements.coachChatLog.innerHTML = '';
+
+    turns.forEach((turn, index) => {
+        const message = createChatMessage(turn.role, turn.content);
+
+        if (turn.role === 'assistant') {
+            message.classList.toggle('chat-message-pinned', Boolean(turn.pinned));
+
+            const pinButton = document.createElement('button');
+            pinButton.className = 'btn btn-secondary btn-sm chat-pin-btn';
+            pinButton.textContent = turn.pinned ? '取消釘選' : '釘選到報表';
+            pinButton.onclick = () => window.pinCoachAnswer(index);
+            message.appendChild(pinButton);
         }
+
+        elements.coachChatLog.appendChild(message);
+    });
+
+    if (pendingAnswer !== null) {
+        elements.coachChatLog.appendChild(createChatMessage('assistant', pendingAnswer || MESSAGES.AI_THINKING));
+    }
+
+    if (errorMessage) {
+        const error = document.createElement('p');
+        error.className = 'text-red-500';
+        error.textContent = errorMessage;
+        elements.coachChatLog.appendChild(error);
     }
+
+    elements.coachChatLog.scrollTop = elements.coachChatLog.scrollHeight;
+}
+
+/**
+ * Create a chat message bubble
+ * @param {string} role - 'user' or 'assistant'
+ * @param {string} content - Question text or markdown answer
+ * @returns {HTMLElement} Message element
+ */
+function createChatMessage(role, content) {
+    const message = document.createElement('div');
+    message.className = `chat-message chat-message-${role}`;
+
+    if (role === 'user') {
+        message.textContent = content;
+    } else {
+        message.innerHTML = renderMarkdown(content);
+    }
+
+    return message;
+}
+
+/**
+ * Render the coach answers pinned into the report
+ * @param {Array} turns - Conversation [{role, content, pinned}]
+ */
+export function renderPinnedAnswers(turns) {
+    if (!elements.pinnedAnswers || !elements.pinnedAnswersList) return;
+
+    const pinned = turns
+        .map((turn, index) => ({ turn, question: turns[index - 1] }))
+        .filter(({ turn }) => turn.role === 'assistant' && turn.pinned);
+
+    elements.pinnedAnswers.classList.toggle('hidden', pinned.length === 0);
+    elements.pinnedAnswersList.innerHTML = '';
+
+    pinned.forEach(({ turn, question }) => {
+        const item = document.createElement('div');
+        item.className = 'pinned-answer';
+
+        if (question) {
+            const title = document.createElement('div');
+            title.className = 'pinned-question';
+            title.textContent = question.content;
+            item.appendChild(title);
+        }
+
+        const answer = document.createElement('div');
+        answer.innerHTML = renderMarkdown(turn.content);
+        item.appendChild(answer);
+
+        elements.pinnedAnswersList.appendChild(item);
+    });
 }
 
 /**
  * Render statistics summary
  * @param {Object} categoryStats - Category statistics
  * @param {number} totalMinutes - Total minutes
+ * @param {number} coverage - Share of time not untracked (0-100)
  */
-export function renderStats(categoryStats, totalMinutes) {
+export function renderStats(categoryStats, totalMinutes, coverage) {
     if (!elements.statsSummary) return;
 
     const totalHours = (totalMinutes / TIME.MINUTES_PER_HOUR).toFixed(1);
@@ -318,6 +1896,9 @@ export function renderStats(categoryStats, totalMinutes) {
         <div class="stat-badge" style="background: var(--color-black); color: var(--color-white);">
             總記錄：${totalHours}h
         </div>
+        <div class="stat-badge" style="background: var(--color-accent);">
+            記錄覆蓋率：${coverage}%
+        </div>
     `;
 
     Object.entries(categoryStats).forEach(([category, minutes]) => {
@@ -340,7 +1921,7 @@ export function renderCategoryKanban(groupedEntries, onDrop) {
 
     elements.categoryDetailsList.innerHTML = '';
 
-    CATEGORY_ORDER.forEach(category => {
+    getCategoryNames().forEach(category => {
         const card = createKanbanCard(category, groupedEntries[category] || [], onDrop);
         elements.categoryDetailsList.appendChild(card);
     });
@@ -377,10 +1958,11 @@ function createKanbanCard(category, entries, onDrop) {
     // Card header
     card.innerHTML = `
         <div class="kanban-header">
-            <span>${category}</span>
+            <span><span class="category-swatch" style="background: ${getCategoryColor(category)};"></span><span class="kanban-title"></span></span>
             <span class="kanban-count">${entries.length}</span>
         </div>
     `;
+    card.querySelector('.kanban-title').textContent = category;
 
     // Card items
     const ul = document.createElement('ul');
@@ -425,14 +2007,54 @@ function createKanbanItem(entry) {
     };
 
     const immersionBadge = entry.immersion > 0
-        ? `<span class="kanban-item-immersion">⚡ ${entry.immersion}</span>`
+        ? (entry.immersionEstimated
+            ? `<span class="kanban-item-immersion estimated" title="${IMMERSION_ESTIMATE_SOURCES[entry.immersionSource] || ''}">⚡ ≈${entry.immersion}</span>`
+            : `<span class="kanban-item-immersion">⚡ ${entry.immersion}</span>`)
         : '';
 
+    const datePrefix = entry.date ? `${entry.date.slice(5)} ` : '';
+
+    // Content, labels and notes may come from imported calendar and CSV
+    // files, so they are set as text
     li.innerHTML = `
-        <div class="kanban-item-time">${entry.start} ~ ${entry.end}</div>
-        <div class="kanban-item-content">${entry.content}</div>
+        <div class="kanban-item-time">${datePrefix}${entry.start} ~ ${entry.end}</div>
+        <div class="kanban-item-content"></div>
         ${immersionBadge}
     `;
+    const content = li.querySelector('.kanban-item-content');
+    content.textContent = entry.content;
+
+    const labels = [
+        ...(entry.tags || []).map(tag => `#${tag}`),
+        ...(entry.people || []).map(person => `@${person}`)
+    ];
+    const notes = [
+        ...(entry.thoughts || []).map(thought => `💭 ${thought}`),
+        ...(entry.actions || []).map(action => `✅ ${action}`)
+    ];
+
+    if (notes.length > 0) {
+        const notesList = document.createElement('ul');
+        notesList.className = 'kanban-item-notes';
+        notes.forEach(note => {
+            const item = document.createElement('li');
+            item.textContent = note;
+            notesList.appendChild(item);
+        });
+        content.after(notesList);
+    }
+
+    if (labels.length > 0) {
+        const labelList = document.createElement('div');
+        labelList.className = 'kanban-item-labels';
+        labels.forEach(label => {
+            const span = document.createElement('span');
+            span.className = 'kanban-item-label';
+            span.textContent = label;
+            labelList.appendChild(span);
+        });
+        content.after(labelList);
+    }
 
     return li;
 }
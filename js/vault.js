@@ -0,0 +1,363 @@
+/**
+ * Key Vault Module
+ * Stores AI provider API keys under user-chosen names, several per provider.
+ * Keys are kept in localStorage as entered, or encrypted with a key derived
+ * from a passphrase (PBKDF2 + AES-GCM). The derived key only lives in memory:
+ * an encrypted vault is unlocked once per page session and locks itself again
+ * after a period without user input.
+ */
+
+import { KEY_VAULT_CONFIG, MESSAGES } from './constants.js';
+
+/**
+ * Key Vault Manager
+ * Handles vault storage in localStorage:
+ * {encryption: {salt, iterations, check} or null,
+ *  keys: [{id, provider, name, secret}], selected: {provider: key id}}
+ * where a secret is the key itself, or {iv, data} when encrypted
+ */
+export const KeyVaultManager = {
+    /**
+     * Save the vault to localStorage
+     * @param {Object} vault - Vault
+     * @returns {boolean} Success status
+     */
+    save(vault) {
+        try {
+            localStorage.setItem(KEY_VAULT_CONFIG.STORAGE_KEY, JSON.stringify(vault));
+            return true;
+        } catch (error) {
+            console.error('Failed to save API keys:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Load the vault from localStorage
+     * @returns {Object} Stored vault, or an empty one
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(KEY_VAULT_CONFIG.STORAGE_KEY));
+            return stored && Array.isArray(stored.keys)
+                ? { encryption: null, selected: {}, ...stored }
+                : { encryption: null, keys: [], selected: {} };
+        } catch (error) {
+            console.error('Failed to load API keys:', error);
+            return { encryption: null, keys: [], selected: {} };
+        }
+    }
+};
+
+// Key derived from the passphrase while the vault is unlocked
+let sessionKey = null;
+let lockTimer = null;
+let autoLockListener = null;
+
+/**
+ * List the stored keys of a provider
+ * @param {string} provider - Provider id
+ * @returns {Array} [{id, name}]
+ */
+export function listKeys(provider) {
+    return KeyVaultManager.load().keys
+        .filter(key => key.provider === provider)
+        .map(({ id, name }) => ({ id, name }));
+}
+
+/**
+ * Get the key selected for a provider
+ * Falls back to the provider's first key when none was selected.
+ * @param {string} provider - Provider id
+ * @returns {string|null} Key id, or null if the provider has no keys
+ */
+export function getSelectedKeyId(provider) {
+    const { keys, selected } = KeyVaultManager.load();
+    const own = keys.filter(key => key.provider === provider);
+
+    return (own.find(key => key.id === selected[provider]) || own[0])?.id || null;
+}
+
+/**
+ * Select the key used for a provider
+ * @param {string} provider - Provider id
+ * @param {string} id - Key id
+ * @returns {boolean} Success status
+ */
+export function selectKey(provider, id) {
+    const vault = KeyVaultManager.load();
+    vault.selected[provider] = id;
+    return KeyVaultManager.save(vault);
+}
+
+/**
+ * Store a key under a name and select it
+ * A key with the same name for the same provider is replaced.
+ * @param {string} provider - Provider id
+ * @param {string} name - Key name
+ * @param {string} value - API key
+ * @returns {Promise<string>} Key id
+ * @throws {Error} If the vault is locked or cannot be saved
+ */
+export async function saveKey(provider, name, value) {
+    const vault = KeyVaultManager.load();
+    const secret = vault.encryption ? await encryptText(requireSessionKey(), value) : value;
+    const existing = vault.keys.find(key => key.provider === provider && key.name === name);
+    const id = existing?.id || `key-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+    if (existing) {
+        existing.secret = secret;
+    } else {
+        vault.keys.push({ id, provider, name, secret });
+    }
+    vault.selected[provider] = id;
+
+    if (!KeyVaultManager.save(vault)) {
+        throw new Error(MESSAGES.VAULT_SAVE_FAILED);
+    }
+    return id;
+}
+
+/**
+ * Delete a stored key (works while locked)
+ * @param {string} id - Key id
+ * @returns {boolean} Success status
+ */
+export function removeKey(id) {
+    const vault = KeyVaultManager.load();
+    vault.keys = vault.keys.filter(key => key.id !== id);
+    return KeyVaultManager.save(vault);
+}
+
+/**
+ * Read a stored key
+ * @param {string} id - Key id
+ * @returns {Promise<string|null>} API key, or null if there is no such key
+ * @throws {Error} If the key is encrypted and the vault is locked
+ */
+export async function readKey(id) {
+    const key = KeyVaultManager.load().keys.find(stored => stored.id === id);
+    if (!key) {
+        return null;
+    }
+
+    touchVault();
+    return openSecret(key.secret);
+}
+
+/**
+ * Whether stored keys are encrypted
+ * @returns {boolean} True if a passphrase is set
+ */
+export function isVaultEncrypted() {
+    return Boolean(KeyVaultManager.load().encryption);
+}
+
+/**
+ * Whether stored keys are encrypted and the passphrase was not entered yet
+ * @returns {boolean} True if locked
+ */
+export function isVaultLocked() {
+    return !sessionKey && isVaultEncrypted();
+}
+
+/**
+ * Unlock the vault for this page session
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<boolean>} False if the passphrase is wrong
+ */
+export async function unlockVault(passphrase) {
+    const { encryption } = KeyVaultManager.load();
+    if (!encryption) {
+        return true;
+    }
+
+    const key = await deriveKey(passphrase, fromBase64(encryption.salt), encryption.iterations);
+    try {
+        if (await decryptText(key, encryption.check) !== KEY_VAULT_CONFIG.CHECK_TEXT) {
+            return false;
+        }
+    } catch (error) {
+        // AES-GCM rejects data encrypted with another key
+        return false;
+    }
+
+    sessionKey = key;
+    touchVault();
+    return true;
+}
+
+/**
+ * Forget the passphrase-derived key until the next unlock
+ */
+export function lockVault() {
+    sessionKey = null;
+    clearTimeout(lockTimer);
+    lockTimer = null;
+}
+
+/**
+ * Restart the inactivity timer of an unlocked vault
+ * Call on user input.
+ */
+export function touchVault() {
+    if (!sessionKey) {
+        return;
+    }
+
+    clearTimeout(lockTimer);
+    lockTimer = setTimeout(() => {
+        lockVault();
+        autoLockListener?.();
+    }, KEY_VAULT_CONFIG.AUTO_LOCK_MINUTES * 60 * 1000);
+}
+
+/**
+ * Register a callback for when the vault locks itself after inactivity
+ * @param {Function} callback - Called without arguments
+ */
+export function onVaultAutoLock(callback) {
+    autoLockListener = callback;
+}
+
+/**
+ * Encrypt the stored keys with a new passphrase and unlock the vault
+ * An encrypted vault must be unlocked first; its passphrase is replaced.
+ * @param {string} passphrase - New passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} If WebCrypto is unavailable, the vault is locked or
+ *   cannot be saved
+ */
+export async function enableEncryption(passphrase) {
+    if (!globalThis.crypto?.subtle) {
+        throw new Error(MESSAGES.VAULT_UNSUPPORTED);
+    }
+
+    const vault = KeyVaultManager.load();
+    const values = await Promise.all(vault.keys.map(key => openSecret(key.secret)));
+
+    const salt = crypto.getRandomValues(new Uint8Array(KEY_VAULT_CONFIG.SALT_BYTES));
+    const iterations = KEY_VAULT_CONFIG.PBKDF2_ITERATIONS;
+    const key = await deriveKey(passphrase, salt, iterations);
+
+    vault.encryption = {
+        salt: toBase64(salt),
+        iterations,
+        check: await encryptText(key, KEY_VAULT_CONFIG.CHECK_TEXT)
+    };
+    vault.keys = await Promise.all(vault.keys.map(async (stored, index) => ({
+        ...stored,
+        secret: await encryptText(key, values[index])
+    })));
+
+    if (!KeyVaultManager.save(vault)) {
+        throw new Error(MESSAGES.VAULT_SAVE_FAILED);
+    }
+
+    sessionKey = key;
+    touchVault();
+}
+
+/**
+ * Decrypt the stored keys and remove the passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} If the vault is locked or cannot be saved
+ */
+export async function disableEncryption() {
+    const vault = KeyVaultManager.load();
+    const values = await Promise.all(vault.keys.map(key => openSecret(key.secret)));
+
+    vault.encryption = null;
+    vault.keys = vault.keys.map((stored, index) => ({ ...stored, secret: values[index] }));
+
+    if (!KeyVaultManager.save(vault)) {
+        throw new Error(MESSAGES.VAULT_SAVE_FAILED);
+    }
+    lockVault();
+}
+
+/**
+ * Get the session key of an unlocked vault
+ * @returns {CryptoKey} Session key
+ * @throws {Error} If the vault is locked
+ */
+function requireSessionKey() {
+    if (!sessionKey) {
+        throw new Error(MESSAGES.VAULT_LOCKED);
+    }
+    return sessionKey;
+}
+
+/**
+ * Read a stored secret
+ * @param {string|Object} secret - Plain key or {iv, data}
+ * @returns {Promise<string>} API key
+ * @throws {Error} If the secret is encrypted and the vault is locked
+ */
+async function openSecret(secret) {
+    return typeof secret === 'string' ? secret : decryptText(requireSessionKey(), secret);
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {Uint8Array} salt - Salt
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>} Non-extractable AES-GCM key
+ */
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Encrypt text with a fresh IV
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {string} text - Plain text
+ * @returns {Promise<Object>} {iv, data} in base64
+ */
+async function encryptText(key, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(KEY_VAULT_CONFIG.IV_BYTES));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+
+    return { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+}
+
+/**
+ * Decrypt text
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {Object} encrypted - {iv, data} in base64
+ * @returns {Promise<string>} Plain text
+ * @throws {Error} If the key does not match
+ */
+async function decryptText(key, { iv, data }) {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data));
+    return new TextDecoder().decode(plain);
+}
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Base64
+ */
+function toBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} text - Base64
+ * @returns {Uint8Array} Bytes
+ */
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
@@ -0,0 +1,21 @@
+import './setup.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { getCategories, validateCategories } = await import('../js/categories.js');
+const { CATEGORY_ERRORS } = await import('../js/constants.js');
+
+/**
+ * Validate the current categories with the first one renamed
+ * @param {string} name - New name
+ * @returns {string|null} Error of the renamed row
+ */
+const renameFirst = name => {
+    const rows = getCategories().map((category, index) => ({ ...category, name: index === 0 ? name : category.name, mergeInto: null }));
+    return validateCategories(rows).errors[0];
+};
+
+test('category names cannot hold markup or HTML characters', () => {
+    ['<b>x</b>', 'a"b', 'R&D', '[x]', '1st'].forEach(name => assert.equal(renameFirst(name), CATEGORY_ERRORS.INVALID_NAME));
+    assert.equal(renameFirst('深度工作'), null);
+});
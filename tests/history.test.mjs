@@ -0,0 +1,37 @@
+import './setup.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { parseLogText } = await import('../js/parser.js');
+const { prepareTimeline } = await import('../js/timeline.js');
+const { createDayRecords } = await import('../js/history.js');
+
+/**
+ * Parse a log, complete its timeline and build its history records
+ * @param {string} text - Log text
+ * @returns {Array} Day records
+ */
+function recordsOf(text) {
+    const { days } = parseLogText(text);
+    prepareTimeline(days, { resolveOverlaps: true, fillEndOfDaySleep: false });
+    return createDayRecords(days, { rawText: text, advice: '建議' });
+}
+
+test('a day holding only last night\'s overnight tail is not saved', () => {
+    const records = recordsOf('# 2026-10-19\n- 23:00 ~ 01:00 x');
+
+    assert.deepEqual(records.map(record => record.key), ['2026-10-19']);
+    assert.equal(records[0].rawText, '# 2026-10-19\n- 23:00 ~ 01:00 x');
+    assert.equal(records[0].advice, '建議');
+});
+
+test('the same undated journal keeps one key across analyses', () => {
+    const text = '- 09:00 ~ 10:00 閱讀\n- 10:00 ~ 11:00 寫作';
+    const [first] = recordsOf(text);
+    const [second] = recordsOf(text);
+    const [other] = recordsOf('- 09:00 ~ 10:00 運動');
+
+    assert.ok(first.undated);
+    assert.equal(first.key, second.key);
+    assert.notEqual(first.key, other.key);
+});
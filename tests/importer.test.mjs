@@ -0,0 +1,80 @@
+import './setup.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { importIcs, importCsv } = await import('../js/importer.js');
+const { DIAGNOSTIC_MESSAGES } = await import('../js/constants.js');
+const { serializeJournal, formatJournalText } = await import('../js/serializer.js');
+const { parseLogText } = await import('../js/parser.js');
+
+const ICS = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'DTSTART:20261019T090000',
+    'DTEND:20261019T100000',
+    'SUMMARY:Fix issue #123 for @acme [urgent] 3/5',
+    'END:VEVENT',
+    'END:VCALENDAR'
+].join('\r\n');
+
+test('imported text is not read as journal markup', () => {
+    const { entries, diagnostics } = parseLogText(serializeJournal(importIcs(ICS)));
+
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].content, 'Fix issue #123 for @acme [urgent] 3/5');
+    assert.deepEqual(entries[0].tags, []);
+    assert.deepEqual(entries[0].people, []);
+    assert.equal(entries[0].immersion, 0);
+    assert.equal(entries[0].categoryOverride, null);
+    assert.ok(!diagnostics.some(diagnostic => diagnostic.severity === 'warning' && /類別/.test(diagnostic.message)));
+});
+
+test('escaped markup survives formatting', () => {
+    const text = '- 09:00 ~ 10:00 Fix \\#123 \\[urgent\\] a|b \\| 3\\/5 #real ❚❚❚';
+    const formatted = formatJournalText(text);
+    const entry = parseLogText(formatted).entries[0];
+
+    assert.equal(entry.content, 'Fix #123 [urgent] a|b | 3/5');
+    assert.deepEqual(entry.tags, ['real']);
+    assert.equal(entry.immersion, 3);
+    assert.equal(formatJournalText(formatted), formatted);
+});
+
+test('imported immersion off the scale is clamped with a warning', () => {
+    const csv = 'start,end,content,immersion\n2026-10-19 09:00,2026-10-19 10:00,a,0.5\n' +
+        '2026-10-19 10:00,2026-10-19 11:00,b,7\n2026-10-19 11:00,2026-10-19 12:00,c,3.5\n';
+    const days = importCsv(csv, { start: 'start', end: 'end', content: 'content', immersion: 'immersion' });
+    const { entries, diagnostics } = parseLogText(serializeJournal(days));
+
+    assert.deepEqual(entries.map(entry => entry.immersion), [1, 5, 3.5]);
+    const warned = diagnostics
+        .filter(diagnostic => diagnostic.message.startsWith(DIAGNOSTIC_MESSAGES.IMMERSION_OUT_OF_RANGE))
+        .map(diagnostic => diagnostic.line);
+    assert.deepEqual(warned, [entries[0].id, entries[1].id]);
+});
+
+test('events with a duration instead of an end are imported', () => {
+    const ics = [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'DTSTART:20261019T090000',
+        'DURATION:PT1H30M',
+        'SUMMARY:a',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'DTSTART:20261019T230000',
+        'DURATION:PT2H',
+        'SUMMARY:b',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'DTSTART:20261019T120000',
+        'DURATION:-PT1H',
+        'SUMMARY:c',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].join('\r\n');
+    const entries = importIcs(ics).flatMap(day => day.entries);
+
+    assert.deepEqual(entries.map(entry => [entry.content, entry.start, entry.end]),
+        [['a', '09:00', '10:30'], ['b', '23:00', '01:00']]);
+});
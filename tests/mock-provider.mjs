@@ -0,0 +1,170 @@
+/**
+ * Mock LLM Provider
+ * A local stand-in for the OpenAI-compatible, Ollama and Gemini chat APIs,
+ * with their response shapes for complete and streamed replies. Used by the
+ * provider tests, and can be run on its own to try the AI features in the
+ * browser without an external service:
+ *
+ *   node tests/mock-provider.mjs [port]
+ *
+ * Base URLs: http://localhost:9000/v1 (OpenAI 相容), http://localhost:9000
+ * (Ollama), http://localhost:9000/v1beta/models (Gemini).
+ */
+
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+
+const DEFAULT_PORT = 9000;
+const STREAM_CHUNKS = 3;
+
+/**
+ * Build the reply to a chat
+ * JSON mode gets an empty JSON object; otherwise the last message is echoed.
+ * @param {Array} messages - Chat messages [{role, content}]
+ * @param {boolean} json - Whether JSON output was requested
+ * @returns {string} Reply text
+ */
+export function createReply(messages, json) {
+    if (json) {
+        return '{}';
+    }
+
+    const last = messages[messages.length - 1]?.content || '';
+    return `模擬回覆：${last.slice(0, 40)}`;
+}
+
+/**
+ * Split a reply into stream chunks
+ * @param {string} text - Reply text
+ * @returns {Array} Chunks, in order
+ */
+function splitIntoChunks(text) {
+    const size = Math.ceil(text.length / STREAM_CHUNKS);
+    const chunks = [];
+    for (let i = 0; i < text.length; i += size) {
+        chunks.push(text.slice(i, i + size));
+    }
+    return chunks;
+}
+
+/**
+ * Provider routes: how to read a request and how to shape the reply
+ * `match` returns the route's options for a request path, or null.
+ */
+const ROUTES = [
+    {
+        provider: 'openai',
+        match: path => (path.endsWith('/chat/completions') ? {} : null),
+        read: body => ({ messages: body.messages, json: Boolean(body.response_format), stream: Boolean(body.stream) }),
+        full: text => ({ choices: [{ message: { role: 'assistant', content: text } }] }),
+        chunk: text => ({ choices: [{ delta: { content: text } }] }),
+        sse: true
+    },
+    {
+        provider: 'ollama',
+        match: path => (path === '/api/chat' ? {} : null),
+        read: body => ({ messages: body.messages, json: body.format === 'json', stream: Boolean(body.stream) }),
+        full: text => ({ message: { role: 'assistant', content: text }, done: true }),
+        chunk: text => ({ message: { role: 'assistant', content: text }, done: false }),
+        sse: false
+    },
+    {
+        provider: 'gemini',
+        match: path => {
+            const method = path.match(/:(generateContent|streamGenerateContent)$/)?.[1];
+            return method ? { stream: method === 'streamGenerateContent' } : null;
+        },
+        read: body => ({
+            messages: body.contents.map(content => ({
+                role: content.role === 'model' ? 'assistant' : 'user',
+                content: content.parts.map(part => part.text).join('')
+            })),
+            json: body.generationConfig?.responseMimeType === 'application/json'
+        }),
+        full: text => ({ candidates: [{ content: { role: 'model', parts: [{ text }] } }] }),
+        chunk: text => ({ candidates: [{ content: { role: 'model', parts: [{ text }] } }] }),
+        sse: true
+    }
+];
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-goog-api-key',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+/**
+ * Start the mock server
+ * @param {Object} [options] - {port: 0 for any free port, failures: number
+ *   of requests answered with HTTP 503 first}
+ * @returns {Promise<Object>} {url, requests: [{provider, path, headers,
+ *   body}], close()}
+ */
+export function startMockProvider({ port = 0, failures = 0 } = {}) {
+    const requests = [];
+    let failuresLeft = failures;
+
+    const server = createServer(async (req, res) => {
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, CORS_HEADERS).end();
+            return;
+        }
+
+        const path = new URL(req.url, 'http://localhost').pathname;
+        const route = ROUTES.find(candidate => candidate.match(path));
+        if (req.method !== 'POST' || !route) {
+            res.writeHead(404, CORS_HEADERS).end('Not found');
+            return;
+        }
+
+        let raw = '';
+        for await (const chunk of req) {
+            raw += chunk;
+        }
+        const body = JSON.parse(raw || '{}');
+        requests.push({ provider: route.provider, path, headers: req.headers, body });
+
+        if (failuresLeft > 0) {
+            failuresLeft--;
+            res.writeHead(503, { ...CORS_HEADERS, 'Retry-After': '0' }).end('Service unavailable');
+            return;
+        }
+
+        const request = { ...route.read(body), ...route.match(path) };
+        const text = createReply(request.messages, request.json);
+
+        if (!request.stream) {
+            res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(route.full(text)));
+            return;
+        }
+
+        res.writeHead(200, {
+            ...CORS_HEADERS,
+            'Content-Type': route.sse ? 'text/event-stream' : 'application/x-ndjson'
+        });
+        splitIntoChunks(text).forEach(chunk => {
+            const line = JSON.stringify(route.chunk(chunk));
+            res.write(route.sse ? `data: ${line}\n\n` : `${line}\n`);
+        });
+        res.end(route.sse
+            ? (route.provider === 'openai' ? 'data: [DONE]\n\n' : '')
+            : `${JSON.stringify(route.full(''))}\n`);
+    });
+
+    return new Promise(resolve => {
+        server.listen(port, () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                requests,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+// Run on its own: node tests/mock-provider.mjs [port]
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const { url } = await startMockProvider({ port: Number(process.argv[2]) || DEFAULT_PORT });
+    console.log(`Mock LLM provider listening on ${url}`);
+}
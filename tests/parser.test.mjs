@@ -0,0 +1,62 @@
+import './setup.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { parseLogText } = await import('../js/parser.js');
+const { parseDailyNote } = await import('../js/notes.js');
+const { DIAGNOSTIC_MESSAGES } = await import('../js/constants.js');
+
+const parseLine = line => parseLogText(line);
+const times = ({ entries }) => entries.map(entry => `${entry.start}-${entry.end}`);
+
+test('a date is not read as a compact time range', () => {
+    assert.deepEqual(times(parseLine('- 2026-10-19 review ❚❚')), []);
+    assert.deepEqual(times(parseLine('- 2026/10/19 review ❚❚')), []);
+});
+
+test('compact times need both sides and valid clock times', () => {
+    assert.deepEqual(times(parseLine('- 2500-2600 x ❚')), []);
+    assert.deepEqual(times(parseLine('- 0960-1000 x ❚')), []);
+    assert.deepEqual(times(parseLine('- 0900 - 10:00 x ❚')), []);
+    assert.deepEqual(times(parseLine('- 2300-2400 x ❚')), ['23:00-24:00']);
+});
+
+test('compact times are parsed with a warning', () => {
+    const result = parseLine('- 1000-1200 元 預算 ❚❚');
+    assert.deepEqual(times(result), ['10:00-12:00']);
+    assert.ok(result.diagnostics.some(diagnostic =>
+        diagnostic.severity === 'warning' && diagnostic.message.startsWith(DIAGNOSTIC_MESSAGES.COMPACT_TIME)));
+});
+
+test('a 24-hour start keeps an unpadded earlier end overnight', () => {
+    assert.deepEqual(times(parseLine('- 13:00 ~ 1:30 x ❚')), ['13:00-01:30']);
+    assert.deepEqual(times(parseLine('- 11:00 ~ 1:30 x ❚')), ['11:00-13:30']);
+});
+
+test('each day lists the lines it was parsed from', () => {
+    const { days } = parseLogText('- 08:00 ~ 09:00 a ❚\n\n# 2026-10-18\n- 09:00 ~ 10:00 b ❚\n  - > idea\n# 2026-10-19\n- 09:00 ~ 11:00 c ❚');
+    assert.deepEqual(days.map(day => [day.date, day.sourceLines]), [
+        [null, [0, 1]],
+        ['2026-10-18', [2, 3, 4]],
+        ['2026-10-19', [5, 6]]
+    ]);
+});
+
+test('a time range may follow checkbox, list, emoji and emphasis prefixes', () => {
+    [
+        '- [ ] 09:00 ~ 10:00 寫作 ❚❚',
+        '- [x] 09:00 ~ 10:00 寫作 ❚❚',
+        '1. 09:00 ~ 10:00 寫作 ❚❚',
+        '📚 09:00 ~ 10:00 寫作 ❚❚',
+        '- **09:00 ~ 10:00** 寫作 ❚❚'
+    ].forEach(line => {
+        const { entries } = parseLine(line);
+        assert.deepEqual(entries.map(entry => [entry.start, entry.end, entry.content]),
+            [['09:00', '10:00', '寫作']], line);
+    });
+});
+
+test('task checkbox entries in a daily note are parsed', () => {
+    const result = parseDailyNote('---\ndate: 2026-10-19\n---\n## 時間日誌\n- [ ] 09:00 ~ 10:00 寫作 ❚❚\n- [x] 10:00 ~ 11:00 會議 ❚');
+    assert.deepEqual(times(result), ['09:00-10:00', '10:00-11:00']);
+});
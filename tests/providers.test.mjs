@@ -0,0 +1,68 @@
+import './setup.mjs';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockProvider, createReply } from './mock-provider.mjs';
+
+const { callProvider, streamProvider, resolveProviderConfig } = await import('../js/providers.js');
+
+let mock;
+before(async () => {
+    mock = await startMockProvider();
+});
+after(() => mock.close());
+
+/**
+ * Provider config pointing at the mock server
+ * @param {string} provider - Provider name
+ * @returns {Object} Provider config
+ */
+const configFor = provider => resolveProviderConfig({
+    provider,
+    baseUrl: { openai: `${mock.url}/v1`, ollama: mock.url, gemini: `${mock.url}/v1beta/models` }[provider],
+    apiKey: provider === 'ollama' ? '' : 'test-key'
+});
+
+const messages = [
+    { role: 'user', content: '今天做了什麼？' },
+    { role: 'assistant', content: '寫程式。' },
+    { role: 'user', content: '明天呢？' }
+];
+
+['openai', 'ollama', 'gemini'].forEach(provider => {
+    test(`${provider}: complete reply round-trips`, async () => {
+        const text = await callProvider(configFor(provider), messages);
+        assert.equal(text, createReply(messages, false));
+
+        const json = await callProvider(configFor(provider), 'categorize', { json: true });
+        assert.equal(json, '{}');
+    });
+
+    test(`${provider}: streamed reply arrives in chunks`, async () => {
+        const partials = [];
+        const text = await streamProvider(configFor(provider), messages, { onText: partial => partials.push(partial) });
+
+        assert.equal(text, createReply(messages, false));
+        assert.ok(partials.length > 1);
+        assert.equal(partials[partials.length - 1], text);
+    });
+});
+
+test('the API key is sent in a header, never in the URL', () => {
+    const gemini = mock.requests.find(request => request.provider === 'gemini');
+    const openai = mock.requests.find(request => request.provider === 'openai');
+
+    assert.equal(gemini.headers['x-goog-api-key'], 'test-key');
+    assert.equal(openai.headers.authorization, 'Bearer test-key');
+    assert.ok(mock.requests.every(request => !request.path.includes('test-key')));
+});
+
+test('server errors are retried', async () => {
+    const failing = await startMockProvider({ failures: 1 });
+    try {
+        const config = resolveProviderConfig({ provider: 'openai', baseUrl: `${failing.url}/v1` });
+        assert.equal(await callProvider(config, 'hi'), createReply([{ role: 'user', content: 'hi' }], false));
+        assert.equal(failing.requests.length, 2);
+    } finally {
+        await failing.close();
+    }
+});
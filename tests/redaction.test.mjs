@@ -0,0 +1,64 @@
+import './setup.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { createRedactor } = await import('../js/redaction.js');
+const { REDACTION_CONFIG } = await import('../js/constants.js');
+
+const redactor = () => createRedactor({ ...REDACTION_CONFIG.DEFAULTS });
+
+test('dates and times are not taken for phone numbers', () => {
+    [
+        '2026-10-19 09:00-10:00 review',
+        '20261019 1200',
+        '2026/10/19 0900-1000',
+        '09:00-10:00 12:30-13:45'
+    ].forEach(text => assert.equal(redactor().redact(text), text));
+});
+
+test('phone numbers are redacted', () => {
+    assert.equal(redactor().redact('call 0912-345-678 today'), 'call [PHONE_1] today');
+    assert.equal(redactor().redact('call +886 912 345 678'), 'call [PHONE_1]');
+    assert.equal(redactor().redact('2026-10-19 call 0912345678'), '2026-10-19 call [PHONE_1]');
+});
+
+test('people mentioned in any text are redacted in all of them', () => {
+    const [first, second] = redactor().redactAll(['lunch with Ann', 'sync @Ann']);
+    assert.equal(first, 'lunch with [NAME_1]');
+    assert.equal(second, 'sync @[NAME_1]');
+});
+
+test('prompts keep dates and times and redact the entry text', async () => {
+    const { buildPromptPreview } = await import('../js/api.js');
+    const entry = {
+        id: 1, date: '2026-10-19', start: '09:00', end: '10:00', duration: 60,
+        content: 'call 0912345678', category: '工作', immersion: 4,
+        tags: ['20261019'], people: ['Ann'], thoughts: ['ask @Ann about 2026-10-19'], actions: []
+    };
+
+    const text = buildPromptPreview([entry], [entry], redactor())
+        .map(section => section.text).join('\n');
+
+    assert.match(text, /2026-10-19 09:00-10:00 \[工作\] call \[PHONE_1\] #20261019 @\[NAME_1\]/);
+    assert.match(text, /> ask @\[NAME_1\] about 2026-10-19/);
+    assert.doesNotMatch(text, /0912345678|Ann/);
+});
+
+test('names only match whole words', () => {
+    const ann = redactor();
+    assert.equal(ann.redact('@Ann annual planning'), '@[NAME_1] annual planning');
+    assert.equal(ann.redact('和Ann開會'), '和[NAME_1]開會');
+
+    const li = createRedactor({ ...REDACTION_CONFIG.DEFAULTS, terms: ['Li', '小明'] });
+    assert.equal(li.redact('Light client, Li and 小明們'), 'Light client, [NAME_1] and [NAME_2]們');
+});
+
+test('replies are restored with the spelling the user wrote', () => {
+    const names = redactor();
+    const redacted = names.redact('@Ann ANN ann');
+    assert.equal(names.restore(redacted), '@Ann ANN ann');
+});
+
+test('emails and urls are still redacted', () => {
+    assert.equal(redactor().redact('mail a.b@example.com at https://example.com/x'), 'mail [EMAIL_1] at [URL_1]');
+});
@@ -0,0 +1,14 @@
+/**
+ * Test setup
+ * The modules run in the browser; give them the in-memory localStorage they
+ * expect before they are imported.
+ */
+
+const store = new Map();
+
+globalThis.localStorage = {
+    getItem: key => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: key => store.delete(key),
+    clear: () => store.clear()
+};
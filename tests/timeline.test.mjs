@@ -0,0 +1,42 @@
+import './setup.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { parseLogText } = await import('../js/parser.js');
+const { prepareTimeline } = await import('../js/timeline.js');
+const { TIME } = await import('../js/constants.js');
+
+/**
+ * Parse a log and complete its timeline
+ * @param {string} text - Log text
+ * @param {Object} options - prepareTimeline options
+ * @returns {Object} {days, diagnostics}
+ */
+function prepare(text, options) {
+    const { days } = parseLogText(text);
+    const diagnostics = prepareTimeline(days, options);
+    return { days, diagnostics };
+}
+
+const totalOf = day => day.entries.reduce((sum, entry) => sum + entry.duration, 0);
+
+test('kept overlaps never push a day past 24 hours', () => {
+    [
+        '- 00:00 ~ 12:00 a ❚\n- 06:00 ~ 12:00 b ❚',
+        '- 00:00 ~ 10:00 a ❚\n- 05:00 ~ 10:00 b ❚\n- 20:00 ~ 24:00 c ❚'
+    ].forEach(text => {
+        const { days, diagnostics } = prepare(text, { resolveOverlaps: false, fillEndOfDaySleep: true });
+        assert.equal(totalOf(days[0]), TIME.MINUTES_PER_DAY);
+        assert.ok(diagnostics.some(diagnostic => diagnostic.severity === 'warning'));
+    });
+});
+
+test('overlaps within 24 hours are kept unless resolving is on', () => {
+    const text = '- 09:00 ~ 11:00 a ❚\n- 10:00 ~ 12:00 b ❚';
+
+    const kept = prepare(text, { resolveOverlaps: false, fillEndOfDaySleep: false });
+    assert.equal(totalOf(kept.days[0]), 13 * 60);
+
+    const resolved = prepare(text, { resolveOverlaps: true, fillEndOfDaySleep: false });
+    assert.equal(totalOf(resolved.days[0]), 12 * 60);
+});